@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/**
+ * BACKTEST 📼
+ *
+ * Replay recorded scan snapshots through the meme scalp strategy offline.
+ *
+ * Usage:
+ *   npm run backtest -- data/recordings/scans.jsonl
+ *   npm run backtest -- data/recordings/scans-2026-02-11T*.jsonl.gz
+ *   npm run backtest -- scans.jsonl --set takeProfitPct=6 --set stopLossPct=3
+ *   npm run backtest -- scans.jsonl --balance 250 --out data/backtest-trades.json --verbose
+ *   npm run backtest -- scans.jsonl --profile v6.3-conservative
+ *
+ * Starts from the same config the bot would load (profile, config file,
+ * SCALPER_* env); --set overrides go on top.
+ */
+
+import memeScalp from './strategies/meme-scalp.js';
+import { readSnapshots, runBacktest } from './core/backtest.js';
+import { loadConfig, applyConfig } from './core/config.js';
+import fs from 'fs/promises';
+
+function parseArgs(argv) {
+  const args = { files: [], overrides: {}, options: {}, out: null, profile: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--set') {
+      const [key, value] = (argv[++i] || '').split('=');
+      args.overrides[key] = value;
+    } else if (arg === '--balance') {
+      args.options.startingBalance = parseFloat(argv[++i]);
+    } else if (arg === '--round-trip') {
+      args.options.assumedRoundTripPct = parseFloat(argv[++i]);
+    } else if (arg === '--profile') {
+      args.profile = argv[++i];
+    } else if (arg === '--out') {
+      args.out = argv[++i];
+    } else if (arg === '--verbose') {
+      args.options.verbose = true;
+    } else if (!arg.startsWith('--')) {
+      args.files.push(arg);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Apply --set key=value overrides to the strategy CONFIG
+ */
+function applyOverrides(overrides) {
+  for (const [key, raw] of Object.entries(overrides)) {
+    if (!(key in memeScalp.CONFIG)) {
+      throw new Error(`Unknown CONFIG key: ${key}`);
+    }
+
+    const current = memeScalp.CONFIG[key];
+    let value;
+    if (typeof current === 'number') {
+      value = Number(raw);
+      if (!Number.isFinite(value)) throw new Error(`${key} must be a number, got "${raw}"`);
+    } else if (typeof current === 'boolean') {
+      value = raw === 'true';
+    } else {
+      throw new Error(`CONFIG key ${key} can't be overridden from the command line`);
+    }
+
+    memeScalp.CONFIG[key] = value;
+    console.log(`   ⚙️ ${key}: ${current} → ${value}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.files.length === 0) {
+    console.error('Usage: node src/backtest.js <snapshots.jsonl[.gz]...> [--profile name] [--set key=value] [--balance 100] [--round-trip 2] [--out trades.json] [--verbose]');
+    process.exit(1);
+  }
+
+  // Backtests are always paper - live-mode env checks don't apply
+  const env = { ...process.env, MODE: 'paper' };
+  delete env.MEME_PAPER_MODE;
+  const config = loadConfig({ env, profile: args.profile });
+  applyConfig(config);
+
+  console.log('\n📼 MEME SCALP BACKTEST');
+  console.log(`   Files: ${args.files.length === 1 ? args.files[0] : `${args.files.length} recordings`}`);
+  console.log(`   Profile: ${config.profile}`);
+  applyOverrides(args.overrides);
+
+  const { trades, summary } = await runBacktest(readSnapshots(args.files), args.options);
+
+  const fmtTime = (ts) => ts ? new Date(ts).toISOString() : '-';
+  const sign = (n) => n >= 0 ? '+' : '';
+
+  console.log(`\n📊 Snapshots: ${summary.snapshots} (${fmtTime(summary.startTime)} → ${fmtTime(summary.endTime)})`);
+  console.log(`📈 Trades: ${summary.trades} | ✅ ${summary.wins} | ❌ ${summary.losses}`);
+  console.log(`🎯 Win Rate: ${summary.winRate.toFixed(1)}%`);
+  console.log(`💰 P&L: ${sign(summary.totalPnlUsd)}$${summary.totalPnlUsd.toFixed(2)} (${sign(summary.totalPnlPct)}${summary.totalPnlPct.toFixed(2)}%)`);
+  console.log(`📊 Avg Trade: ${sign(summary.avgPnlPct)}${summary.avgPnlPct.toFixed(2)}%`);
+  console.log(`📉 Max Drawdown: ${summary.maxDrawdownPct.toFixed(2)}% ($${summary.maxDrawdownUsd.toFixed(2)})`);
+  console.log(`💵 Balance: $${summary.startingBalance.toFixed(2)} → $${summary.finalBalance.toFixed(2)}`);
+
+  if (Object.keys(summary.exitReasons).length > 0) {
+    console.log('\n📝 Exit Reasons:');
+    for (const [reason, count] of Object.entries(summary.exitReasons)) {
+      console.log(`   ${reason}: ${count}`);
+    }
+  }
+
+  if (trades.length > 0) {
+    console.log('\n🧾 Trades:');
+    for (const t of trades) {
+      console.log(`   ${fmtTime(t.entryTime)} ${t.token.padEnd(10)} ${sign(t.pnlPct)}${t.pnlPct.toFixed(2)}% ($${sign(t.pnlUsd)}${t.pnlUsd.toFixed(2)}) ${t.reason} ${Math.round(t.holdTimeMs / 1000)}s`);
+    }
+  }
+
+  if (args.out) {
+    await fs.writeFile(args.out, JSON.stringify({ config: memeScalp.CONFIG, summary, trades }, null, 2));
+    console.log(`\n💾 Saved to ${args.out}`);
+  }
+}
+
+main().catch((e) => {
+  console.error(`❌ Backtest failed: ${e.message}`);
+  process.exit(1);
+});
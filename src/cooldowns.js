@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * COOLDOWNS ⏳
+ *
+ * List, add and clear token cooldowns (data/cooldowns.json).
+ * A running bot picks up changes on its next scan.
+ *
+ * Usage:
+ *   npm run cooldowns -- list [--kind loss|exit|manual]
+ *   npm run cooldowns -- add <tokenAddress> [--hours 24] [--reason "rugged us"]
+ *   npm run cooldowns -- clear <tokenAddress> [--kind loss|exit|manual]
+ *   npm run cooldowns -- clear --all [--kind loss|exit|manual]
+ */
+
+import cooldowns from './core/cooldowns.js';
+
+const USAGE = 'Usage: node src/cooldowns.js list|add|clear [tokenAddress] [--hours 24] [--reason text] [--kind loss|exit|manual] [--all]';
+
+function parseArgs(argv) {
+  const args = { command: argv[0], tokenAddress: null, hours: 24, reason: null, kind: null, all: false };
+
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--hours') {
+      args.hours = parseFloat(argv[++i]);
+      if (!(args.hours > 0)) throw new Error('--hours must be a positive number');
+    } else if (arg === '--reason') {
+      args.reason = argv[++i];
+    } else if (arg === '--kind') {
+      args.kind = argv[++i];
+      if (!cooldowns.KINDS.includes(args.kind)) {
+        throw new Error(`--kind must be one of: ${cooldowns.KINDS.join(', ')}`);
+      }
+    } else if (arg === '--all') {
+      args.all = true;
+    } else if (!arg.startsWith('--') && !args.tokenAddress) {
+      args.tokenAddress = arg;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return args;
+}
+
+function printList(kind) {
+  const entries = cooldowns.list(kind);
+  if (entries.length === 0) {
+    console.log('No active cooldowns');
+    return;
+  }
+
+  console.log(`\n⏳ ${entries.length} active cooldown${entries.length === 1 ? '' : 's'}:`);
+  for (const e of entries) {
+    const detail = e.kind === 'loss' ? `${e.losses} losses`
+      : e.kind === 'manual' ? (e.reason || 'manual')
+      : (e.token || 'exit');
+    console.log(`   ${e.tokenAddress.padEnd(44)} ${e.kind.padEnd(6)} ${String(e.minsLeft).padStart(5)}min left  ${detail}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  await cooldowns.load();
+
+  switch (args.command) {
+    case 'list':
+      printList(args.kind);
+      break;
+
+    case 'add': {
+      if (!args.tokenAddress) throw new Error('add needs a token address');
+      const now = Date.now();
+      // Extends, never shortens, an existing manual cooldown
+      const existing = cooldowns.get(args.tokenAddress, 'manual', now);
+      const until = Math.max(now + args.hours * 60 * 60 * 1000, existing?.until || 0);
+      await cooldowns.set(args.tokenAddress, 'manual', { reason: args.reason, addedAt: now, until });
+      console.log(`🚫 ${args.tokenAddress} blocked until ${new Date(until).toISOString()}`);
+      break;
+    }
+
+    case 'clear': {
+      if (args.all) {
+        const removed = await cooldowns.clearAll(args.kind);
+        console.log(`🧹 Cleared ${removed} cooldown${removed === 1 ? '' : 's'}`);
+      } else if (args.tokenAddress) {
+        const removed = await cooldowns.clear(args.tokenAddress, args.kind);
+        console.log(removed > 0 ? `🧹 Cleared ${removed} cooldown${removed === 1 ? '' : 's'} for ${args.tokenAddress}` : `No cooldowns for ${args.tokenAddress}`);
+      } else {
+        throw new Error('clear needs a token address or --all');
+      }
+      break;
+    }
+
+    default:
+      console.error(USAGE);
+      process.exit(1);
+  }
+}
+
+main().catch((e) => {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,326 @@
+/**
+ * Backtest Engine
+ * Replays recorded DexScreener snapshots through the meme scalp strategy
+ * with a simulated clock - fully offline, no DexScreener/Jupiter calls.
+ *
+ * Snapshot format (one JSON object per line):
+ *   {
+ *     "timestamp": 1739260800000,          // ms or ISO string
+ *     "pairs": [ ...DexScreener pairs ],   // deduped scan result
+ *     "trending": [ "mint", ... ],         // boosted + profile token addresses
+ *     "regime": { "sol1h": 0.4, "sol5m": -0.1 },             // optional
+ *     "quotes": { "mint": { "success": true, "buySlippage": 0.8,
+ *                 "sellSlippage": 0.9, "totalRoundTrip": 1.7 } }, // optional
+ *     "safety": { "mint": { ...core/token-safety.js report } },       // optional
+ *     "positionPairs": [ ...pairs fetched for open positions ]  // optional
+ *   }
+ *
+ * Files written by core/recorder.js (.jsonl.gz) are read directly.
+ *
+ * An open position whose pair is missing from a snapshot that has pair data
+ * (scan pairs or positionPairs) is closed as DELISTED at its last seen price -
+ * the pool was pulled or rugged, so there is no later mark to hold it at.
+ * Snapshots with no pairs at all (paused or failed scans) leave positions alone.
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+import zlib from 'zlib';
+import memeScalp, { getCooldownEnd } from '../strategies/meme-scalp.js';
+import blacklist from './blacklist.js';
+import { computePositionSize } from './sizing.js';
+import { CONFIG as SAFETY_CONFIG } from './token-safety.js';
+
+const DEFAULTS = {
+  startingBalance: 100,
+  simulatedEntrySlippage: 0.03,  // Same as paper mode in meme-scalp.js
+  simulatedExitSlippage: 0.02,
+  exitCooldownMs: 30 * 60 * 1000, // Don't re-enter same token for 30 min
+  assumedRoundTripPct: 2,        // Used when a snapshot has no recorded Jupiter quote
+  blacklist: null,               // Rules object (see core/blacklist.js), null = config/blacklist.json
+  verbose: false,
+};
+
+/**
+ * Read snapshots from one or more JSONL(.gz) files, one at a time
+ * Multiple files are replayed in name order (recorder names sort by time)
+ */
+export async function* readSnapshots(filePaths) {
+  const files = (Array.isArray(filePaths) ? [...filePaths] : [filePaths]).sort();
+  for (const filePath of files) {
+    yield* readSnapshotFile(filePath);
+  }
+}
+
+async function* readSnapshotFile(filePath) {
+  const stream = fs.createReadStream(filePath);
+  const rl = readline.createInterface({
+    input: filePath.endsWith('.gz') ? stream.pipe(zlib.createGunzip()) : stream,
+    crlfDelay: Infinity,
+  });
+
+  let lineNo = 0;
+  for await (const line of rl) {
+    lineNo++;
+    if (!line.trim()) continue;
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(line);
+    } catch (e) {
+      throw new Error(`Invalid JSON on line ${lineNo} of ${filePath}: ${e.message}`);
+    }
+
+    const timestamp = typeof snapshot.timestamp === 'number'
+      ? snapshot.timestamp
+      : Date.parse(snapshot.timestamp);
+
+    if (!Number.isFinite(timestamp)) {
+      throw new Error(`Missing or invalid timestamp on line ${lineNo} of ${filePath}`);
+    }
+
+    yield { ...snapshot, timestamp };
+  }
+}
+
+/**
+ * Run a backtest over a stream (or array) of snapshots
+ */
+export async function runBacktest(snapshots, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const CONFIG = memeScalp.CONFIG;
+  const log = opts.verbose ? console.log : () => {};
+  if (!opts.blacklist) await blacklist.load();
+  const blacklistMatcher = opts.blacklist ? blacklist.compileRules(opts.blacklist) : blacklist.getMatcher();
+
+  const sim = {
+    balance: opts.startingBalance,
+    positions: [],
+    closedTrades: [],
+    lastPrices: new Map(),    // tokenAddress -> last seen priceUsd
+    lastPairs: new Map(),     // tokenAddress -> last seen pair (order-flow exits)
+    recentExits: new Map(),   // tokenAddress -> exitTime
+    lossMemory: new Map(),    // tokenAddress -> { losses, lastLossTime }
+    peakEquity: opts.startingBalance,
+    maxDrawdownPct: 0,
+    maxDrawdownUsd: 0,
+    snapshots: 0,
+    startTime: null,
+    endTime: null,
+  };
+
+  // Sell a fraction of the remaining position (1 = close it)
+  const sellPosition = (position, reason, currentPrice, now, fraction = 1, stopPct) => {
+    const exitPrice = currentPrice * (1 - opts.simulatedExitSlippage);
+    const legPnlPct = ((exitPrice - position.entryPrice) / position.entryPrice) * 100;
+    const leg = {
+      fraction,
+      size: position.size * fraction,
+      exitPrice,
+      displayExitPrice: currentPrice,
+      exitTime: now,
+      pnlPct: legPnlPct,
+      pnlUsd: position.size * fraction * (legPnlPct / 100),
+      reason,
+    };
+
+    sim.balance += leg.size + leg.pnlUsd;
+
+    if (fraction < 1) {
+      memeScalp.applyExitLeg(position, leg, stopPct);
+      log(`[${new Date(now).toISOString()}] ✂️ SCALE OUT ${position.token} ${reason} ${(fraction * 100).toFixed(0)}% ${legPnlPct >= 0 ? '+' : ''}${legPnlPct.toFixed(2)}% ($${leg.pnlUsd.toFixed(2)})`);
+      return;
+    }
+
+    const trade = {
+      ...memeScalp.closeWithLeg(position, leg),
+      holdTimeMs: now - position.entryTime,
+    };
+    const { pnlPct, pnlUsd } = trade;
+
+    sim.positions = sim.positions.filter(p => p.id !== position.id);
+    sim.recentExits.set(position.tokenAddress, now);
+
+    if (pnlPct < 0) {
+      const memory = sim.lossMemory.get(position.tokenAddress) || { losses: 0, lastLossTime: 0 };
+      memory.losses += 1;
+      memory.lastLossTime = now;
+      sim.lossMemory.set(position.tokenAddress, memory);
+    }
+
+    sim.closedTrades.push(trade);
+
+    log(`[${new Date(now).toISOString()}] ${pnlPct >= 0 ? '✅' : '❌'} EXIT ${position.token} ${reason} ${pnlPct >= 0 ? '+' : ''}${pnlPct.toFixed(2)}% ($${pnlUsd.toFixed(2)})`);
+  };
+
+  const isOnCooldown = (tokenAddress, now) => {
+    const lastExit = sim.recentExits.get(tokenAddress);
+    if (lastExit && now - lastExit < opts.exitCooldownMs) return true;
+
+    const memory = sim.lossMemory.get(tokenAddress);
+    return Boolean(memory) && now < getCooldownEnd(memory);
+  };
+
+  for await (const snapshot of snapshots) {
+    const now = snapshot.timestamp;
+    sim.snapshots++;
+    if (sim.startTime === null) sim.startTime = now;
+    sim.endTime = now;
+
+    const pairs = snapshot.pairs || [];
+    const snapshotPairs = [...pairs, ...(snapshot.positionPairs || [])];
+    const listed = new Set();
+    for (const pair of snapshotPairs) {
+      const price = parseFloat(pair.priceUsd || 0);
+      if (pair.baseToken?.address && price > 0) {
+        listed.add(pair.baseToken.address);
+        sim.lastPrices.set(pair.baseToken.address, price);
+        sim.lastPairs.set(pair.baseToken.address, pair);
+      }
+    }
+
+    // 1. Check existing positions first (same order as scanAndTrade)
+    for (const position of [...sim.positions]) {
+      const currentPrice = sim.lastPrices.get(position.tokenAddress);
+      if (!currentPrice) continue;
+
+      if (snapshotPairs.length > 0 && !listed.has(position.tokenAddress)) {
+        sellPosition(position, 'DELISTED', currentPrice, now);
+        continue;
+      }
+
+      const exitCheck = memeScalp.checkExit(position, currentPrice, now, sim.lastPairs.get(position.tokenAddress));
+      if (exitCheck.newPeak) {
+        position.peakPrice = exitCheck.newPeak;
+      }
+
+      if (exitCheck.shouldExit) {
+        sellPosition(position, exitCheck.reason, currentPrice, now, exitCheck.fraction, exitCheck.stopPct);
+      }
+    }
+
+    // 2. Look for a new entry (one buy per scan)
+    if (sim.positions.length < CONFIG.maxPositions) {
+      const regime = snapshot.regime
+        ? memeScalp.evaluateRegime(snapshot.regime.sol1h || 0, snapshot.regime.sol5m || 0)
+        : { canTrade: true };
+
+      if (CONFIG.marketRegimeEnabled && !regime.canTrade) {
+        log(`[${new Date(now).toISOString()}] ⏸️ ${regime.reason}`);
+      } else {
+        const trendingAddresses = new Set(snapshot.trending || []);
+        const opportunities = [];
+
+        for (const pair of pairs.slice(0, 50)) {
+          const tokenAddress = pair.baseToken?.address;
+          if (!tokenAddress || blacklistMatcher.check(pair) || isOnCooldown(tokenAddress, now)) continue;
+
+          // Recorded safety reports (top candidates only) reject or rescore like the live scan
+          const safety = SAFETY_CONFIG.safetyChecksEnabled ? snapshot.safety?.[tokenAddress] : null;
+          const result = memeScalp.evaluatePair(pair, trendingAddresses, { quiet: true, safety });
+          if (result.opportunity) {
+            opportunities.push(result.opportunity);
+          }
+        }
+
+        opportunities.sort((a, b) => b.score - a.score);
+
+        for (const opp of opportunities.slice(0, 5)) {
+          if (sim.positions.some(p => p.tokenAddress === opp.tokenAddress)) continue;
+
+          const slippageCheck = snapshot.quotes?.[opp.tokenAddress] || {
+            success: true,
+            buySlippage: opts.assumedRoundTripPct / 2,
+            sellSlippage: opts.assumedRoundTripPct / 2,
+            totalRoundTrip: opts.assumedRoundTripPct,
+          };
+          if (!memeScalp.applySlippageCheck(opp, slippageCheck, { quiet: true })) continue;
+
+          const { size } = computePositionSize({ balance: sim.balance, opp, history: sim.closedTrades });
+          if (size < 1) break;
+
+          const entryPrice = opp.price * (1 + opts.simulatedEntrySlippage);
+          sim.positions.push({
+            id: `bt_${now}_${sim.closedTrades.length + sim.positions.length}`,
+            token: opp.token,
+            tokenAddress: opp.tokenAddress,
+            entryPrice,
+            displayPrice: opp.price,
+            entryTime: now,
+            size,
+            score: opp.score,
+            entryLiquidity: opp.liquidity,
+            peakPrice: entryPrice,
+          });
+          sim.balance -= size;
+
+          log(`[${new Date(now).toISOString()}] 🚀 BUY ${opp.token} $${size.toFixed(2)} @ $${opp.price.toFixed(8)} (score ${opp.score})`);
+          break;
+        }
+      }
+    }
+
+    // 3. Mark to market for drawdown
+    const equity = sim.balance + sim.positions.reduce((sum, p) => {
+      const price = sim.lastPrices.get(p.tokenAddress) || p.entryPrice;
+      return sum + p.size * (price / p.entryPrice);
+    }, 0);
+
+    sim.peakEquity = Math.max(sim.peakEquity, equity);
+    const drawdownUsd = sim.peakEquity - equity;
+    const drawdownPct = (drawdownUsd / sim.peakEquity) * 100;
+    if (drawdownPct > sim.maxDrawdownPct) {
+      sim.maxDrawdownPct = drawdownPct;
+      sim.maxDrawdownUsd = drawdownUsd;
+    }
+  }
+
+  // Close anything still open at the last seen price
+  for (const position of [...sim.positions]) {
+    const lastPrice = sim.lastPrices.get(position.tokenAddress) || position.displayPrice;
+    sellPosition(position, 'END_OF_DATA', lastPrice, sim.endTime);
+  }
+
+  return {
+    trades: sim.closedTrades,
+    summary: summarize(sim, opts),
+  };
+}
+
+/**
+ * Build summary stats from a finished simulation
+ */
+function summarize(sim, opts) {
+  const trades = sim.closedTrades;
+  const wins = trades.filter(t => t.pnlPct > 0).length;
+  const losses = trades.length - wins;
+  const totalPnlUsd = trades.reduce((sum, t) => sum + t.pnlUsd, 0);
+
+  const exitReasons = {};
+  for (const t of trades) {
+    exitReasons[t.reason] = (exitReasons[t.reason] || 0) + 1;
+  }
+
+  return {
+    snapshots: sim.snapshots,
+    startTime: sim.startTime,
+    endTime: sim.endTime,
+    trades: trades.length,
+    wins,
+    losses,
+    winRate: trades.length ? (wins / trades.length) * 100 : 0,
+    totalPnlUsd,
+    totalPnlPct: (totalPnlUsd / opts.startingBalance) * 100,
+    avgPnlPct: trades.length ? trades.reduce((sum, t) => sum + t.pnlPct, 0) / trades.length : 0,
+    startingBalance: opts.startingBalance,
+    finalBalance: sim.balance,
+    maxDrawdownPct: sim.maxDrawdownPct,
+    maxDrawdownUsd: sim.maxDrawdownUsd,
+    exitReasons,
+  };
+}
+
+export default {
+  readSnapshots,
+  runBacktest,
+};
@@ -0,0 +1,281 @@
+/**
+ * Token Blacklist
+ * Rules loaded from config/blacklist.json (BLACKLIST_FILE to override):
+ *
+ *   {
+ *     "mints":     ["<mint address>", ...],                   exact
+ *     "symbols":   { "exact": [], "contains": [], "regex": [] },
+ *     "names":     { "exact": [], "contains": [], "regex": [] },
+ *     "deployers": ["<creator wallet>", ...]
+ *   }
+ *
+ * Symbol/name matching is case-insensitive ("CAT" blocks Cat, catai, $CAT).
+ * Deployer rules need an on-chain lookup of the mint's creator, so they are
+ * checked separately (checkDeployer) and only when any are configured.
+ *
+ * The file is re-read when it changes - edit it while the bot runs. The rug
+ * monitor adds mints/deployers with add(); those go to data/blacklist-added.json
+ * ({ "mints": [], "deployers": [] }) and are merged over the config file on load,
+ * so the tracked config never changes at runtime.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import solanaWallet from './solana-wallet.js';
+import { writeJsonAtomic } from './journal.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const CONFIG = {
+  file: process.env.BLACKLIST_FILE || path.join(__dirname, '../../config/blacklist.json'),
+  addedFile: path.join(__dirname, '../../data/blacklist-added.json'),
+};
+
+// Used when the config file is missing
+const DEFAULT_RULES = {
+  symbols: { exact: ['SOL', 'USDC', 'USDT'] },
+};
+
+let matcher = compileRules(DEFAULT_RULES);
+let fileMtimeMs = null;
+let addedMtimeMs = null;
+const creatorCache = new Map(); // mint -> creator address (null = unknown)
+const logged = new Set();       // `${mint}:${rule}` already reported
+
+/**
+ * Compile a rules object into a matcher - throws on invalid rules
+ */
+export function compileRules(rules = {}) {
+  const lower = (list = []) => list.map(v => String(v).toLowerCase());
+  const regexes = (list = []) => list.map(src => {
+    try {
+      return new RegExp(src, 'i');
+    } catch (e) {
+      throw new Error(`Invalid blacklist regex "${src}": ${e.message}`);
+    }
+  });
+  const fieldRules = (field = {}) => ({
+    exact: new Set(lower(field.exact)),
+    contains: lower(field.contains),
+    regex: regexes(field.regex),
+  });
+
+  const compiled = {
+    mints: new Set(rules.mints || []),
+    symbols: fieldRules(rules.symbols),
+    names: fieldRules(rules.names),
+    deployers: new Set(rules.deployers || []),
+  };
+
+  /**
+   * First rule matching a symbol/name value, as a readable string
+   */
+  const matchField = (label, value, field) => {
+    if (!value) return null;
+    const v = value.toLowerCase();
+    if (field.exact.has(v)) return `${label} exact "${v}"`;
+    const needle = field.contains.find(c => v.includes(c));
+    if (needle) return `${label} contains "${needle}"`;
+    const re = field.regex.find(r => r.test(value));
+    if (re) return `${label} regex /${re.source}/`;
+    return null;
+  };
+
+  return {
+    /**
+     * Check a pair's mint/symbol/name - returns the matching rule or null
+     */
+    check(pair) {
+      const token = pair.baseToken || {};
+      if (compiled.mints.has(token.address)) return `mint ${token.address}`;
+      return matchField('symbol', token.symbol, compiled.symbols)
+        || matchField('name', token.name, compiled.names);
+    },
+
+    /**
+     * Check a creator address - returns the matching rule or null
+     */
+    checkCreator(creator) {
+      return creator && compiled.deployers.has(creator) ? `deployer ${creator}` : null;
+    },
+
+    get hasDeployerRules() {
+      return compiled.deployers.size > 0;
+    },
+
+    get size() {
+      const { symbols, names } = compiled;
+      return compiled.mints.size + compiled.deployers.size
+        + symbols.exact.size + symbols.contains.length + symbols.regex.length
+        + names.exact.size + names.contains.length + names.regex.length;
+    },
+  };
+}
+
+const mtimeOf = (file) => fs.stat(file).then(s => s.mtimeMs).catch(() => 0);
+
+/**
+ * Read and parse a JSON rules file - null if it doesn't exist
+ */
+async function readRules(file) {
+  let raw;
+  try {
+    raw = await fs.readFile(file, 'utf-8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`Invalid ${path.basename(file)}: ${e.message}`);
+  }
+}
+
+/**
+ * Load rules from the config file plus runtime additions
+ * (keeps current rules if either file is invalid)
+ */
+export async function load() {
+  [fileMtimeMs, addedMtimeMs] = await Promise.all([mtimeOf(CONFIG.file), mtimeOf(CONFIG.addedFile)]);
+
+  let rules;
+  let added;
+  try {
+    [rules, added] = await Promise.all([readRules(CONFIG.file), readRules(CONFIG.addedFile)]);
+    matcher = compileRules({
+      ...(rules || DEFAULT_RULES),
+      mints: [...(rules?.mints || []), ...(added?.mints || [])],
+      deployers: [...(rules?.deployers || []), ...(added?.deployers || [])],
+    });
+    logged.clear();
+  } catch (e) {
+    console.error(`[Blacklist] ${e.message} - keeping previous rules`);
+    return matcher.size;
+  }
+
+  const addedCount = (added?.mints?.length || 0) + (added?.deployers?.length || 0);
+  const extra = addedCount > 0 ? ` (${addedCount} added at runtime)` : '';
+  if (rules) {
+    console.log(`[Blacklist] Loaded ${matcher.size} rules from ${path.basename(CONFIG.file)}${extra}`);
+  } else {
+    console.log(`[Blacklist] ${path.basename(CONFIG.file)} not found - using defaults (${matcher.size} rules)${extra}`);
+  }
+  return matcher.size;
+}
+
+/**
+ * Reload if the config file or the runtime additions changed since the last load
+ */
+export async function refresh() {
+  const [fileMtime, addedMtime] = await Promise.all([mtimeOf(CONFIG.file), mtimeOf(CONFIG.addedFile)]);
+  if (fileMtime !== fileMtimeMs || addedMtime !== addedMtimeMs) {
+    await load();
+  }
+}
+
+/**
+ * Log a block once per token and rule (scans repeat every 15s)
+ */
+function report(token, rule) {
+  const key = `${token.address}:${rule}`;
+  if (logged.has(key)) return;
+  logged.add(key);
+  console.log(`   🚫 ${token.symbol || token.address?.slice(0, 8)} blacklisted (${rule})`);
+}
+
+/**
+ * Check a pair against mint/symbol/name rules - returns the rule or null
+ */
+export function check(pair) {
+  const rule = matcher.check(pair);
+  if (rule) report(pair.baseToken || {}, rule);
+  return rule;
+}
+
+/**
+ * A mint's creator (on-chain lookup, cached) - null if unknown
+ * Throws on RPC errors (not cached - retried next time)
+ */
+export async function getCreator(tokenAddress) {
+  if (!creatorCache.has(tokenAddress)) {
+    creatorCache.set(tokenAddress, await solanaWallet.getMintCreator(tokenAddress));
+  }
+  return creatorCache.get(tokenAddress);
+}
+
+/**
+ * Check a token's creator against deployer rules
+ * Returns the rule or null; unknown creators pass
+ */
+export async function checkDeployer(tokenAddress, symbol) {
+  if (!matcher.hasDeployerRules) return null;
+
+  let creator;
+  try {
+    creator = await getCreator(tokenAddress);
+  } catch (e) {
+    console.error(`[Blacklist] Creator lookup failed for ${tokenAddress.slice(0, 8)}...: ${e.message}`);
+    return null;
+  }
+
+  const rule = matcher.checkCreator(creator);
+  if (rule) report({ address: tokenAddress, symbol }, rule);
+  return rule;
+}
+
+/**
+ * Add mints/deployers to the runtime additions file and reload
+ * Returns false if every one was already blocked
+ * Throws if the additions file exists but can't be parsed (never overwrite it)
+ */
+export async function add({ mints = [], deployers = [] }) {
+  await refresh();
+  const newMints = [...new Set(mints.filter(m => m && !matcher.check({ baseToken: { address: m } })))];
+  const newDeployers = [...new Set(deployers.filter(d => d && !matcher.checkCreator(d)))];
+  if (newMints.length + newDeployers.length === 0) return false;
+
+  let added;
+  try {
+    added = (await readRules(CONFIG.addedFile)) || {};
+  } catch (e) {
+    throw new Error(`Can't update ${path.basename(CONFIG.addedFile)}: ${e.message}`);
+  }
+  added.mints = [...new Set([...(added.mints || []), ...newMints])];
+  added.deployers = [...new Set([...(added.deployers || []), ...newDeployers])];
+
+  await writeJsonAtomic(CONFIG.addedFile, added, { keepBackup: false });
+  console.log(`[Blacklist] Added ${[...newMints, ...newDeployers].join(', ')}`);
+  await load();
+  return true;
+}
+
+/**
+ * Current compiled rules (no logging - for backtests)
+ */
+export function getMatcher() {
+  return matcher;
+}
+
+/**
+ * Override the rules file and/or runtime additions file - options: { file, addedFile }
+ * (tests, backtests)
+ */
+export function configure(options = {}) {
+  Object.assign(CONFIG, options);
+  fileMtimeMs = null;
+  addedMtimeMs = null;
+}
+
+export default {
+  compileRules,
+  load,
+  refresh,
+  check,
+  checkDeployer,
+  getCreator,
+  add,
+  getMatcher,
+  configure,
+};
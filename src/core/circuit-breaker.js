@@ -0,0 +1,219 @@
+/**
+ * Circuit Breaker
+ * Halts new entries when equity (realized balance + open positions marked to
+ * market) falls too fast, or after a losing streak.
+ *
+ * Trips on (any limit set to 0 is off):
+ * - drawdown from the day's equity peak  >= maxDailyDrawdownPct
+ * - drawdown from the last hour's peak   >= maxHourlyDrawdownPct
+ * - consecutive losing trades            >= maxLossStreak
+ *
+ * While tripped no new positions are opened (exits still run; with
+ * flattenOnTrip the bot also closes everything). Resumes after resumeAfterMs,
+ * or on `npm run risk -- resume`. Resuming resets the peaks to current equity
+ * so the same drawdown doesn't re-trip immediately. Every trip/resume goes
+ * through the notifier.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import notifier from './notifier.js';
+import { writeJsonAtomic, readJsonWithBackup } from './journal.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STATE_FILE = path.join(__dirname, '../../data/breaker-state.json');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const CONFIG = {
+  maxDailyDrawdownPct: 15,      // From the day's (UTC) equity peak
+  maxHourlyDrawdownPct: 10,     // From the rolling 1h equity peak
+  maxLossStreak: 4,             // Consecutive losing trades
+  resumeAfterMs: 60 * 60 * 1000, // Auto-resume delay (0 = only `npm run risk -- resume`)
+  flattenOnTrip: false,         // Close every open position when tripped
+};
+
+const state = {
+  tripped: null,                // { reason, at, resumeAt } while tripped
+  day: null,
+  dayPeakEquity: null,
+  equityHistory: [],            // [{ t, equity }] - last hour
+  lossStreak: 0,
+  lastEquity: null,
+};
+let fileMtimeMs = null;
+let saving = Promise.resolve();
+
+const today = (now) => new Date(now).toISOString().slice(0, 10);
+
+function persist() {
+  saving = saving
+    .then(save)
+    .catch(e => console.error(`[Breaker] Save failed: ${e.message}`));
+  return saving;
+}
+
+export async function load() {
+  const saved = await readJsonWithBackup(STATE_FILE);
+  if (saved) {
+    const { lastUpdate, ...persisted } = saved;
+    Object.assign(state, persisted);
+  }
+  fileMtimeMs = await fs.stat(STATE_FILE).then(s => s.mtimeMs).catch(() => 0);
+
+  if (state.tripped) {
+    console.log(`[Breaker] ⚠️ Tripped since ${new Date(state.tripped.at).toISOString()}: ${state.tripped.reason}`);
+  }
+}
+
+/**
+ * Reload if the CLI changed the state file since our last load/save
+ */
+export async function refresh() {
+  const mtimeMs = await fs.stat(STATE_FILE).then(s => s.mtimeMs).catch(() => 0);
+  if (mtimeMs !== fileMtimeMs) {
+    await load();
+  }
+}
+
+export async function save() {
+  await writeJsonAtomic(STATE_FILE, { ...state, lastUpdate: Date.now() });
+  fileMtimeMs = await fs.stat(STATE_FILE).then(s => s.mtimeMs).catch(() => 0);
+}
+
+/**
+ * Start measuring drawdown from the current equity
+ */
+function resetPeaks(equity, now) {
+  state.day = today(now);
+  state.dayPeakEquity = equity;
+  state.equityHistory = equity === null ? [] : [{ t: now, equity }];
+}
+
+function trip(reason, now) {
+  state.tripped = {
+    reason,
+    at: now,
+    resumeAt: CONFIG.resumeAfterMs > 0 ? now + CONFIG.resumeAfterMs : null,
+  };
+
+  const resumeNote = state.tripped.resumeAt
+    ? `auto-resume at ${new Date(state.tripped.resumeAt).toISOString().slice(11, 16)} UTC`
+    : 'manual resume only (npm run risk -- resume)';
+  console.log(`[Breaker] 🛑 TRIPPED: ${reason} - ${resumeNote}`);
+  notifier.riskAlert(`Circuit breaker TRIPPED\n${reason}\nNew entries paused - ${resumeNote}${CONFIG.flattenOnTrip ? '\nFlattening all positions' : ''}`).catch(() => {});
+}
+
+/**
+ * Resume entries (cooldown elapsed or operator command)
+ */
+export function resume(by = 'manual', now = Date.now()) {
+  if (!state.tripped) return persist();
+
+  const pausedMins = Math.round((now - state.tripped.at) / 60000);
+  console.log(`[Breaker] ✅ Resumed (${by}) after ${pausedMins}min`);
+  notifier.riskAlert(`Circuit breaker RESUMED (${by}) after ${pausedMins}min\nWas: ${state.tripped.reason}`).catch(() => {});
+
+  state.tripped = null;
+  state.lossStreak = 0;
+  resetPeaks(state.lastEquity, now);
+  return persist();
+}
+
+/**
+ * Feed the latest equity (USD) - call once per scan
+ * Returns { tripped, justTripped, reason }
+ */
+export function update(equity, now = Date.now()) {
+  if (!Number.isFinite(equity) || equity <= 0) {
+    return { tripped: Boolean(state.tripped), justTripped: false };
+  }
+
+  state.lastEquity = equity;
+
+  if (state.day !== today(now) || state.dayPeakEquity === null) {
+    resetPeaks(equity, now);
+  }
+
+  state.dayPeakEquity = Math.max(state.dayPeakEquity, equity);
+  state.equityHistory = state.equityHistory.filter(s => now - s.t <= HOUR_MS);
+  state.equityHistory.push({ t: now, equity });
+
+  if (state.tripped) {
+    if (state.tripped.resumeAt && now >= state.tripped.resumeAt) {
+      resume('cooldown elapsed', now);
+    } else {
+      persist();
+    }
+    return { tripped: Boolean(state.tripped), justTripped: false, reason: state.tripped?.reason };
+  }
+
+  const hourPeak = Math.max(...state.equityHistory.map(s => s.equity));
+  const dailyDrawdownPct = ((state.dayPeakEquity - equity) / state.dayPeakEquity) * 100;
+  const hourlyDrawdownPct = ((hourPeak - equity) / hourPeak) * 100;
+
+  let reason = null;
+  if (CONFIG.maxDailyDrawdownPct > 0 && dailyDrawdownPct >= CONFIG.maxDailyDrawdownPct) {
+    reason = `Daily drawdown ${dailyDrawdownPct.toFixed(1)}% ($${state.dayPeakEquity.toFixed(2)} → $${equity.toFixed(2)}) >= ${CONFIG.maxDailyDrawdownPct}%`;
+  } else if (CONFIG.maxHourlyDrawdownPct > 0 && hourlyDrawdownPct >= CONFIG.maxHourlyDrawdownPct) {
+    reason = `1h drawdown ${hourlyDrawdownPct.toFixed(1)}% ($${hourPeak.toFixed(2)} → $${equity.toFixed(2)}) >= ${CONFIG.maxHourlyDrawdownPct}%`;
+  }
+
+  if (reason) {
+    trip(reason, now);
+  }
+  persist();
+
+  return { tripped: Boolean(state.tripped), justTripped: Boolean(reason), reason };
+}
+
+/**
+ * Count a closed trade toward the losing streak
+ * Returns true if this trade tripped the breaker
+ */
+export function recordTrade(pnlUsd, now = Date.now()) {
+  state.lossStreak = pnlUsd < 0 ? state.lossStreak + 1 : 0;
+
+  let justTripped = false;
+  if (!state.tripped && CONFIG.maxLossStreak > 0 && state.lossStreak >= CONFIG.maxLossStreak) {
+    trip(`${state.lossStreak} losing trades in a row`, now);
+    justTripped = true;
+  }
+  persist();
+  return justTripped;
+}
+
+/**
+ * Why entries are paused (null if they aren't)
+ */
+export function getBlockReason() {
+  if (!state.tripped) return null;
+  const resumeNote = state.tripped.resumeAt
+    ? `resumes in ${Math.max(0, Math.ceil((state.tripped.resumeAt - Date.now()) / 60000))}min`
+    : 'manual resume';
+  return `Circuit breaker: ${state.tripped.reason} (${resumeNote})`;
+}
+
+export function getState() {
+  return {
+    tripped: state.tripped,
+    lastEquity: state.lastEquity,
+    dayPeakEquity: state.dayPeakEquity,
+    lossStreak: state.lossStreak,
+    blockReason: getBlockReason(),
+    limits: { ...CONFIG },
+  };
+}
+
+export default {
+  load,
+  refresh,
+  save,
+  update,
+  recordTrade,
+  resume,
+  getBlockReason,
+  getState,
+  CONFIG,
+};
@@ -0,0 +1,617 @@
+/**
+ * Configuration Loader
+ * One validated config for the strategy and the bot.
+ *
+ * Precedence (later wins):
+ *   code defaults -> profile -> config file -> environment
+ *
+ * - Profile:  SCALPER_PROFILE or "profile" in the file (built-in or file "profiles")
+ * - File:     CONFIG_FILE or config/scalper.json (optional)
+ *             { "profile": "...", "mode": "paper", "strategy": {...}, "bot": {...}, "risk": {...},
+ *               "breaker": {...}, "sizing": {...}, "rug": {...}, "safety": {...}, "stream": {...},
+ *               "landing": {...}, "jito": {...}, "rpc": {...}, "profiles": {...} }
+ * - Env:      MODE=paper|live (MEME_PAPER_MODE still accepted), and any key as
+ *             SCALPER_<KEY>, e.g. SCALPER_TAKE_PROFIT_PCT=6
+ *
+ * Unknown keys, wrong types, out-of-range and contradictory values are all
+ * collected and reported together - the bot refuses to start on any of them.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CONFIG as STRATEGY_CONFIG } from '../strategies/meme-scalp.js';
+import { CONFIG as RISK_CONFIG } from './risk.js';
+import { CONFIG as BREAKER_CONFIG } from './circuit-breaker.js';
+import { CONFIG as SIZING_CONFIG, listPolicies } from './sizing.js';
+import { CONFIG as RUG_CONFIG } from './rug-monitor.js';
+import { CONFIG as SAFETY_CONFIG } from './token-safety.js';
+import { CONFIG as STREAM_CONFIG } from './position-stream.js';
+import { CONFIG as LANDING_CONFIG } from './tx-landing.js';
+import { CONFIG as JITO_CONFIG } from './jito.js';
+import { CONFIG as RPC_CONFIG } from './rpc-pool.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = path.join(__dirname, '../../config/scalper.json');
+
+// Snapshot before anything applies overrides to the live strategy CONFIG
+const STRATEGY_DEFAULTS = structuredClone(STRATEGY_CONFIG);
+const RISK_DEFAULTS = structuredClone(RISK_CONFIG);
+const BREAKER_DEFAULTS = structuredClone(BREAKER_CONFIG);
+const SIZING_DEFAULTS = structuredClone(SIZING_CONFIG);
+const RUG_DEFAULTS = structuredClone(RUG_CONFIG);
+const SAFETY_DEFAULTS = structuredClone(SAFETY_CONFIG);
+const STREAM_DEFAULTS = structuredClone(STREAM_CONFIG);
+const LANDING_DEFAULTS = structuredClone(LANDING_CONFIG);
+const JITO_DEFAULTS = structuredClone(JITO_CONFIG);
+const RPC_DEFAULTS = structuredClone(RPC_CONFIG);
+
+const BOT_DEFAULTS = {
+  paperMode: true,
+  simulatedEntrySlippage: 0.03,     // Paper: 3% worse entry
+  simulatedExitSlippage: 0.02,      // Paper: 2% worse exit
+  reconcileIntervalMs: 5 * 60 * 1000,
+  monitorIntervalMs: 5000,          // Position checks, separate from the entry scan
+  reportIntervalMs: 5 * 60 * 1000,  // Status + job metrics in the log
+  scanTimeoutMs: 60 * 1000,         // A scan past this won't buy
+  monitorTimeoutMs: 30 * 1000,
+  reconcileTimeoutMs: 2 * 60 * 1000,
+  jobJitterPct: 10,                 // Random extra delay, % of each job's interval
+  shutdownTimeoutMs: 60 * 1000,     // Wait for in-flight jobs/orders on Ctrl+C
+};
+
+const SECTIONS = ['strategy', 'bot', 'risk', 'breaker', 'sizing', 'rug', 'safety', 'stream', 'landing', 'jito', 'rpc'];
+const DEFAULTS = {
+  strategy: STRATEGY_DEFAULTS,
+  bot: BOT_DEFAULTS,
+  risk: RISK_DEFAULTS,
+  breaker: BREAKER_DEFAULTS,
+  sizing: SIZING_DEFAULTS,
+  rug: RUG_DEFAULTS,
+  safety: SAFETY_DEFAULTS,
+  stream: STREAM_DEFAULTS,
+  landing: LANDING_DEFAULTS,
+  jito: JITO_DEFAULTS,
+  rpc: RPC_DEFAULTS,
+};
+
+// [min, max] inclusive; integer keys marked with `int`
+const RANGES = {
+  strategy: {
+    scanIntervalMs: [1000, 60 * 60 * 1000, 'int'],
+    minLiquidityUsd: [0, Infinity],
+    maxLiquidityUsd: [0, Infinity],
+    minVolume24h: [0, Infinity],
+    minVolumeSpike: [0, 100],
+    maxTokenAgeHours: [0, 24 * 365],
+    minPriceChange5m: [-100, 1000],
+    maxPriceChange5m: [-100, 1000],
+    minBuyRatio: [0, 1],
+    minScore: [0, 200],
+    minSol1hChange: [-100, 100],
+    minSol5mChange: [-100, 100],
+    regimeCacheSecs: [0, 3600],
+    tokenCooldownMs: [0, 7 * 24 * 60 * 60 * 1000, 'int'],
+    maxLossesPerToken: [1, 100, 'int'],
+    extendedCooldownMs: [0, 7 * 24 * 60 * 60 * 1000, 'int'],
+    positionSizePct: [0.1, 100],
+    maxPositions: [1, 50, 'int'],
+    takeProfitPct: [0.1, 1000],
+    stopLossPct: [0.1, 100],
+    trailingActivatePct: [0, 1000],
+    trailingDistancePct: [0.1, 100],
+    maxHoldTimeMs: [1000, 24 * 60 * 60 * 1000, 'int'],
+    exitLiquidityDropPct: [0, 100],
+    exitMinBuyRatio5m: [0, 1],
+    exitSellSpikeMult: [0, 100],
+    exitVolumeFadeRatio: [0, 1],
+    exitMinTxns5m: [0, 100000, 'int'],
+    exitSignalMinHoldMs: [0, 24 * 60 * 60 * 1000, 'int'],
+    minNetExpectedPct: [-100, 100],
+    minSellsRequired: [0, 10000, 'int'],
+    minSellRatio: [0, 1],
+  },
+  bot: {
+    simulatedEntrySlippage: [0, 0.5],
+    simulatedExitSlippage: [0, 0.5],
+    reconcileIntervalMs: [10 * 1000, 24 * 60 * 60 * 1000, 'int'],
+    monitorIntervalMs: [500, 60 * 60 * 1000, 'int'],
+    reportIntervalMs: [10 * 1000, 24 * 60 * 60 * 1000, 'int'],
+    scanTimeoutMs: [1000, 60 * 60 * 1000, 'int'],
+    monitorTimeoutMs: [1000, 60 * 60 * 1000, 'int'],
+    reconcileTimeoutMs: [1000, 60 * 60 * 1000, 'int'],
+    jobJitterPct: [0, 100],
+    shutdownTimeoutMs: [0, 10 * 60 * 1000, 'int'],
+  },
+  risk: {
+    maxTradeUsd: [0.01, 1e9],
+    maxOpenExposureUsd: [0.01, 1e9],
+    maxTokenExposureUsd: [0.01, 1e9],
+    maxDailyLossUsd: [0.01, 1e9],
+    maxConsecutiveLosses: [1, 1000, 'int'],
+    killSwitchLossUsd: [0, 1e9],
+  },
+  breaker: {
+    maxDailyDrawdownPct: [0, 100],
+    maxHourlyDrawdownPct: [0, 100],
+    maxLossStreak: [0, 1000, 'int'],
+    resumeAfterMs: [0, 7 * 24 * 60 * 60 * 1000, 'int'],
+  },
+  sizing: {
+    minSizeMult: [0, 10],
+    maxSizeMult: [0.01, 10],
+    targetVolatilityPct: [0.1, 1000],
+    scoreMinMult: [0, 10],
+    scoreMaxMult: [0, 10],
+    scoreFullAt: [1, 200],
+    maxPoolPct: [0.01, 100],
+    kellyFraction: [0.01, 1],
+    kellyMinTrades: [2, 10000, 'int'],
+    kellyLookback: [2, 10000, 'int'],
+  },
+  rug: {
+    rugPollMs: [0, 60 * 1000, 'int'],
+    rugChainCheckMs: [1000, 60 * 60 * 1000, 'int'],
+    rugLiquidityDropPct: [1, 100],
+    rugSupplyIncreasePct: [0.01, 1000],
+    rugHolderDumpPct: [0.01, 100],
+    rugTopHolders: [2, 20, 'int'],
+    emergencySlippagePct: [0.1, 50],
+  },
+  safety: {
+    goodTop10HolderPct: [0, 100],
+    maxTop10HolderPct: [0, 100],
+    minLpLockedPct: [0, 100],
+    safetyCacheMs: [0, 24 * 60 * 60 * 1000, 'int'],
+  },
+  stream: {
+    streamStaleMs: [1000, 5 * 60 * 1000, 'int'],
+    streamPollMs: [250, 60 * 1000, 'int'],
+  },
+  landing: {
+    priorityFeePercentile: [0, 100],
+    minPriorityFeeMicroLamports: [0, 100000000, 'int'],
+    maxPriorityFeeMicroLamports: [0, 100000000, 'int'],
+    rebroadcastMs: [250, 60 * 1000, 'int'],
+    landingTimeoutMs: [5000, 10 * 60 * 1000, 'int'],
+  },
+  jito: {
+    jitoTipBps: [0, 1000],
+    jitoMinTipLamports: [1000, 1e9, 'int'],       // Block engines reject tips under 1000
+    jitoMaxTipLamports: [1000, 1e9, 'int'],
+    jitoBundleTimeoutMs: [5000, 5 * 60 * 1000, 'int'],
+  },
+  rpc: {
+    rpcHealthCheckMs: [1000, 10 * 60 * 1000, 'int'],
+    rpcMaxSlotLag: [1, 10000, 'int'],
+    rpcMaxErrorPct: [0, 100],
+    rpcFailuresToDown: [1, 100, 'int'],
+    rpcCooldownMs: [1000, 60 * 60 * 1000, 'int'],
+  },
+};
+
+/**
+ * Built-in profiles - overrides on top of the code defaults
+ */
+export const PROFILES = {
+  'v5.1': {
+    description: 'Market regime filter + strict confirmations (code defaults)',
+    strategy: {},
+  },
+  'v6.3-conservative': {
+    description: 'V6.3 entries ($75k liq, 2x volume, 1.5% move, 52% buyers), +2% trailing, half size',
+    strategy: {
+      minLiquidityUsd: 75000,
+      minVolumeSpike: 2,
+      minPriceChange5m: 1.5,
+      minBuyRatio: 0.52,
+      trailingActivatePct: 2,
+      trailingDistancePct: 1.5,
+      positionSizePct: 2,
+      maxPositions: 2,
+    },
+  },
+  'v5.1-scale-out': {
+    description: 'V5.1 entries; sell half at +5%, stop to breakeven, trail the rest (TP +12%, 5min max hold)',
+    strategy: {
+      takeProfitLadder: [{ pnlPct: 5, sellPct: 50, stopPct: 0 }],
+      takeProfitPct: 12,
+      maxHoldTimeMs: 5 * 60 * 1000,
+    },
+  },
+};
+
+/**
+ * camelCase -> SCALPER_CAMEL_CASE
+ */
+export function envName(key) {
+  return 'SCALPER_' + key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Parse an env string into the type of the default value
+ */
+function parseEnvValue(raw, defaultValue) {
+  if (typeof defaultValue === 'number') {
+    const value = Number(raw);
+    return raw.trim() !== '' && Number.isFinite(value) ? value : raw;
+  }
+  if (typeof defaultValue === 'boolean') {
+    if (raw === 'true') return true;
+    if (raw === 'false') return false;
+    return raw;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+/**
+ * Resolve paper/live from MODE, legacy MEME_PAPER_MODE and the file
+ */
+function resolveMode(env, fileMode, errors) {
+  const mode = env.MODE?.trim().toLowerCase() || null;
+  const legacy = env.MEME_PAPER_MODE?.trim().toLowerCase() || null;
+
+  if (mode && !['paper', 'live'].includes(mode)) {
+    errors.push(`MODE must be "paper" or "live", got "${env.MODE}"`);
+  }
+  if (legacy && !['true', 'false'].includes(legacy)) {
+    errors.push(`MEME_PAPER_MODE must be "true" or "false", got "${env.MEME_PAPER_MODE}"`);
+  }
+  if (fileMode && !['paper', 'live'].includes(fileMode)) {
+    errors.push(`config file "mode" must be "paper" or "live", got "${fileMode}"`);
+  }
+
+  const legacyMode = legacy === 'false' ? 'live' : legacy === 'true' ? 'paper' : null;
+  if (mode && legacyMode && mode !== legacyMode) {
+    errors.push(`MODE=${mode} contradicts MEME_PAPER_MODE=${legacy} - set one of them`);
+  }
+
+  if (mode) return { paperMode: mode !== 'live', source: 'env MODE' };
+  if (legacyMode) return { paperMode: legacyMode !== 'live', source: 'env MEME_PAPER_MODE' };
+  if (fileMode) return { paperMode: fileMode !== 'live', source: 'file' };
+  return { paperMode: true, source: 'default' };
+}
+
+/**
+ * Check one value against its default's type and its range
+ */
+function validateValue(section, key, value, errors) {
+  const label = `${section}.${key}`;
+  const defaults = DEFAULTS[section];
+
+  if (!(key in defaults)) {
+    errors.push(`${label}: unknown key`);
+    return;
+  }
+
+  if (key === 'slippageRules') {
+    validateSlippageRules(value, errors);
+    return;
+  }
+  if (key === 'takeProfitLadder') {
+    validateTakeProfitLadder(value, errors);
+    return;
+  }
+  if (key === 'sizingPolicies') {
+    validateSizingPolicies(value, errors);
+    return;
+  }
+
+  const expected = typeof defaults[key];
+  if (expected === 'number' ? !Number.isFinite(value) : typeof value !== expected) {
+    errors.push(`${label}: expected ${expected}, got ${JSON.stringify(value)}`);
+    return;
+  }
+
+  const range = RANGES[section][key];
+  if (range) {
+    const [min, max, kind] = range;
+    if (value < min || value > max) {
+      errors.push(`${label}: ${value} out of range [${min}, ${max}]`);
+    } else if (kind === 'int' && !Number.isInteger(value)) {
+      errors.push(`${label}: must be an integer, got ${value}`);
+    }
+  }
+}
+
+/**
+ * Slippage tiers must ascend by liquidity and end with a catch-all (null = Infinity in JSON)
+ */
+function validateSlippageRules(rules, errors) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    errors.push('strategy.slippageRules: expected a non-empty array');
+    return;
+  }
+
+  let previous = -Infinity;
+  rules.forEach((rule, i) => {
+    if (rule?.maxLiquidity === null) rule.maxLiquidity = Infinity;
+    if (typeof rule?.maxLiquidity !== 'number' || rule.maxLiquidity <= previous) {
+      errors.push(`strategy.slippageRules[${i}].maxLiquidity must be a number above the previous tier`);
+    }
+    if (!Number.isFinite(rule?.slippage) || rule.slippage <= 0 || rule.slippage > 50) {
+      errors.push(`strategy.slippageRules[${i}].slippage must be in (0, 50]`);
+    }
+    previous = rule?.maxLiquidity;
+  });
+
+  if (rules[rules.length - 1]?.maxLiquidity !== Infinity) {
+    errors.push('strategy.slippageRules: last tier needs maxLiquidity null (no upper bound)');
+  }
+}
+
+/**
+ * Ladder levels ascend by P&L and never sell more than the whole position
+ */
+function validateTakeProfitLadder(levels, errors) {
+  if (!Array.isArray(levels)) {
+    errors.push('strategy.takeProfitLadder: expected an array (empty = no scale-out)');
+    return;
+  }
+
+  let previous = 0;
+  let soldPct = 0;
+  levels.forEach((level, i) => {
+    const label = `strategy.takeProfitLadder[${i}]`;
+    const unknown = Object.keys(level || {}).filter(k => !['pnlPct', 'sellPct', 'stopPct'].includes(k));
+    if (unknown.length > 0) {
+      errors.push(`${label}: unknown key(s) ${unknown.join(', ')}`);
+    }
+    if (!Number.isFinite(level?.pnlPct) || level.pnlPct <= previous) {
+      errors.push(`${label}.pnlPct must be a number above the previous level (and above 0)`);
+    }
+    if (!Number.isFinite(level?.sellPct) || level.sellPct <= 0 || level.sellPct > 100) {
+      errors.push(`${label}.sellPct must be in (0, 100]`);
+    } else {
+      soldPct += level.sellPct;
+    }
+    if (level?.stopPct !== undefined && (!Number.isFinite(level.stopPct) || level.stopPct >= level.pnlPct)) {
+      errors.push(`${label}.stopPct must be a number below its pnlPct`);
+    }
+    previous = level?.pnlPct;
+  });
+
+  if (soldPct > 100) {
+    errors.push(`strategy.takeProfitLadder: sells ${soldPct}% of the position in total - max 100%`);
+  }
+}
+
+/**
+ * Sizing policies must be known; fixed/kelly set the base size so only lead
+ */
+function validateSizingPolicies(names, errors) {
+  if (!Array.isArray(names) || names.length === 0) {
+    errors.push('sizing.sizingPolicies: expected a non-empty array of policy names');
+    return;
+  }
+
+  const known = listPolicies();
+  names.forEach((name, i) => {
+    if (!known.includes(name)) {
+      errors.push(`sizing.sizingPolicies: unknown policy "${name}" (available: ${known.join(', ')})`);
+    } else if (['fixed', 'kelly'].includes(name) && i > 0) {
+      errors.push(`sizing.sizingPolicies: "${name}" sets the base size and must come first`);
+    }
+  });
+}
+
+/**
+ * Cross-field checks - values that are fine alone but make no sense together
+ */
+function validateCombination(config, env, errors) {
+  const s = config.strategy;
+
+  if (s.minLiquidityUsd >= s.maxLiquidityUsd) {
+    errors.push(`minLiquidityUsd (${s.minLiquidityUsd}) must be below maxLiquidityUsd (${s.maxLiquidityUsd})`);
+  }
+  if (s.minPriceChange5m >= s.maxPriceChange5m) {
+    errors.push(`minPriceChange5m (${s.minPriceChange5m}) must be below maxPriceChange5m (${s.maxPriceChange5m})`);
+  }
+  if (s.trailingActivatePct + s.trailingDistancePct >= s.takeProfitPct) {
+    errors.push(`trailingActivatePct + trailingDistancePct (${s.trailingActivatePct} + ${s.trailingDistancePct}) must be below takeProfitPct (${s.takeProfitPct}) or the trailing stop can never fire`);
+  }
+  const lastLevel = s.takeProfitLadder[s.takeProfitLadder.length - 1];
+  if (lastLevel && lastLevel.pnlPct >= s.takeProfitPct) {
+    errors.push(`takeProfitLadder levels (up to +${lastLevel.pnlPct}%) must be below takeProfitPct (${s.takeProfitPct}) - take profit would sell everything first`);
+  }
+  if (s.extendedCooldownMs < s.tokenCooldownMs) {
+    errors.push(`extendedCooldownMs (${s.extendedCooldownMs}) must not be shorter than tokenCooldownMs (${s.tokenCooldownMs})`);
+  }
+  if (s.positionSizePct * s.maxPositions > 100) {
+    errors.push(`positionSizePct x maxPositions = ${s.positionSizePct * s.maxPositions}% - more than the whole balance`);
+  }
+  const r = config.risk;
+  if (r.maxTradeUsd > r.maxTokenExposureUsd) {
+    errors.push(`risk.maxTradeUsd ($${r.maxTradeUsd}) above risk.maxTokenExposureUsd ($${r.maxTokenExposureUsd}) - a max-size trade could never pass`);
+  }
+  if (r.maxTokenExposureUsd > r.maxOpenExposureUsd) {
+    errors.push(`risk.maxTokenExposureUsd ($${r.maxTokenExposureUsd}) above risk.maxOpenExposureUsd ($${r.maxOpenExposureUsd})`);
+  }
+  if (r.killSwitchLossUsd > 0 && r.killSwitchLossUsd < r.maxDailyLossUsd) {
+    errors.push(`risk.killSwitchLossUsd ($${r.killSwitchLossUsd}) below risk.maxDailyLossUsd ($${r.maxDailyLossUsd}) - use 0 to disable it`);
+  }
+  const z = config.sizing;
+  if (z.minSizeMult > z.maxSizeMult) {
+    errors.push(`sizing.minSizeMult (${z.minSizeMult}) above sizing.maxSizeMult (${z.maxSizeMult})`);
+  }
+  if (z.scoreMinMult > z.scoreMaxMult) {
+    errors.push(`sizing.scoreMinMult (${z.scoreMinMult}) above sizing.scoreMaxMult (${z.scoreMaxMult})`);
+  }
+  if (z.scoreFullAt <= s.minScore) {
+    errors.push(`sizing.scoreFullAt (${z.scoreFullAt}) must be above minScore (${s.minScore})`);
+  }
+  const g = config.safety;
+  if (g.goodTop10HolderPct >= g.maxTop10HolderPct) {
+    errors.push(`safety.goodTop10HolderPct (${g.goodTop10HolderPct}) must be below safety.maxTop10HolderPct (${g.maxTop10HolderPct})`);
+  }
+  const b = config.breaker;
+  if (b.maxDailyDrawdownPct > 0 && b.maxHourlyDrawdownPct >= b.maxDailyDrawdownPct) {
+    errors.push(`breaker.maxHourlyDrawdownPct (${b.maxHourlyDrawdownPct}) must be below breaker.maxDailyDrawdownPct (${b.maxDailyDrawdownPct}) - a 1h drawdown is never larger than the day's`);
+  }
+  const l = config.landing;
+  if (l.minPriorityFeeMicroLamports > l.maxPriorityFeeMicroLamports) {
+    errors.push(`landing.minPriorityFeeMicroLamports (${l.minPriorityFeeMicroLamports}) above landing.maxPriorityFeeMicroLamports (${l.maxPriorityFeeMicroLamports})`);
+  }
+  const j = config.jito;
+  if (j.jitoMinTipLamports > j.jitoMaxTipLamports) {
+    errors.push(`jito.jitoMinTipLamports (${j.jitoMinTipLamports}) above jito.jitoMaxTipLamports (${j.jitoMaxTipLamports})`);
+  }
+  const nativeWallet = (env.WALLET_PROVIDER || 'native') === 'native';
+  if (!config.bot.paperMode && nativeWallet && !env.WALLET_PRIVATE_KEY && !env.SOLANA_SEED_PHRASE) {
+    errors.push('live mode needs WALLET_PRIVATE_KEY or SOLANA_SEED_PHRASE (or WALLET_PROVIDER=remote-signer)');
+  }
+}
+
+/**
+ * Load, merge and validate the config - throws with every problem listed
+ * Returns { profile, strategy, bot, risk, breaker, sizing, rug, safety, stream, landing, jito, rpc, sources, file }
+ */
+export function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const filePath = options.file || env.CONFIG_FILE || DEFAULT_FILE;
+  const errors = [];
+
+  let fileConfig = {};
+  let fileUsed = null;
+  if (fs.existsSync(filePath)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      fileUsed = filePath;
+    } catch (e) {
+      throw new Error(`Invalid config file ${filePath}: ${e.message}`);
+    }
+  } else if (options.file || env.CONFIG_FILE) {
+    throw new Error(`Config file not found: ${filePath}`);
+  }
+
+  for (const key of Object.keys(fileConfig)) {
+    if (!['profile', 'mode', 'profiles', ...SECTIONS].includes(key)) {
+      errors.push(`config file: unknown top-level key "${key}"`);
+    }
+  }
+
+  const profiles = { ...PROFILES, ...(fileConfig.profiles || {}) };
+  const profileName = options.profile || env.SCALPER_PROFILE || fileConfig.profile || 'v5.1';
+  const profile = profiles[profileName];
+  if (!profile) {
+    throw new Error(`Unknown profile "${profileName}" (available: ${Object.keys(profiles).join(', ')})`);
+  }
+
+  const config = {
+    profile: profileName,
+    strategy: structuredClone(STRATEGY_DEFAULTS),
+    bot: { ...BOT_DEFAULTS },
+    risk: { ...RISK_DEFAULTS },
+    breaker: { ...BREAKER_DEFAULTS },
+    sizing: structuredClone(SIZING_DEFAULTS),
+    rug: { ...RUG_DEFAULTS },
+    safety: { ...SAFETY_DEFAULTS },
+    stream: { ...STREAM_DEFAULTS },
+    landing: { ...LANDING_DEFAULTS },
+    jito: { ...JITO_DEFAULTS },
+    rpc: { ...RPC_DEFAULTS },
+    sources: {},
+    file: fileUsed,
+  };
+
+  // Layer each source, validating values as they come in
+  const layer = (section, values = {}, source) => {
+    for (const [key, value] of Object.entries(values)) {
+      if (section === 'bot' && key === 'paperMode') {
+        errors.push(`${source}: set paper/live with MODE (or "mode" in the file), not bot.paperMode`);
+        continue;
+      }
+      const before = errors.length;
+      validateValue(section, key, value, errors);
+      if (errors.length > before) {
+        for (let i = before; i < errors.length; i++) errors[i] += ` (${source})`;
+        continue;
+      }
+      config[section][key] = value;
+      config.sources[`${section}.${key}`] = source;
+    }
+  };
+
+  for (const section of SECTIONS) {
+    layer(section, profile[section], `profile ${profileName}`);
+  }
+  for (const section of SECTIONS) {
+    layer(section, fileConfig[section], 'file');
+  }
+
+  for (const section of SECTIONS) {
+    const defaults = DEFAULTS[section];
+    const fromEnv = {};
+    for (const key of Object.keys(defaults)) {
+      const raw = env[envName(key)];
+      if (raw !== undefined && key !== 'paperMode') {
+        fromEnv[key] = parseEnvValue(raw, defaults[key]);
+      }
+    }
+    layer(section, fromEnv, 'env');
+  }
+
+  const mode = resolveMode(env, fileConfig.mode, errors);
+  config.bot.paperMode = mode.paperMode;
+  config.sources['bot.paperMode'] = mode.source;
+
+  if (errors.length === 0) {
+    validateCombination(config, env, errors);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  }
+
+  return config;
+}
+
+/**
+ * Apply a loaded config to the live strategy CONFIG
+ */
+export function applyConfig(config) {
+  Object.assign(STRATEGY_CONFIG, structuredClone(config.strategy));
+  Object.assign(RISK_CONFIG, config.risk);
+  Object.assign(BREAKER_CONFIG, config.breaker);
+  Object.assign(SIZING_CONFIG, structuredClone(config.sizing));
+  Object.assign(RUG_CONFIG, config.rug);
+  Object.assign(SAFETY_CONFIG, config.safety);
+  Object.assign(STREAM_CONFIG, config.stream);
+  Object.assign(LANDING_CONFIG, config.landing);
+  Object.assign(JITO_CONFIG, config.jito);
+  Object.assign(RPC_CONFIG, config.rpc);
+}
+
+/**
+ * Print the effective config, marking anything not at its default
+ */
+export function printConfig(config) {
+  const fmt = (value) => {
+    if (!Array.isArray(value)) return String(value);
+    return value.map((r) => {
+      if (typeof r === 'string') return r;
+      if ('pnlPct' in r) return `+${r.pnlPct}%:sell ${r.sellPct}%${r.stopPct !== undefined ? `,stop ${r.stopPct}%` : ''}`;
+      return `${r.maxLiquidity === Infinity ? '∞' : r.maxLiquidity}:${r.slippage}%`;
+    }).join(' ') || '[]';
+  };
+
+  console.log(`\n⚙️ Config: profile ${config.profile}${config.file ? ` + ${path.basename(config.file)}` : ''}`);
+  for (const section of ['bot', 'risk', 'breaker', 'sizing', 'rug', 'safety', 'stream', 'landing', 'jito', 'rpc', 'strategy']) {
+    for (const [key, value] of Object.entries(config[section])) {
+      const source = config.sources[`${section}.${key}`];
+      console.log(`   ${`${section}.${key}`.padEnd(36)} ${fmt(value)}${source && source !== 'default' ? `  (${source})` : ''}`);
+    }
+  }
+}
+
+export default {
+  loadConfig,
+  applyConfig,
+  printConfig,
+  envName,
+  PROFILES,
+};
@@ -0,0 +1,163 @@
+/**
+ * Token Cooldown Store
+ * Persists per-token cooldowns so a restart doesn't forget what burned us.
+ *
+ * Kinds:
+ * - loss:   strategy loss memory ({ losses, lastLossTime }) - 1h, 4h after repeats
+ * - exit:   bot re-entry cooldown after any exit ({ exitTime })
+ * - manual: operator penalty ({ reason, addedAt }) - set via `npm run cooldowns`
+ *
+ * Every entry carries `until` (ms timestamp); expired entries are ignored and
+ * pruned on load/save. The file is re-read when it changes on disk, so the
+ * CLI can edit cooldowns while the bot is running.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { writeJsonAtomic, readJsonWithBackup } from './journal.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const KINDS = ['loss', 'exit', 'manual'];
+
+const CONFIG = {
+  file: path.join(__dirname, '../../data/cooldowns.json'),
+};
+
+const store = new Map(); // `${kind}:${tokenAddress}` -> { tokenAddress, kind, until, ... }
+let fileMtimeMs = 0;
+
+const keyOf = (tokenAddress, kind) => `${kind}:${tokenAddress}`;
+
+/**
+ * Override the store file (CLI, tests)
+ */
+export function configure(options = {}) {
+  Object.assign(CONFIG, options);
+}
+
+/**
+ * Drop expired entries
+ */
+function prune(now = Date.now()) {
+  for (const [key, entry] of store) {
+    if (entry.until <= now) store.delete(key);
+  }
+}
+
+/**
+ * Load cooldowns from disk (replaces in-memory entries)
+ */
+export async function load() {
+  const saved = await readJsonWithBackup(CONFIG.file);
+
+  store.clear();
+  for (const entry of saved?.cooldowns || []) {
+    if (KINDS.includes(entry.kind) && entry.tokenAddress && entry.until) {
+      store.set(keyOf(entry.tokenAddress, entry.kind), entry);
+    }
+  }
+  prune();
+
+  fileMtimeMs = await fs.stat(CONFIG.file).then(s => s.mtimeMs).catch(() => 0);
+  return store.size;
+}
+
+/**
+ * Reload if another process (the CLI) changed the file since our last load/save
+ */
+export async function refresh() {
+  const mtimeMs = await fs.stat(CONFIG.file).then(s => s.mtimeMs).catch(() => 0);
+  if (mtimeMs !== fileMtimeMs) {
+    await load();
+    console.log(`[Cooldowns] Reloaded ${store.size} cooldowns from disk`);
+  }
+}
+
+/**
+ * Write all live cooldowns to disk
+ */
+export async function save() {
+  prune();
+  await writeJsonAtomic(CONFIG.file, {
+    cooldowns: [...store.values()],
+    lastUpdate: Date.now(),
+  });
+  fileMtimeMs = await fs.stat(CONFIG.file).then(s => s.mtimeMs).catch(() => 0);
+}
+
+/**
+ * Get an active cooldown entry (null if none or expired)
+ */
+export function get(tokenAddress, kind, now = Date.now()) {
+  const entry = store.get(keyOf(tokenAddress, kind));
+  return entry && entry.until > now ? entry : null;
+}
+
+/**
+ * Set a cooldown and persist it - data must include `until`
+ */
+export async function set(tokenAddress, kind, data) {
+  if (!KINDS.includes(kind)) {
+    throw new Error(`Unknown cooldown kind: ${kind} (expected ${KINDS.join(', ')})`);
+  }
+  if (!Number.isFinite(data.until)) {
+    throw new Error('Cooldown needs an `until` timestamp');
+  }
+
+  const entry = { ...data, tokenAddress, kind };
+  store.set(keyOf(tokenAddress, kind), entry);
+  await save();
+  return entry;
+}
+
+/**
+ * Clear cooldowns for a token (one kind or all). Returns how many were removed
+ */
+export async function clear(tokenAddress, kind = null) {
+  let removed = 0;
+  for (const k of kind ? [kind] : KINDS) {
+    if (store.delete(keyOf(tokenAddress, k))) removed++;
+  }
+  if (removed > 0) await save();
+  return removed;
+}
+
+/**
+ * Clear every cooldown (optionally only one kind)
+ */
+export async function clearAll(kind = null) {
+  let removed = 0;
+  for (const [key, entry] of store) {
+    if (!kind || entry.kind === kind) {
+      store.delete(key);
+      removed++;
+    }
+  }
+  await save();
+  return removed;
+}
+
+/**
+ * Active cooldowns, soonest-expiring first
+ */
+export function list(kind = null, now = Date.now()) {
+  return [...store.values()]
+    .filter(e => e.until > now && (!kind || e.kind === kind))
+    .sort((a, b) => a.until - b.until)
+    .map(e => ({ ...e, minsLeft: Math.ceil((e.until - now) / 60000) }));
+}
+
+export default {
+  configure,
+  load,
+  refresh,
+  save,
+  get,
+  set,
+  clear,
+  clearAll,
+  list,
+  KINDS,
+};
@@ -19,8 +19,8 @@ const ONEINCH_API = 'https://api.1inch.dev';
 const ONEINCH_SWAP_API = `${ONEINCH_API}/swap/v6.0`;
 const ONEINCH_FUSION_API = `${ONEINCH_API}/fusion/orders/v2.0`;
 
-// Jupiter API endpoint (Solana)
-const JUPITER_API = 'https://lite-api.jup.ag/swap/v1';
+// Jupiter API endpoint (Solana) - override to point at a mock server
+const JUPITER_API = process.env.JUPITER_API_URL || 'https://lite-api.jup.ag/swap/v1';
 
 // Native token addresses (used for ETH/MATIC swaps)
 const NATIVE_TOKEN = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
@@ -219,8 +219,10 @@ export async function getQuoteJupiter(tokenIn, tokenOut, amount, slippageBps = 5
 
 /**
  * Build swap transaction from Jupiter (Solana)
+ * options.computeUnitPriceMicroLamports: our priority fee (default: Jupiter's 'auto')
  */
-export async function buildSwapJupiter(quoteResponse, userPublicKey) {
+export async function buildSwapJupiter(quoteResponse, userPublicKey, options = {}) {
+  const { computeUnitPriceMicroLamports } = options;
   const response = await fetch(`${JUPITER_API}/swap`, {
     method: 'POST',
     headers: getJupiterHeaders(),
@@ -229,7 +231,9 @@ export async function buildSwapJupiter(quoteResponse, userPublicKey) {
       userPublicKey,
       wrapAndUnwrapSol: true,
       dynamicComputeUnitLimit: true,
-      prioritizationFeeLamports: 'auto'
+      ...(computeUnitPriceMicroLamports
+        ? { computeUnitPriceMicroLamports }
+        : { prioritizationFeeLamports: 'auto' })
     }),
     timeout: 15000
   });
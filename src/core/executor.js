@@ -1,218 +1,103 @@
 /**
  * Trade Executor
- * Real swap execution via 1inch/Jupiter + Venly
+ * Generic buy / sell / stop-loss monitoring on top of solana-swap.js (Jupiter).
+ * Signing goes through the wallet provider (core/wallet.js): the native
+ * keypair by default, or options.wallet / WALLET_PROVIDER=remote-signer.
  */
 
-import fetch from 'node-fetch';
-import venly from './venly.js';
-import solanaWallet from './solana-wallet.js';
+import solanaSwap from './solana-swap.js';
 import dex from './dex.js';
 import oracle from './oracle.js';
 import risk from './risk.js';
 import notifier from './notifier.js';
+import { getWallet } from './wallet.js';
+import { createJournal } from './journal.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-// Load wallet config
-async function getWalletConfig() {
-  const configPath = path.join(__dirname, '../../config/wallets.json');
-  const data = await fs.readFile(configPath, 'utf-8');
-  return JSON.parse(data);
-}
+const BUY_SLIPPAGE_BPS = 500;   // 5% for volatile memecoins
+const SELL_SLIPPAGE_BPS = 1000; // 10% for sells (memecoins are volatile!)
+const MAX_SWAP_ATTEMPTS = 3;
 
-// Trade log
-const TRADES_LOG = path.join(__dirname, '../../data/trades.json');
+// Trade log - append-only journal, one fsync'd line per create/update
+// (a crash mid-write can no longer truncate the whole history)
+const TRADES_LOG = path.join(__dirname, '../../data/trades.jsonl');
+const LEGACY_TRADES_LOG = path.join(__dirname, '../../data/trades.json');
+const tradeJournal = createJournal(TRADES_LOG);
 
 async function loadTrades() {
+  const trades = new Map();
+  
+  // Pre-journal history
   try {
-    const data = await fs.readFile(TRADES_LOG, 'utf-8');
-    return JSON.parse(data);
-  } catch {
-    return [];
+    const legacy = JSON.parse(await fs.readFile(LEGACY_TRADES_LOG, 'utf-8'));
+    legacy.forEach(t => trades.set(t.id, t));
+  } catch {}
+  
+  for (const entry of await tradeJournal.open()) {
+    if (entry.type === 'TRADE_OPENED') {
+      trades.set(entry.trade.id, entry.trade);
+    } else if (entry.type === 'TRADE_UPDATED' && trades.has(entry.tradeId)) {
+      trades.set(entry.tradeId, { ...trades.get(entry.tradeId), ...entry.updates });
+    }
   }
+  
+  return [...trades.values()];
 }
 
 async function saveTrade(trade) {
-  const trades = await loadTrades();
-  trades.push(trade);
-  await fs.mkdir(path.dirname(TRADES_LOG), { recursive: true });
-  await fs.writeFile(TRADES_LOG, JSON.stringify(trades, null, 2));
+  if (tradeJournal.lastSeq === 0) await tradeJournal.open();
+  await tradeJournal.append('TRADE_OPENED', { trade });
   return trade;
 }
 
 async function updateTrade(tradeId, updates) {
-  const trades = await loadTrades();
-  const index = trades.findIndex(t => t.id === tradeId);
-  if (index >= 0) {
-    trades[index] = { ...trades[index], ...updates };
-    await fs.writeFile(TRADES_LOG, JSON.stringify(trades, null, 2));
-  }
-}
-
-/**
- * Execute a Solana swap using native wallet (Jupiter)
- * Includes retry logic with fresh quotes for slippage failures
- */
-async function executeSwapNativeSolana(swapData, retryContext = null) {
-  const MAX_RETRIES = 3;
-  const attempt = retryContext?.attempt || 1;
-  
-  console.log(`   🔐 Signing with native Solana wallet... (attempt ${attempt}/${MAX_RETRIES})`);
-  
-  // swapData.swapTransaction is base64-encoded from Jupiter
-  const result = await solanaWallet.signAndSendRawTransaction(
-    swapData.swapTransaction,
-    { skipPreflight: true, maxRetries: 2 }  // skipPreflight to avoid simulation errors
-  );
-  
-  if (!result.success) {
-    const isSlippageError = result.error?.includes('0x1788') || 
-                           result.error?.includes('Slippage') ||
-                           result.error?.includes('ExceededSlippage');
-    
-    // Retry with fresh quote on slippage errors
-    if (isSlippageError && attempt < MAX_RETRIES && retryContext?.refreshQuote) {
-      console.log(`   ⚠️ Slippage error, retrying with fresh quote...`);
-      await new Promise(r => setTimeout(r, 1000)); // Brief delay
-      
-      try {
-        const freshSwapData = await retryContext.refreshQuote();
-        return executeSwapNativeSolana(freshSwapData, { ...retryContext, attempt: attempt + 1 });
-      } catch (refreshErr) {
-        console.error(`   ❌ Failed to refresh quote: ${refreshErr.message}`);
-      }
-    }
-    
-    // Don't throw - return failure gracefully
-    console.error(`   ❌ Swap failed after ${attempt} attempts: ${result.error}`);
-    return { success: false, error: result.error, chain: 'solana' };
-  }
-  
-  return { success: true, txHash: result.signature, chain: 'solana' };
+  if (tradeJournal.lastSeq === 0) await tradeJournal.open();
+  await tradeJournal.append('TRADE_UPDATED', { tradeId, updates });
 }
 
 /**
- * Execute a swap via Venly (EVM chains only now)
- * Solana uses native wallet
+ * Run a solana-swap call, retrying slippage failures (each attempt re-quotes)
  */
-async function executeSwapViaVenly(chain, walletId, swapData, pin, retryContext = null) {
-  // Route Solana to native wallet
-  if (chain === 'solana') {
-    return executeSwapNativeSolana(swapData, retryContext);
-  }
-  
-  const token = await venly.getToken();
-  
-  // EVM chains only below
-    // For EVM chains, execute raw transaction
-    const secretType = chain.toUpperCase() === 'POLYGON' ? 'MATIC' : chain.toUpperCase();
-    
-    const response = await fetch('https://api-wallet.venly.io/api/transactions/execute', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        pincode: pin,
-        transactionRequest: {
-          type: `${secretType}_TRANSACTION`,
-          walletId: walletId,
-          to: swapData.tx.to,
-          value: swapData.tx.value || '0',
-          data: swapData.tx.data,
-          ...(swapData.tx.gas && { gas: swapData.tx.gas.toString() })
-        }
-      })
-    });
-
-    const result = await response.json();
-    if (!result.success) {
-      throw new Error(`Venly execution failed: ${JSON.stringify(result)}`);
+async function swapWithRetry(runSwap) {
+  for (let attempt = 1; ; attempt++) {
+    console.log(`   ⚡ Executing swap... (attempt ${attempt}/${MAX_SWAP_ATTEMPTS})`);
+    const result = await runSwap();
+    if (result.success) return result;
+
+    // Decoded by core/tx-landing.js (simulation or on-chain error)
+    if (result.code !== 'SLIPPAGE' || attempt >= MAX_SWAP_ATTEMPTS) {
+      console.error(`   ❌ Swap failed after ${attempt} attempts: ${result.error}`);
+      return result;
     }
 
-    return { txHash: result.result.transactionHash, chain };
-}
-
-/**
- * Handle token approval if needed
- */
-async function ensureApproval(chain, tokenAddress, walletAddress, walletId, amount, pin) {
-  // Check if approval is needed
-  const { needsApproval } = await dex.checkAllowance(chain, tokenAddress, walletAddress);
-  
-  if (!needsApproval) {
-    console.log('   ✓ Token already approved');
-    return true;
-  }
-
-  console.log('   🔐 Approving token for 1inch router...');
-  
-  // Build approval transaction
-  const approvalTx = await dex.buildApproval(chain, tokenAddress);
-  
-  // Execute approval
-  const token = await venly.getToken();
-  const secretType = chain.toUpperCase() === 'POLYGON' ? 'MATIC' : chain.toUpperCase();
-  
-  const response = await fetch('https://api-wallet.venly.io/api/transactions/execute', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      pincode: pin,
-      transactionRequest: {
-        type: `${secretType}_TRANSACTION`,
-        walletId: walletId,
-        to: approvalTx.to,
-        value: '0',
-        data: approvalTx.data,
-        gas: '60000'
-      }
-    })
-  });
-
-  const result = await response.json();
-  if (!result.success) {
-    throw new Error(`Approval failed: ${JSON.stringify(result)}`);
+    console.log(`   ⚠️ Slippage error, retrying with fresh quote...`);
+    await new Promise(r => setTimeout(r, 1000)); // Brief delay
   }
-
-  console.log(`   ✓ Approved: ${result.result.transactionHash}`);
-  
-  // Wait for confirmation
-  await new Promise(r => setTimeout(r, 5000));
-  
-  return true;
 }
 
 /**
- * Execute a BUY order (native token -> target token)
+ * Execute a BUY order (SOL -> target token)
+ * options.wallet:      wallet provider to use instead of the active one
+ * options.tipLamports: Jito tip for this trade instead of the policy (0: no bundle)
  */
 export async function executeBuy(signal, options = {}) {
-  const { chain, tokenAddress, tokenSymbol, size, stopLoss = 2, takeProfit = 10 } = signal;
-  const pin = options.pin || process.env.WALLET_PIN;
+  const { chain = 'solana', tokenAddress, tokenSymbol, size, stopLoss = 2, takeProfit = 10 } = signal;
   
   console.log(`\n🔄 Executing BUY: ${tokenSymbol} on ${chain}`);
   console.log(`   Size: $${size.toFixed(2)}`);
   console.log(`   Stop Loss: ${stopLoss}%`);
   console.log(`   Take Profit: ${takeProfit}%`);
   
-  // Load wallet config
-  const walletConfig = await getWalletConfig();
-  const wallet = walletConfig.wallets[chain];
-  
-  if (!wallet) {
-    throw new Error(`No wallet configured for ${chain}`);
-  }
+  const wallet = options.wallet || getWallet(chain);
 
   // Check risk approval
   const riskCheck = risk.canTrade({
     token: tokenSymbol,
+    tokenAddress,
     size: size,
     stopLoss: stopLoss
   });
@@ -223,18 +108,16 @@ export async function executeBuy(signal, options = {}) {
     return { success: false, reason: riskCheck.reason };
   }
 
-  // Get native token price to calculate amount
+  // Get SOL price to calculate amount
   const prices = await oracle.getPrices();
-  const nativePrice = chain === 'solana' ? prices.SOL : prices.ETH;
-  const nativeAmount = size / nativePrice;
-  const nativeDecimals = chain === 'solana' ? 9 : 18;
-  const rawAmount = dex.parseAmount(nativeAmount.toFixed(nativeDecimals), nativeDecimals);
-
-  console.log(`   Native Amount: ${nativeAmount.toFixed(6)} ${chain === 'solana' ? 'SOL' : 'ETH'}`);
+  const solPrice = prices.SOL;
+  if (!solPrice) {
+    console.log('   ❌ No agreed SOL price - not trading');
+    return { success: false, reason: 'Price oracle unavailable' };
+  }
+  const solAmount = size / solPrice;
 
-  // Determine token addresses
-  const tokenIn = dex.TOKENS[chain]?.NATIVE || dex.NATIVE_TOKEN;
-  const tokenOut = tokenAddress;
+  console.log(`   SOL Amount: ${solAmount.toFixed(6)} SOL`);
 
   // Create trade record
   const trade = {
@@ -244,10 +127,10 @@ export async function executeBuy(signal, options = {}) {
     token: tokenSymbol,
     tokenAddress,
     size,
-    nativeAmount,
+    nativeAmount: solAmount,
     stopLoss,
     takeProfit,
-    status: 'BUILDING',
+    status: 'EXECUTING',
     signal,
     createdAt: new Date().toISOString()
   };
@@ -255,50 +138,34 @@ export async function executeBuy(signal, options = {}) {
   await saveTrade(trade);
 
   try {
-    // Get quote first
-    console.log('   📊 Getting quote...');
-    const quote = await dex.getQuote(chain, tokenIn, tokenOut, rawAmount);
-    console.log(`   Expected output: ${dex.formatAmount(quote.amountOut, 18)} tokens`);
-
-    // Build swap transaction
-    console.log('   🔨 Building swap...');
-    const swapData = await dex.buildSwap(
-      chain, 
-      tokenIn, 
-      tokenOut, 
-      rawAmount, 
-      wallet.address,
-      5 // 5% slippage for volatile memecoins
-    );
-
-    // Update trade with expected values
-    trade.expectedTokens = quote.amountOut;
-    trade.status = 'EXECUTING';
-    await updateTrade(trade.id, trade);
-
-    // Create retry context with fresh quote function (for Solana slippage retries)
-    const retryContext = chain === 'solana' ? {
-      refreshQuote: async () => {
-        console.log('   🔄 Fetching fresh quote...');
-        return dex.buildSwap(chain, tokenIn, tokenOut, rawAmount, wallet.address, 5);
-      }
-    } : null;
-
-    // Execute via Venly
-    console.log('   ⚡ Executing swap...');
-    const result = await executeSwapViaVenly(chain, wallet.id, swapData, pin, retryContext);
+    const result = await swapWithRetry(() => solanaSwap.buyWithSol(tokenAddress, solAmount, BUY_SLIPPAGE_BPS, { wallet, tipLamports: options.tipLamports }));
     
     // Handle swap failure gracefully
-    if (result.success === false) {
+    if (!result.success) {
       trade.status = 'FAILED';
       trade.error = result.error;
+      trade.txHash = result.txHash || null;
       await updateTrade(trade.id, trade);
       console.log(`   ❌ Swap failed: ${result.error}`);
       return { success: false, reason: result.error };
     }
     
-    // Get current price for entry tracking
-    const currentPrice = await getCurrentTokenPrice(tokenAddress);
+    // Entry price from what we actually paid, else the market price
+    let currentPrice = 0;
+    const fill = result.fill;
+    if (fill) {
+      const costSol = (fill.swapLamports + fill.feeLamports + result.tipLamports) / 1e9;
+      currentPrice = fill.tokenAmount > 0 ? (costSol * solPrice) / fill.tokenAmount : 0;
+      trade.tokensReceived = fill.tokenAmount;
+      trade.solSpent = costSol;
+      trade.feeLamports = fill.feeLamports;
+      trade.priorityFeeLamports = fill.priorityFeeLamports;
+      trade.tipLamports = result.tipLamports;
+      console.log(`   🧾 Fill: ${fill.tokenAmount} tokens for ${costSol.toFixed(6)} SOL`);
+    }
+    if (!currentPrice) {
+      currentPrice = await getCurrentTokenPrice(tokenAddress);
+    }
 
     // Update trade record
     trade.status = 'COMPLETED';
@@ -355,32 +222,31 @@ export async function executeBuy(signal, options = {}) {
 }
 
 /**
- * Execute a SELL order (token -> native)
+ * Execute a SELL order (token -> SOL) from the wallet's on-chain balance
+ * options.percent: share of the holding to sell (default 100 - full exit, which
+ *                  also closes the emptied token account to reclaim rent)
+ * options.wallet:  wallet provider to use instead of the active one
+ * options.tipLamports: Jito tip for this trade instead of the policy (0: no bundle)
  */
 export async function executeSell(position, reason = 'MANUAL', options = {}) {
-  const { chain, tokenAddress, token: tokenSymbol, size } = position;
-  const pin = options.pin || process.env.WALLET_PIN;
+  const { chain = 'solana', tokenAddress, token: tokenSymbol } = position;
+  const percent = options.percent ?? 100;
+  if (!(percent > 0 && percent <= 100)) {
+    return { success: false, reason: `Invalid sell percent: ${percent}` };
+  }
+  const fullExit = percent === 100;
+  const size = position.size * (percent / 100); // USD cost of the part we sell
   
-  console.log(`\n🔄 Executing SELL: ${tokenSymbol} on ${chain}`);
-  console.log(`   Position size: $${size}`);
+  console.log(`\n🔄 Executing SELL${fullExit ? '' : ` ${percent}%`}: ${tokenSymbol} on ${chain}`);
+  console.log(`   Position size: $${position.size}${fullExit ? '' : ` (selling $${size.toFixed(2)})`}`);
   console.log(`   Reason: ${reason}`);
 
-  const walletConfig = await getWalletConfig();
-  const wallet = walletConfig.wallets[chain];
-  
-  if (!wallet) {
-    throw new Error(`No wallet configured for ${chain}`);
-  }
-
-  // Get current token balance
-  const balances = await venly.getBalance(wallet.id);
-  // Find the token balance - this depends on how Venly returns it
-  // For now we'll estimate based on entry
+  const wallet = options.wallet || getWallet(chain);
   
   // Get current price
   const currentPrice = await getCurrentTokenPrice(tokenAddress);
-  const pnlPct = ((currentPrice - position.entryPrice) / position.entryPrice) * 100;
-  const pnlUsd = size * (pnlPct / 100);
+  let pnlPct = ((currentPrice - position.entryPrice) / position.entryPrice) * 100;
+  let pnlUsd = size * (pnlPct / 100);
 
   console.log(`   Entry: $${position.entryPrice?.toFixed(6) || 'unknown'}`);
   console.log(`   Current: $${currentPrice.toFixed(6)}`);
@@ -395,65 +261,64 @@ export async function executeSell(position, reason = 'MANUAL', options = {}) {
     entryPrice: position.entryPrice,
     exitPrice: currentPrice,
     size,
+    percent,
     pnlPct,
     pnlUsd,
     reason,
-    status: 'BUILDING',
+    status: 'EXECUTING',
     createdAt: new Date().toISOString()
   };
 
   await saveTrade(trade);
 
   try {
-    // Token addresses
-    const tokenIn = tokenAddress;
-    const tokenOut = dex.TOKENS[chain]?.NATIVE || dex.NATIVE_TOKEN;
-
-    // Estimate token amount from position
-    // In production, query actual balance from chain
-    const estimatedTokens = (size / position.entryPrice).toString();
-    const rawAmount = dex.parseAmount(estimatedTokens, 18);
-
-    // Check and handle approval
-    if (chain !== 'solana') {
-      await ensureApproval(chain, tokenIn, wallet.address, wallet.id, rawAmount, pin);
-    }
-
-    // Build swap
-    console.log('   🔨 Building sell swap...');
-    const swapData = await dex.buildSwap(
-      chain,
-      tokenIn,
-      tokenOut,
-      rawAmount,
-      wallet.address,
-      10 // 10% slippage for sells (memecoins are volatile!)
-    );
-
-    trade.status = 'EXECUTING';
-    await updateTrade(trade.id, trade);
-
-    // Create retry context for Solana slippage retries
-    const retryContext = chain === 'solana' ? {
-      refreshQuote: async () => {
-        console.log('   🔄 Fetching fresh quote for sell...');
-        return dex.buildSwap(chain, tokenIn, tokenOut, rawAmount, wallet.address, 10);
-      }
-    } : null;
-
-    // Execute
-    console.log('   ⚡ Executing swap...');
-    const result = await executeSwapViaVenly(chain, wallet.id, swapData, pin, retryContext);
+    // Amounts come from the on-chain raw balance and mint decimals, re-read on every attempt
+    const swapOptions = { wallet, tipLamports: options.tipLamports };
+    const result = await swapWithRetry(() => fullExit
+      ? solanaSwap.sellAll(tokenAddress, SELL_SLIPPAGE_BPS, swapOptions)
+      : solanaSwap.sellPortion(tokenAddress, percent / 100, SELL_SLIPPAGE_BPS, swapOptions));
 
     // Handle swap failure gracefully
-    if (result.success === false) {
+    if (!result.success) {
       trade.status = 'FAILED';
       trade.error = result.error;
+      trade.txHash = result.txHash || null;
       await updateTrade(trade.id, trade);
       console.log(`   ❌ Sell failed: ${result.error}`);
       return { success: false, reason: result.error, pnlPct };
     }
 
+    // Exit price and P&L from what we actually received
+    const fill = result.fill;
+    if (fill && fill.tokenAmount > 0) {
+      const solPrice = (await oracle.getPrices()).SOL;
+      if (solPrice) {
+        const proceedsSol = (fill.solDeltaLamports - result.tipLamports) / 1e9; // Net of fees and tip
+        trade.exitPrice = (proceedsSol * solPrice) / fill.tokenAmount;
+        trade.tokensSold = fill.tokenAmount;
+        trade.solReceived = proceedsSol;
+        trade.tipLamports = result.tipLamports;
+        pnlUsd = proceedsSol * solPrice - size;
+        pnlPct = (pnlUsd / size) * 100;
+        trade.pnlPct = pnlPct;
+        trade.pnlUsd = pnlUsd;
+        console.log(`   🧾 Fill: ${fill.tokenAmount} tokens for ${proceedsSol.toFixed(6)} SOL (${pnlPct >= 0 ? '+' : ''}${pnlPct.toFixed(2)}%)`);
+      }
+    }
+
+    trade.tokensSoldRaw = result.amountRaw;
+    trade.decimals = result.decimals;
+
+    // Empty token account left behind - close it for the rent
+    if (fullExit) {
+      const closed = await solanaSwap.closeEmptyTokenAccounts(tokenAddress, { wallet });
+      if (closed.success) {
+        trade.rentReclaimedLamports = closed.rentLamports;
+      } else {
+        console.log(`   ⚠️ Couldn't close token account: ${closed.error}`);
+      }
+    }
+
     // Update trade
     trade.status = 'COMPLETED';
     trade.txHash = result.txHash;
@@ -461,8 +326,12 @@ export async function executeSell(position, reason = 'MANUAL', options = {}) {
     
     await updateTrade(trade.id, trade);
 
-    // Close position in risk manager
-    risk.closePosition(position.id, currentPrice, pnlPct);
+    // Book in the risk manager (closePosition takes the whole trade's P&L)
+    if (fullExit) {
+      risk.closePosition(position.id, trade.exitPrice, pnlPct, (position.realizedUsd || 0) + pnlUsd);
+    } else {
+      risk.reducePosition(position.id, size, pnlUsd);
+    }
 
     console.log(`   ✅ Sold: ${result.txHash}`);
 
@@ -503,20 +372,11 @@ export async function executeSell(position, reason = 'MANUAL', options = {}) {
 }
 
 /**
- * Get current token price from DEX Screener
+ * Get current token price from the price oracle (cross-checked sources)
  */
 async function getCurrentTokenPrice(tokenAddress) {
   try {
-    const response = await fetch(
-      `https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`,
-      { timeout: 5000 }
-    );
-    const data = await response.json();
-    const pair = data.pairs?.[0];
-    
-    if (pair) {
-      return parseFloat(pair.priceUsd);
-    }
+    return await oracle.getTokenUsd(tokenAddress);
   } catch (e) {
     console.log(`   ⚠️ Price fetch failed: ${e.message}`);
   }
@@ -0,0 +1,253 @@
+/**
+ * Jito Bundles
+ * MEV-protected submission: the signed swap plus a tip transfer go to a Jito
+ * block engine as one bundle - executed together and in order, or not at all,
+ * and never visible in the public mempool where sandwich bots watch.
+ *
+ * - Tip policy: tipBps of the trade's SOL value, clamped to
+ *   [jitoMinTipLamports, jitoMaxTipLamports] - buys always, sells with jitoForSells
+ * - The tip is a separate transfer to a block-engine tip account, signed with the
+ *   swap's blockhash so both expire together; it is only paid if the bundle lands
+ * - Status: polled until the swap confirms, the bundle fails, the blockhash
+ *   expires or jitoBundleTimeoutMs passes
+ * - Fallback (jitoFallbackToRpc): the same signed swap bytes go out through
+ *   tx-landing - same signature, so it can never execute twice
+ *
+ * Endpoint: JITO_BLOCK_ENGINE_URL (JSON-RPC at {url}/api/v1/bundles),
+ * optional JITO_AUTH_UUID sent as x-jito-auth.
+ */
+
+import fetch from 'node-fetch';
+import { PublicKey, SystemProgram, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import bs58 from 'bs58';
+import txLanding from './tx-landing.js';
+
+export const CONFIG = {
+  jitoEnabled: false,
+  jitoForSells: false,              // Exits are usually urgent and less sandwich-prone
+  jitoTipBps: 10,                   // 0.1% of the trade's SOL value
+  jitoMinTipLamports: 10000,        // 0.00001 SOL
+  jitoMaxTipLamports: 2000000,      // 0.002 SOL
+  jitoBundleTimeoutMs: 30 * 1000,
+  jitoFallbackToRpc: true,
+};
+
+const DEFAULT_BLOCK_ENGINE_URL = 'https://mainnet.block-engine.jito.wtf';
+
+// Block engine endpoint - null falls back to the env at call time (see configure)
+const endpoint = {
+  blockEngineUrl: null,
+  authUuid: null,
+};
+
+const STATUS_POLL_MS = 1000;
+const INVALID_GRACE_MS = 5000;          // A fresh bundle can briefly be unknown to the status API
+const TIP_ACCOUNTS_TTL_MS = 10 * 60 * 1000;
+
+// Failures where sending the swap over RPC can't help
+const NO_FALLBACK_CODES = new Set(['EXPIRED', 'SLIPPAGE', 'INSUFFICIENT_FUNDS', 'COMPUTE_EXCEEDED']);
+
+const metrics = {
+  sent: 0,
+  landed: 0,
+  failed: 0,
+  fallbacks: 0,
+  tipsPaidLamports: 0,
+  errors: {},
+};
+
+let _tipAccounts = { accounts: [], fetchedAt: 0 };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Block-engine JSON-RPC call
+ */
+async function rpc(method, params) {
+  const url = (endpoint.blockEngineUrl || process.env.JITO_BLOCK_ENGINE_URL || DEFAULT_BLOCK_ENGINE_URL).replace(/\/$/, '');
+  const authUuid = endpoint.authUuid || process.env.JITO_AUTH_UUID || null;
+  const resp = await fetch(`${url}/api/v1/bundles`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(authUuid && { 'x-jito-auth': authUuid }),
+    },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+    timeout: 10000,
+  });
+  if (!resp.ok) {
+    throw new Error(`Jito ${method} failed: HTTP ${resp.status} ${await resp.text()}`);
+  }
+
+  const data = await resp.json();
+  if (data.error) {
+    throw new Error(`Jito ${method} failed: ${data.error.message || JSON.stringify(data.error)}`);
+  }
+  return data.result;
+}
+
+/**
+ * Should this trade go out as a bundle?
+ */
+export function shouldBundle(side) {
+  return CONFIG.jitoEnabled && (side === 'buy' || CONFIG.jitoForSells);
+}
+
+/**
+ * Tip for a trade worth `tradeLamports` of SOL
+ */
+export function tipFor(tradeLamports) {
+  const tip = Math.floor((Number(tradeLamports) * CONFIG.jitoTipBps) / 10000);
+  return Math.min(CONFIG.jitoMaxTipLamports, Math.max(CONFIG.jitoMinTipLamports, tip));
+}
+
+/**
+ * A random tip account (spreads tips like Jito asks), list cached for 10 min
+ */
+async function getTipAccount() {
+  if (_tipAccounts.accounts.length === 0 || Date.now() - _tipAccounts.fetchedAt > TIP_ACCOUNTS_TTL_MS) {
+    const accounts = await rpc('getTipAccounts', []);
+    if (!Array.isArray(accounts) || accounts.length === 0) {
+      throw new Error('Jito returned no tip accounts');
+    }
+    _tipAccounts = { accounts, fetchedAt: Date.now() };
+  }
+  const { accounts } = _tipAccounts;
+  return new PublicKey(accounts[Math.floor(Math.random() * accounts.length)]);
+}
+
+/**
+ * Unsigned tip transfer from `payer`, on the swap's blockhash
+ */
+export async function buildTipTransaction(payer, tipLamports, recentBlockhash) {
+  const message = new TransactionMessage({
+    payerKey: payer,
+    recentBlockhash,
+    instructions: [
+      SystemProgram.transfer({ fromPubkey: payer, toPubkey: await getTipAccount(), lamports: tipLamports }),
+    ],
+  }).compileToV0Message();
+
+  return new VersionedTransaction(message);
+}
+
+function fail(code, message, extra = {}) {
+  metrics.failed++;
+  metrics.errors[code] = (metrics.errors[code] || 0) + 1;
+  const fallback = CONFIG.jitoFallbackToRpc && !NO_FALLBACK_CODES.has(code) && !extra.onChain;
+  if (fallback) metrics.fallbacks++;
+  return { success: false, error: message, code, fallback, ...extra };
+}
+
+/**
+ * Send a signed swap as a [swap, tip] bundle and wait for it
+ *
+ * options: { tipLamports, signTip(tx) -> signed tx, lastValidBlockHeight, simulate, onSigned(signature) }
+ * Returns { success, signature, slot, bundleId, tipLamports, landingMs } or
+ *         { success: false, error, code, signature, bundleId, fallback } -
+ *         fallback: the swap never landed and sending it over RPC may still work
+ *         (onSigned has run by then - don't journal it twice)
+ */
+export async function sendBundle(connection, transaction, options = {}) {
+  const { tipLamports, signTip, lastValidBlockHeight, simulate = txLanding.CONFIG.simulateTransactions, onSigned } = options;
+  const signature = bs58.encode(transaction.signatures[0]);
+
+  if (simulate) {
+    const rejected = await txLanding.simulate(connection, transaction);
+    if (rejected) return { ...rejected, fallback: false };
+  }
+
+  if (onSigned) {
+    await onSigned(signature);
+  }
+
+  let tipTransaction;
+  try {
+    const payer = transaction.message.staticAccountKeys[0];
+    tipTransaction = await signTip(await buildTipTransaction(payer, tipLamports, transaction.message.recentBlockhash));
+  } catch (e) {
+    return fail('TIP_FAILED', `Tip transaction failed: ${e.message}`, { signature });
+  }
+
+  let bundleId;
+  try {
+    bundleId = await rpc('sendBundle', [
+      [transaction, tipTransaction].map(tx => Buffer.from(tx.serialize()).toString('base64')),
+      { encoding: 'base64' },
+    ]);
+  } catch (e) {
+    return fail('BUNDLE_REJECTED', e.message, { signature });
+  }
+
+  metrics.sent++;
+  console.log(`[Jito] Bundle ${bundleId} sent (tip ${(tipLamports / 1e9).toFixed(6)} SOL)`);
+
+  const startedAt = Date.now();
+  while (true) {
+    await sleep(STATUS_POLL_MS);
+
+    const { value } = await connection.getSignatureStatuses([signature]).catch(() => ({ value: [] }));
+    const status = value[0];
+    if (status?.err) {
+      // Only possible if the same bytes also went out elsewhere - the bundle itself reverts
+      const decoded = txLanding.decodeError(status.err);
+      return fail(decoded.code, decoded.message, { signature, bundleId, onChain: true });
+    }
+    if (['confirmed', 'finalized'].includes(status?.confirmationStatus)) {
+      metrics.landed++;
+      metrics.tipsPaidLamports += tipLamports;
+      return { success: true, signature, slot: status.slot, bundleId, tipLamports, landingMs: Date.now() - startedAt };
+    }
+
+    const inflight = await rpc('getInflightBundleStatuses', [[bundleId]])
+      .then(result => result?.value?.[0])
+      .catch(() => null);
+    if (inflight?.status === 'Failed') {
+      return fail('BUNDLE_FAILED', `Bundle ${bundleId} failed`, { signature, bundleId });
+    }
+    if (inflight?.status === 'Invalid' && Date.now() - startedAt > INVALID_GRACE_MS) {
+      return fail('BUNDLE_INVALID', `Bundle ${bundleId} unknown to the block engine`, { signature, bundleId });
+    }
+
+    if (lastValidBlockHeight) {
+      const height = await connection.getBlockHeight('confirmed').catch(() => null);
+      if (height !== null && height > lastValidBlockHeight) {
+        return fail('EXPIRED', `Blockhash expired before bundle ${bundleId} landed`, { signature, bundleId });
+      }
+    }
+
+    if (Date.now() - startedAt > CONFIG.jitoBundleTimeoutMs) {
+      return fail('TIMEOUT', `Bundle ${bundleId} not landed after ${CONFIG.jitoBundleTimeoutMs / 1000}s`, { signature, bundleId });
+    }
+  }
+}
+
+/**
+ * Point at another block engine - options: { blockEngineUrl, authUuid }
+ * (tests, regional engines); drops the cached tip accounts
+ */
+export function configure(options = {}) {
+  Object.assign(endpoint, options);
+  _tipAccounts = { accounts: [], fetchedAt: 0 };
+}
+
+/**
+ * Bundle counters: { sent, landed, failed, fallbacks, tipsPaidLamports, errors, landRate }
+ */
+export function getMetrics() {
+  return {
+    ...metrics,
+    errors: { ...metrics.errors },
+    landRate: metrics.sent > 0 ? metrics.landed / metrics.sent : null,
+  };
+}
+
+export default {
+  sendBundle,
+  shouldBundle,
+  tipFor,
+  buildTipTransaction,
+  getMetrics,
+  configure,
+  CONFIG,
+};
@@ -0,0 +1,154 @@
+/**
+ * Crash-safe Persistence
+ * - writeJsonAtomic: temp file + fsync + rename, previous version kept as .bak
+ * - Journal: append-only, fsync'd JSONL of trade intents (write-ahead log)
+ *
+ * Intents are journaled BEFORE the matching state change is saved, so a crash
+ * between a confirmed swap and the next snapshot is replayed on startup
+ * instead of forgotten.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+let tmpCounter = 0;
+
+// Unique per write - concurrent writers to one file never share a temp file
+const tmpPathFor = (filePath) => `${filePath}.${process.pid}.${++tmpCounter}.tmp`;
+
+async function writeSynced(filePath, text) {
+  const handle = await fs.open(filePath, 'w');
+  try {
+    await handle.writeFile(text);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Write JSON so the file is always either the old or the new version, never half of one
+ */
+export async function writeJsonAtomic(filePath, data, options = {}) {
+  const { keepBackup = true } = options;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  const tmpPath = tmpPathFor(filePath);
+  await writeSynced(tmpPath, JSON.stringify(data, null, 2));
+
+  if (keepBackup) {
+    await fs.copyFile(filePath, `${filePath}.bak`).catch(() => {});
+  }
+  await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * Read JSON written by writeJsonAtomic, falling back to the .bak copy
+ * Returns null if neither exists
+ */
+export async function readJsonWithBackup(filePath) {
+  for (const candidate of [filePath, `${filePath}.bak`]) {
+    try {
+      return JSON.parse(await fs.readFile(candidate, 'utf-8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        console.error(`[Journal] Unreadable ${path.basename(candidate)}: ${e.message}`);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Create an append-only journal at filePath
+ */
+export function createJournal(filePath) {
+  let lastSeq = 0;
+  let tail = Promise.resolve();
+
+  // Appends and compaction run one at a time, in call order - an append can't
+  // land between compaction's read and rename (and be dropped), and entries hit
+  // the file (and resolve) in seq order
+  function serialized(fn) {
+    const run = tail.then(fn);
+    tail = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Read all entries (a torn last line from a crash is skipped)
+   */
+  async function readAll() {
+    let text;
+    try {
+      text = await fs.readFile(filePath, 'utf-8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+
+    const entries = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        console.error('[Journal] Skipping torn journal line');
+      }
+    }
+    return entries;
+  }
+
+  return {
+    /**
+     * Load the journal and return entries after `sinceSeq` (the snapshot's journalSeq)
+     */
+    async open(sinceSeq = 0) {
+      const entries = await readAll();
+      lastSeq = Math.max(sinceSeq, ...entries.map(e => e.seq));
+      return entries.filter(e => e.seq > sinceSeq);
+    },
+
+    /**
+     * Append one intent and fsync it before returning
+     */
+    append(type, data = {}) {
+      return serialized(async () => {
+        const entry = { seq: ++lastSeq, ts: Date.now(), type, ...data };
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+        const handle = await fs.open(filePath, 'a');
+        try {
+          await handle.write(JSON.stringify(entry) + '\n');
+          await handle.sync();
+        } finally {
+          await handle.close();
+        }
+
+        return entry;
+      });
+    },
+
+    /**
+     * Drop entries already folded into a snapshot (keeps seq numbering)
+     */
+    compact(uptoSeq) {
+      return serialized(async () => {
+        const remaining = (await readAll()).filter(e => e.seq > uptoSeq);
+        const tmpPath = tmpPathFor(filePath);
+        await writeSynced(tmpPath, remaining.map(e => JSON.stringify(e) + '\n').join(''));
+        await fs.rename(tmpPath, filePath);
+      });
+    },
+
+    get lastSeq() {
+      return lastSeq;
+    },
+  };
+}
+
+export default {
+  writeJsonAtomic,
+  readJsonWithBackup,
+  createJournal,
+};
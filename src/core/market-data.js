@@ -0,0 +1,90 @@
+/**
+ * Market Data Provider Registry
+ * One interface for pair search, token pairs, trending and price.
+ *
+ * A provider is a plain object:
+ *   {
+ *     name: string,
+ *     chainId: string,
+ *     searchPairs(query)          -> Promise<Pair[]>  (this chain only)
+ *     getTopPairs()               -> Promise<Pair[]>  (top/gainer pairs on this chain)
+ *     getTokenPairs(tokenAddress) -> Promise<Pair[]>  (best pair first)
+ *     getTrending()               -> Promise<{ boosted: [], trending: [] }>  ({ tokenAddress } entries)
+ *     getPrice(tokenAddress)      -> Promise<number>  (USD, 0 if unknown)
+ *     getSlippageQuote?(tokenAddress) -> Promise<{ success, buySlippage, sellSlippage, totalRoundTrip }>
+ *     getTokenSafety?(tokenAddress)   -> Promise<report | null>  (core/token-safety.js report)
+ *   }
+ *
+ * Pairs use the DexScreener pair shape (baseToken, priceUsd, liquidity, volume,
+ * priceChange, txns) - other providers (Birdeye, GeckoTerminal...) map into it.
+ *
+ * Select with MARKET_DATA_PROVIDER (default: dexscreener). The file provider
+ * reads MARKET_DATA_FILE and MARKET_DATA_SPEED.
+ */
+
+import { createDexScreenerProvider } from './providers/dexscreener.js';
+import { createFileProvider } from './providers/file.js';
+
+const REQUIRED_METHODS = ['searchPairs', 'getTopPairs', 'getTokenPairs', 'getTrending', 'getPrice'];
+
+const factories = {
+  dexscreener: createDexScreenerProvider,
+  file: createFileProvider,
+};
+
+let _provider = null;
+
+/**
+ * Register a provider factory under a name
+ */
+export function registerProvider(name, factory) {
+  factories[name] = factory;
+}
+
+/**
+ * Create a provider by name
+ */
+export function createProvider(name, options = {}) {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown market data provider: ${name} (available: ${Object.keys(factories).join(', ')})`);
+  }
+
+  const provider = factory(options);
+  const missing = REQUIRED_METHODS.filter(m => typeof provider[m] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Market data provider ${name} is missing: ${missing.join(', ')}`);
+  }
+
+  return provider;
+}
+
+/**
+ * Get the active provider (created from env on first use)
+ */
+export function getMarketData() {
+  if (_provider) return _provider;
+
+  const name = process.env.MARKET_DATA_PROVIDER || 'dexscreener';
+  _provider = createProvider(name, {
+    file: process.env.MARKET_DATA_FILE,
+    speed: parseFloat(process.env.MARKET_DATA_SPEED || 1),
+  });
+
+  console.log(`[MarketData] Using ${_provider.name} provider`);
+  return _provider;
+}
+
+/**
+ * Replace the active provider (tests, custom providers)
+ */
+export function setMarketData(provider) {
+  _provider = provider;
+}
+
+export default {
+  getMarketData,
+  setMarketData,
+  createProvider,
+  registerProvider,
+};
@@ -0,0 +1,235 @@
+/**
+ * Price Oracle
+ * USD prices cross-checked across independent sources:
+ *
+ * - jupiter:     Jupiter price API
+ * - dexscreener: active market data provider (core/market-data.js)
+ * - pyth:        Pyth SOL/USD price account read over RPC (SOL only)
+ *
+ * Stale readings are dropped, readings too far from the median are flagged
+ * as outliers, and if fewer than `minSources` agree the lookup throws -
+ * callers must not trade on a price the sources can't agree on.
+ */
+
+import fetch from 'node-fetch';
+import solanaWallet from './solana-wallet.js';
+import { getMarketData } from './market-data.js';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const ETH_MINT = '7vfCXTUXx5WJV5JADk17DUJ4ksgau7utNKj4b963voxs'; // Wormhole ETH
+
+const JUPITER_PRICE_API = process.env.JUPITER_PRICE_API_URL || 'https://lite-api.jup.ag/price/v3';
+
+export const CONFIG = {
+  cacheTtlMs: 10 * 1000,          // Reuse an agreed price for 10s
+  timeoutMs: 5000,                // Per-source request timeout
+  maxStaleMs: 60 * 1000,          // Drop readings published longer ago than this
+  solOutlierPct: 1.5,             // SOL sources must sit within 1.5% of the median
+  tokenOutlierPct: 5,             // Thin meme pools drift more between sources
+  solMinSources: 2,               // SOL needs two agreeing sources
+  tokenMinSources: 1,             // Tokens: one is enough, but any disagreement fails
+  // Pyth SOL/USD price update account (sponsored feed, PriceUpdateV2)
+  pythSolUsdAccount: process.env.PYTH_SOL_USD_ACCOUNT || '7UVimffxr9ow1uXYxsr4LHAcV58mLzhmwaeKvJ1pjLiE',
+};
+
+const cache = new Map(); // mint -> { price, timestamp, sources }
+
+/**
+ * Jupiter price API
+ */
+async function fromJupiter(mint) {
+  const response = await fetch(`${JUPITER_PRICE_API}?ids=${mint}`, { timeout: CONFIG.timeoutMs });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const data = await response.json();
+  return { price: parseFloat(data[mint]?.usdPrice || 0), publishTime: Date.now() };
+}
+
+/**
+ * Best pair price from the market data provider
+ */
+async function fromDexScreener(mint) {
+  return { price: await getMarketData().getPrice(mint), publishTime: Date.now() };
+}
+
+/**
+ * Decode a Pyth PriceUpdateV2 account
+ * Layout: 8 discriminator | 32 write authority | verification level (1-2 bytes) | price message
+ */
+export function parsePythPriceUpdate(data) {
+  // VerificationLevel: 0 = Partial { num_signatures: u8 }, 1 = Full
+  let offset = 8 + 32;
+  offset += data.readUInt8(offset) === 0 ? 2 : 1;
+  offset += 32; // feed id
+
+  const price = data.readBigInt64LE(offset);
+  const conf = data.readBigUInt64LE(offset + 8);
+  const exponent = data.readInt32LE(offset + 16);
+  const publishTime = Number(data.readBigInt64LE(offset + 20)) * 1000;
+
+  const scale = 10 ** exponent;
+  return {
+    price: Number(price) * scale,
+    conf: Number(conf) * scale,
+    publishTime,
+  };
+}
+
+/**
+ * Pyth SOL/USD over RPC
+ */
+async function fromPyth(mint) {
+  if (mint !== SOL_MINT) {
+    throw new Error('no feed');
+  }
+  const data = await solanaWallet.getAccountData(CONFIG.pythSolUsdAccount);
+  if (!data) {
+    throw new Error(`account ${CONFIG.pythSolUsdAccount} not found`);
+  }
+  return parsePythPriceUpdate(data);
+}
+
+const SOURCES = {
+  jupiter: fromJupiter,
+  dexscreener: fromDexScreener,
+  pyth: fromPyth,
+};
+
+/**
+ * Reject after ms - keeps one hung source from stalling the rest
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`timeout after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Combine source readings into one price, or explain why not
+ * Pure - readings: [{ name, price, publishTime, error }]
+ */
+export function aggregate(readings, { outlierPct, minSources, maxStaleMs, now = Date.now() }) {
+  const sources = readings.map(r => ({ ...r }));
+
+  for (const s of sources) {
+    if (s.error) continue;
+    if (!Number.isFinite(s.price) || s.price <= 0) {
+      s.error = 'no price';
+    } else if (now - s.publishTime > maxStaleMs) {
+      s.stale = true;
+      s.error = `stale (${Math.round((now - s.publishTime) / 1000)}s old)`;
+    }
+  }
+
+  const valid = sources.filter(s => !s.error);
+  if (valid.length === 0) {
+    return { price: null, sources, reason: 'no usable source' };
+  }
+
+  const mid = median(valid.map(s => s.price));
+  for (const s of valid) {
+    s.deviationPct = ((s.price - mid) / mid) * 100;
+    s.outlier = Math.abs(s.deviationPct) > outlierPct;
+  }
+
+  const agreeing = valid.filter(s => !s.outlier);
+  if (agreeing.length < minSources) {
+    const detail = valid.map(s => `${s.name} $${s.price.toPrecision(6)}`).join(', ');
+    return { price: null, sources, reason: `sources disagree beyond ${outlierPct}% (${detail})` };
+  }
+
+  return { price: median(agreeing.map(s => s.price)), sources };
+}
+
+/**
+ * USD price for a mint from every source that covers it - throws if they can't agree
+ * Returns { price, timestamp, sources }
+ */
+export async function getPrice(mint) {
+  const cached = cache.get(mint);
+  if (cached && Date.now() - cached.timestamp < CONFIG.cacheTtlMs) {
+    return cached;
+  }
+
+  const isSol = mint === SOL_MINT;
+  const names = Object.keys(SOURCES).filter(name => isSol || name !== 'pyth');
+
+  const readings = await Promise.all(names.map(async (name) => {
+    try {
+      return { name, ...(await withTimeout(SOURCES[name](mint), CONFIG.timeoutMs)) };
+    } catch (e) {
+      return { name, error: e.message };
+    }
+  }));
+
+  const result = aggregate(readings, {
+    outlierPct: isSol ? CONFIG.solOutlierPct : CONFIG.tokenOutlierPct,
+    minSources: isSol ? CONFIG.solMinSources : CONFIG.tokenMinSources,
+    maxStaleMs: CONFIG.maxStaleMs,
+  });
+
+  for (const s of result.sources) {
+    if (s.outlier) {
+      console.log(`[Oracle] ⚠️ ${s.name} outlier for ${mint.slice(0, 8)}...: $${s.price} (${s.deviationPct.toFixed(2)}% from median)`);
+    } else if (s.stale) {
+      console.log(`[Oracle] ⚠️ ${s.name} ${s.error} for ${mint.slice(0, 8)}...`);
+    }
+  }
+
+  if (result.price === null) {
+    cache.delete(mint);
+    throw new Error(`Price oracle failed for ${mint.slice(0, 8)}...: ${result.reason}`);
+  }
+
+  const entry = { price: result.price, timestamp: Date.now(), sources: result.sources };
+  cache.set(mint, entry);
+  return entry;
+}
+
+/**
+ * SOL/USD (at least two agreeing sources)
+ */
+export async function getSolUsd() {
+  return (await getPrice(SOL_MINT)).price;
+}
+
+/**
+ * Token USD price by mint
+ */
+export async function getTokenUsd(mint) {
+  return (await getPrice(mint)).price;
+}
+
+/**
+ * Native token prices for the executor: { SOL, ETH, timestamp }
+ * A native price the sources can't agree on is left out
+ */
+export async function getPrices() {
+  const [sol, eth] = await Promise.allSettled([getPrice(SOL_MINT), getPrice(ETH_MINT)]);
+  const prices = { timestamp: Date.now() };
+
+  if (sol.status === 'fulfilled') prices.SOL = sol.value.price;
+  else console.error(`[Oracle] ${sol.reason.message}`);
+  if (eth.status === 'fulfilled') prices.ETH = eth.value.price;
+
+  return prices;
+}
+
+export default {
+  getPrice,
+  getSolUsd,
+  getTokenUsd,
+  getPrices,
+  aggregate,
+  parsePythPriceUpdate,
+  CONFIG,
+};
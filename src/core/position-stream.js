@@ -0,0 +1,299 @@
+/**
+ * Position Stream
+ * Real-time prices for open positions from pool reserves, instead of waiting
+ * for the next scan's DexScreener request.
+ *
+ * Each position's pool (pairAddress) is decoded once, then both reserve vaults
+ * are watched with Connection.onAccountChange over the SOLANA_RPC_URL websocket.
+ * Every vault update reprices the token (quote reserve / token reserve, in USD)
+ * and calls onPrice(position, priceUsd) - updates arriving while the previous
+ * one is still being handled are coalesced to the latest.
+ *
+ * A slot subscription is the socket heartbeat: no slot for streamStaleMs means
+ * the socket is down, and reserves are polled over HTTP every streamPollMs
+ * until slots arrive again (web3.js resubscribes on reconnect).
+ *
+ * Pools: Raydium AMM v4 built in, more with registerPoolDecoder(). Positions in
+ * other pools stay on the scan loop's polling.
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import { getConnection } from './solana-wallet.js';
+import oracle from './oracle.js';
+import dex from './dex.js';
+
+export const CONFIG = {
+  streamPositions: true,
+  streamStaleMs: 5000,          // No slot notification this long = socket down
+  streamPollMs: 2000,           // Reserve polling while the socket is down
+};
+
+const SOL_MINT = dex.TOKENS.solana.SOL;
+const USD_MINTS = new Set([dex.TOKENS.solana.USDC, dex.TOKENS.solana.USDT]);
+const TOKEN_ACCOUNT_AMOUNT_OFFSET = 64;
+const SUBSCRIBE_RETRY_MS = 30 * 1000;
+
+/**
+ * Pool decoders by owner program: (data) -> { baseVault, quoteVault, baseMint,
+ * quoteMint, baseDecimals, quoteDecimals, baseAdjust, quoteAdjust }
+ * Adjusts (BigInt) are subtracted from the vault balances (e.g. uncollected fees)
+ */
+const decoders = {
+  // Raydium AMM v4 (LIQUIDITY_STATE_LAYOUT_V4)
+  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': (data) => {
+    if (data.length < 752) return null;
+    const key = (offset) => new PublicKey(data.subarray(offset, offset + 32)).toBase58();
+    return {
+      baseDecimals: Number(data.readBigUInt64LE(32)),
+      quoteDecimals: Number(data.readBigUInt64LE(40)),
+      baseAdjust: data.readBigUInt64LE(192),   // baseNeedTakePnl
+      quoteAdjust: data.readBigUInt64LE(200),  // quoteNeedTakePnl
+      baseVault: key(336),
+      quoteVault: key(368),
+      baseMint: key(400),
+      quoteMint: key(432),
+    };
+  },
+};
+
+const subs = new Map();         // positionId -> subscription (null while subscribing)
+const unsupported = new Set();  // positionIds whose pool can't be streamed
+const failedAt = new Map();     // positionId -> last subscribe failure (retry after SUBSCRIBE_RETRY_MS)
+let handlers = null;
+let slotSubId = null;
+let lastSlotAt = 0;
+let polling = false;
+let lastPollAt = 0;
+let watchdog = null;
+let ticking = false;
+
+/**
+ * Add or replace a pool decoder for an AMM program
+ */
+export function registerPoolDecoder(programId, decoder) {
+  decoders[programId] = decoder;
+}
+
+const readAmount = (data) => data.readBigUInt64LE(TOKEN_ACCOUNT_AMOUNT_OFFSET);
+
+/**
+ * USD price of the position's token from the current reserves, null if unknown
+ */
+async function priceFromReserves(sub) {
+  const { pool, reserves, tokenIsBase } = sub;
+  const base = reserves.base - pool.baseAdjust;
+  const quote = reserves.quote - pool.quoteAdjust;
+  if (base <= 0n || quote <= 0n) return null;
+
+  const baseUi = Number(base) / 10 ** pool.baseDecimals;
+  const quoteUi = Number(quote) / 10 ** pool.quoteDecimals;
+  const priceInOther = tokenIsBase ? quoteUi / baseUi : baseUi / quoteUi;
+
+  const otherMint = tokenIsBase ? pool.quoteMint : pool.baseMint;
+  if (USD_MINTS.has(otherMint)) return priceInOther;
+  return priceInOther * await oracle.getSolUsd();
+}
+
+/**
+ * Reprice and hand off - one onPrice at a time per position, latest wins
+ */
+async function deliver(sub) {
+  if (sub.busy) {
+    sub.pending = true;
+    return;
+  }
+  sub.busy = true;
+  try {
+    do {
+      sub.pending = false;
+      const price = await priceFromReserves(sub);
+      if (price > 0 && price !== sub.lastPrice) {
+        sub.lastPrice = price;
+        await handlers.onPrice(sub.position, price);
+      }
+    } while (sub.pending && subs.get(sub.position.id) === sub);
+  } catch (e) {
+    console.error(`[PositionStream] ${sub.position.token}: ${e.message}`);
+  } finally {
+    sub.busy = false;
+  }
+}
+
+/**
+ * Decode a position's pool and watch its vaults
+ */
+async function subscribe(position) {
+  const connection = getConnection();
+  subs.set(position.id, null);
+
+  try {
+    const info = await connection.getAccountInfo(new PublicKey(position.pairAddress));
+    const decoder = info && decoders[info.owner.toBase58()];
+    const pool = decoder ? decoder(info.data) : null;
+    const tokenIsBase = pool?.baseMint === position.tokenAddress;
+    const otherMint = tokenIsBase ? pool?.quoteMint : pool?.baseMint;
+    if (!pool || (!tokenIsBase && pool.quoteMint !== position.tokenAddress)
+      || (otherMint !== SOL_MINT && !USD_MINTS.has(otherMint))) {
+      subs.delete(position.id);
+      unsupported.add(position.id);
+      console.log(`[PositionStream] ${position.token}: pool not streamable (${info ? info.owner.toBase58().slice(0, 8) + '...' : 'not found'}) - scan polling only`);
+      return;
+    }
+
+    const vaults = await connection.getMultipleAccountsInfo([new PublicKey(pool.baseVault), new PublicKey(pool.quoteVault)]);
+    if (!vaults[0] || !vaults[1]) throw new Error('pool vaults not found');
+
+    const sub = {
+      position,
+      pool,
+      tokenIsBase,
+      reserves: { base: readAmount(vaults[0].data), quote: readAmount(vaults[1].data) },
+      ids: [],
+      lastPrice: null,
+      busy: false,
+      pending: false,
+    };
+    for (const side of ['base', 'quote']) {
+      sub.ids.push(connection.onAccountChange(new PublicKey(pool[`${side}Vault`]), (account) => {
+        sub.reserves[side] = readAmount(account.data);
+        deliver(sub);
+      }, 'processed'));
+    }
+
+    if (!subs.has(position.id)) {
+      // Closed while we were subscribing
+      sub.ids.forEach(id => connection.removeAccountChangeListener(id).catch(() => {}));
+      return;
+    }
+    subs.set(position.id, sub);
+    console.log(`[PositionStream] ⚡ Streaming ${position.token} from pool ${position.pairAddress.slice(0, 8)}...`);
+    deliver(sub);
+  } catch (e) {
+    subs.delete(position.id);
+    failedAt.set(position.id, Date.now());
+    console.error(`[PositionStream] Subscribe failed for ${position.token}: ${e.message}`);
+  }
+}
+
+function unsubscribe(positionId) {
+  const sub = subs.get(positionId);
+  subs.delete(positionId);
+  if (!sub) return;
+  const connection = getConnection();
+  for (const id of sub.ids) {
+    connection.removeAccountChangeListener(id).catch(() => {});
+  }
+}
+
+/**
+ * Poll all watched vaults once over HTTP (socket down)
+ */
+async function pollReserves() {
+  const live = [...subs.values()].filter(Boolean);
+  if (live.length === 0) return;
+
+  const keys = live.flatMap(s => [new PublicKey(s.pool.baseVault), new PublicKey(s.pool.quoteVault)]);
+  const accounts = await getConnection().getMultipleAccountsInfo(keys);
+  live.forEach((sub, i) => {
+    const [base, quote] = [accounts[i * 2], accounts[i * 2 + 1]];
+    if (base && quote) {
+      sub.reserves = { base: readAmount(base.data), quote: readAmount(quote.data) };
+      deliver(sub);
+    }
+  });
+}
+
+/**
+ * Match subscriptions to the open positions, and switch between streaming and polling
+ */
+async function tick() {
+  const positions = handlers.getPositions();
+  const openIds = new Set(positions.map(p => p.id));
+
+  for (const id of subs.keys()) {
+    if (!openIds.has(id)) unsubscribe(id);
+  }
+  for (const id of unsupported) {
+    if (!openIds.has(id)) unsupported.delete(id);
+  }
+
+  const now = Date.now();
+  for (const position of positions) {
+    if (!position.pairAddress || subs.has(position.id) || unsupported.has(position.id)) continue;
+    if (now - (failedAt.get(position.id) || 0) < SUBSCRIBE_RETRY_MS) continue;
+    subscribe(position); // Not awaited - one slow pool doesn't hold up the rest
+  }
+
+  const socketDown = now - lastSlotAt > CONFIG.streamStaleMs;
+  if (socketDown !== polling) {
+    polling = socketDown;
+    console.log(polling
+      ? `[PositionStream] ⚠️ No websocket updates for ${CONFIG.streamStaleMs / 1000}s - polling reserves every ${CONFIG.streamPollMs / 1000}s`
+      : '[PositionStream] ✅ Websocket back - streaming');
+  }
+  if (polling && now - lastPollAt >= CONFIG.streamPollMs) {
+    lastPollAt = now;
+    await pollReserves().catch(e => console.error(`[PositionStream] Poll failed: ${e.message}`));
+  }
+}
+
+/**
+ * Start streaming - getPositions() -> open positions (need pairAddress),
+ * onPrice(position, priceUsd) evaluates exits
+ */
+export function start({ getPositions, onPrice }) {
+  stop();
+  if (!CONFIG.streamPositions) {
+    console.log('[PositionStream] Disabled (streamPositions = false)');
+    return;
+  }
+  handlers = { getPositions, onPrice };
+
+  lastSlotAt = Date.now();
+  polling = false;
+  slotSubId = getConnection().onSlotChange(() => {
+    lastSlotAt = Date.now();
+  });
+
+  watchdog = setInterval(async () => {
+    if (ticking) return;
+    ticking = true;
+    try {
+      await tick();
+    } finally {
+      ticking = false;
+    }
+  }, Math.min(1000, CONFIG.streamPollMs));
+  console.log(`[PositionStream] Watching pool reserves over websocket (polling fallback after ${CONFIG.streamStaleMs / 1000}s silence)`);
+}
+
+export function stop() {
+  if (watchdog) clearInterval(watchdog);
+  watchdog = null;
+  for (const id of [...subs.keys()]) unsubscribe(id);
+  unsupported.clear();
+  failedAt.clear();
+  if (slotSubId !== null) {
+    getConnection().removeSlotChangeListener(slotSubId).catch(() => {});
+    slotSubId = null;
+  }
+}
+
+/**
+ * { mode, streaming, unsupported } for status output
+ */
+export function getStatus() {
+  return {
+    mode: !watchdog ? 'off' : polling ? 'polling' : 'streaming',
+    streaming: [...subs.values()].filter(Boolean).length,
+    unsupported: unsupported.size,
+  };
+}
+
+export default {
+  start,
+  stop,
+  getStatus,
+  registerPoolDecoder,
+  CONFIG,
+};
@@ -0,0 +1,61 @@
+/**
+ * DexScreener Market Data Provider
+ * Default provider - public API, no key required
+ */
+
+import fetch from 'node-fetch';
+
+const DEXSCREENER_API = 'https://api.dexscreener.com';
+
+/**
+ * Create a DexScreener provider for one chain
+ */
+export function createDexScreenerProvider(options = {}) {
+  const { baseUrl = DEXSCREENER_API, chainId = 'solana', timeout = 5000 } = options;
+
+  async function getJson(urlPath) {
+    const resp = await fetch(`${baseUrl}${urlPath}`, { timeout });
+    if (!resp.ok) {
+      throw new Error(`DexScreener ${urlPath} failed: HTTP ${resp.status}`);
+    }
+    return resp.json();
+  }
+
+  return {
+    name: 'dexscreener',
+    chainId,
+
+    async searchPairs(query) {
+      const data = await getJson(`/latest/dex/search?q=${encodeURIComponent(query)}`);
+      return (data.pairs || []).filter(p => p.chainId === chainId);
+    },
+
+    async getTopPairs() {
+      const data = await getJson(`/tokens/${chainId}`);
+      return data.pairs || [];
+    },
+
+    async getTokenPairs(tokenAddress) {
+      const data = await getJson(`/latest/dex/tokens/${tokenAddress}`);
+      return data.pairs || [];
+    },
+
+    async getTrending() {
+      const [boosts, profiles] = await Promise.all([
+        getJson('/token-boosts/latest/v1'),
+        getJson('/token-profiles/latest/v1'),
+      ]);
+      return {
+        boosted: (boosts || []).filter(t => t.chainId === chainId),
+        trending: (profiles || []).filter(t => t.chainId === chainId),
+      };
+    },
+
+    async getPrice(tokenAddress) {
+      const pairs = await this.getTokenPairs(tokenAddress);
+      return parseFloat(pairs[0]?.priceUsd || 0);
+    },
+  };
+}
+
+export default createDexScreenerProvider;
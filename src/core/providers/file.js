@@ -0,0 +1,141 @@
+/**
+ * File-backed Market Data Provider
+ * Local stand-in for DexScreener - runs the whole bot offline.
+ *
+ * Accepts either:
+ * - a single snapshot (.json) served forever (hand-written fixtures), or
+ * - a recording (.jsonl / .jsonl.gz from core/recorder.js) replayed in real
+ *   time from the first call, optionally sped up with `speed`.
+ *
+ * Snapshot shape is the same one the recorder writes and the backtester reads.
+ */
+
+import fs from 'fs';
+import zlib from 'zlib';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+/**
+ * Load snapshots from disk (sync - fixtures and hourly recordings are small)
+ */
+function loadSnapshots(filePath) {
+  let raw = fs.readFileSync(filePath);
+  if (filePath.endsWith('.gz')) {
+    raw = zlib.gunzipSync(raw);
+  }
+  const text = raw.toString('utf-8');
+
+  if (filePath.endsWith('.json')) {
+    return [{ timestamp: 0, ...JSON.parse(text) }];
+  }
+
+  return text.split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Create a provider backed by a fixture or recording file
+ */
+export function createFileProvider(options = {}) {
+  const { file, chainId = 'solana', speed = 1 } = options;
+  if (!file) {
+    throw new Error('File market data provider needs a file (MARKET_DATA_FILE)');
+  }
+
+  const snapshots = loadSnapshots(file);
+  if (snapshots.length === 0) {
+    throw new Error(`No snapshots in ${file}`);
+  }
+
+  const lastSeen = new Map(); // tokenAddress -> most recent pair up to current snapshot
+  let replayStart = null;
+  let index = -1;
+
+  /**
+   * Advance to the snapshot matching the replay clock
+   */
+  function current() {
+    if (replayStart === null) replayStart = Date.now();
+    const elapsed = (Date.now() - replayStart) * speed;
+    const t0 = snapshots[0].timestamp;
+
+    while (index + 1 < snapshots.length && snapshots[index + 1].timestamp - t0 <= elapsed) {
+      index++;
+      const snap = snapshots[index];
+      for (const pair of [...(snap.pairs || []), ...(snap.positionPairs || [])]) {
+        if (pair.baseToken?.address) lastSeen.set(pair.baseToken.address, pair);
+      }
+    }
+
+    return snapshots[Math.max(index, 0)];
+  }
+
+  return {
+    name: 'file',
+    chainId,
+
+    async searchPairs(query) {
+      const q = query.toLowerCase();
+      return (current().pairs || []).filter(p =>
+        p.baseToken?.symbol?.toLowerCase().includes(q) ||
+        p.baseToken?.name?.toLowerCase().includes(q)
+      );
+    },
+
+    async getTopPairs() {
+      return current().pairs || [];
+    },
+
+    async getTokenPairs(tokenAddress) {
+      const snap = current();
+
+      // Recordings keep SOL regime as numbers, not pairs - rebuild a SOL/USDC pair
+      if (tokenAddress === SOL_MINT && snap.regime) {
+        return [{
+          chainId,
+          baseToken: { address: SOL_MINT, symbol: 'SOL', name: 'Wrapped SOL' },
+          quoteToken: { symbol: 'USDC' },
+          priceUsd: String(snap.regime.solPrice || 0),
+          priceChange: { m5: snap.regime.sol5m || 0, h1: snap.regime.sol1h || 0 },
+        }];
+      }
+
+      const pair = lastSeen.get(tokenAddress)
+        || (snap.pairs || []).find(p => p.baseToken?.address === tokenAddress);
+      return pair ? [pair] : [];
+    },
+
+    async getTrending() {
+      const toEntry = (tokenAddress) => ({ chainId, tokenAddress });
+      const trending = current().trending || [];
+      return {
+        boosted: trending.map(toEntry),
+        trending: [],
+      };
+    },
+
+    async getPrice(tokenAddress) {
+      const pairs = await this.getTokenPairs(tokenAddress);
+      return parseFloat(pairs[0]?.priceUsd || 0);
+    },
+
+    // Optional capability: recorded Jupiter round-trip quotes (scan() skips Jupiter when present)
+    async getSlippageQuote(tokenAddress) {
+      return current().quotes?.[tokenAddress] || {
+        success: true,
+        buySlippage: 1,
+        sellSlippage: 1,
+        totalRoundTrip: 2,
+      };
+    },
+
+    // Optional capability: recorded token-safety reports (null = not recorded, scan() skips the check)
+    async getTokenSafety(tokenAddress) {
+      return current().safety?.[tokenAddress] || null;
+    },
+  };
+}
+
+export default createFileProvider;
@@ -0,0 +1,140 @@
+/**
+ * Position Reconciler
+ * Compares the bot's saved positions against what the wallet actually holds.
+ *
+ * - Position with no tokens on-chain  -> closed (sold/lost outside the bot)
+ * - Position with a different amount  -> amount corrected
+ * - Tokens held with no position      -> adopted as a new position (orphan)
+ *
+ * Needed because a crash between a confirmed swap and saveState() leaves
+ * session state out of sync with the chain.
+ */
+
+import { getWallet } from './wallet.js';
+import notifier from './notifier.js';
+import { getMarketData } from './market-data.js';
+
+const CONFIG = {
+  graceMs: 60 * 1000,       // Skip positions opened in the last minute (RPC may lag)
+  minOrphanUsd: 1,          // Ignore dust holdings below $1
+  amountTolerance: 0.001,   // 0.1% amount drift is not a discrepancy
+  ignoreMints: new Set([
+    'So11111111111111111111111111111111111111112',  // WSOL
+    'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
+    'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', // USDT
+  ]),
+};
+
+/**
+ * Reconcile positions against on-chain balances
+ * options.skipIds:   position ids with an order in flight - kept as they are
+ * options.skipMints: mints with an order in flight - never adopted
+ * options.wallet:    wallet provider to read instead of the active one
+ * Returns { positions, closed, adopted, adjusted, discrepancies } - caller applies and saves
+ */
+export async function reconcilePositions(positions, options = {}) {
+  const now = options.now || Date.now();
+  const { skipIds = new Set(), skipMints = new Set() } = options;
+  const marketData = getMarketData();
+
+  const holdings = await (options.wallet || getWallet('solana')).getAllTokenBalances();
+  const holdingsByMint = new Map(holdings.map(h => [h.mint, h]));
+
+  const result = {
+    positions: [],
+    closed: [],
+    adopted: [],
+    adjusted: [],
+    discrepancies: [],
+  };
+
+  // 1. Every saved position must be backed by tokens
+  for (const position of positions) {
+    const holding = holdingsByMint.get(position.tokenAddress);
+    const heldRaw = holding ? BigInt(holding.amount) : 0n;
+
+    // Mid-sell the balance is already gone; mid-buy it isn't there yet
+    if (now - position.entryTime < CONFIG.graceMs || skipIds.has(position.id)) {
+      result.positions.push(position);
+      continue;
+    }
+
+    if (heldRaw === 0n) {
+      const currentPrice = await marketData.getPrice(position.tokenAddress).catch(() => 0);
+      const pnlPct = currentPrice > 0
+        ? ((currentPrice - position.entryPrice) / position.entryPrice) * 100
+        : -100;
+
+      result.closed.push({
+        ...position,
+        exitPrice: currentPrice,
+        exitTime: now,
+        pnlPct,
+        pnlUsd: position.size * (pnlPct / 100),
+        pnlEstimated: true,
+        reason: 'RECONCILE_NO_BALANCE',
+      });
+      result.discrepancies.push(`${position.token}: position open but wallet holds 0 tokens - closed`);
+      continue;
+    }
+
+    if (position.tokenAmountRaw) {
+      const expected = BigInt(position.tokenAmountRaw);
+      const diff = heldRaw > expected ? heldRaw - expected : expected - heldRaw;
+      if (expected > 0n && Number(diff) / Number(expected) > CONFIG.amountTolerance) {
+        result.discrepancies.push(`${position.token}: expected ${expected} raw tokens, wallet holds ${heldRaw} - corrected`);
+        result.adjusted.push({ id: position.id, from: expected.toString(), to: heldRaw.toString() });
+        position.tokenAmountRaw = heldRaw.toString();
+        position.tokensReceived = holding.uiAmount;
+      }
+    }
+
+    result.positions.push(position);
+  }
+
+  // 2. Every meaningful holding must have a position
+  const tracked = new Set(positions.map(p => p.tokenAddress));
+  for (const holding of holdings) {
+    if (tracked.has(holding.mint) || skipMints.has(holding.mint) || CONFIG.ignoreMints.has(holding.mint)) continue;
+    if (BigInt(holding.amount) === 0n) continue;
+
+    const pairs = await marketData.getTokenPairs(holding.mint).catch(() => []);
+    const pair = pairs[0];
+    const price = parseFloat(pair?.priceUsd || 0);
+    const valueUsd = holding.uiAmount * price;
+
+    if (valueUsd < CONFIG.minOrphanUsd) continue;
+
+    // Real cost basis is unknown - adopt at market so stops work from here
+    const position = {
+      id: `meme_adopted_${now}_${holding.mint.slice(0, 6)}`,
+      token: pair?.baseToken?.symbol || holding.mint.slice(0, 8),
+      tokenAddress: holding.mint,
+      entryPrice: price,
+      displayPrice: price,
+      entryTime: now,
+      size: valueUsd,
+      tokenAmountRaw: holding.amount,
+      tokensReceived: holding.uiAmount,
+      tokenDecimals: holding.decimals,
+      peakPrice: price,
+      adopted: true,
+      fillSource: 'reconcile',
+    };
+
+    result.adopted.push(position);
+    result.positions.push(position);
+    result.discrepancies.push(`${position.token}: wallet holds $${valueUsd.toFixed(2)} with no position - adopted`);
+  }
+
+  if (result.discrepancies.length > 0) {
+    await notifier.riskAlert(`Position reconciliation\n${result.discrepancies.map(d => `• ${d}`).join('\n')}`);
+  }
+
+  return result;
+}
+
+export default {
+  reconcilePositions,
+  CONFIG,
+};
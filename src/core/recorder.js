@@ -0,0 +1,108 @@
+/**
+ * Market Data Recorder
+ * Writes every scan's raw market data to rotating, gzipped JSONL files
+ * so we can replay exactly what the bot saw (see core/backtest.js).
+ *
+ * Each line is appended as its own gzip member - a crash never leaves a
+ * half-written archive, and `zcat`/gunzip read the file as one stream.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const gzip = promisify(zlib.gzip);
+
+const RECORDINGS_DIR = path.join(__dirname, '../../data/recordings');
+
+const CONFIG = {
+  dir: process.env.RECORDINGS_DIR || RECORDINGS_DIR,
+  rotateEveryMs: 60 * 60 * 1000, // New file every hour
+  maxFiles: 24 * 7,              // Keep one week of hourly files
+};
+
+const stats = {
+  recorded: 0,
+  bytesWritten: 0,
+  currentFile: null,
+  lastError: null,
+};
+
+/**
+ * File for a given timestamp: scans-2026-02-11T14-00.jsonl.gz (UTC, per rotation window)
+ */
+export function getFileForTime(timestamp) {
+  const windowStart = Math.floor(timestamp / CONFIG.rotateEveryMs) * CONFIG.rotateEveryMs;
+  const stamp = new Date(windowStart).toISOString().slice(0, 16).replace(':', '-');
+  return path.join(CONFIG.dir, `scans-${stamp}.jsonl.gz`);
+}
+
+/**
+ * Delete the oldest recordings beyond maxFiles
+ */
+async function pruneOldFiles() {
+  const files = (await fs.readdir(CONFIG.dir))
+    .filter(f => f.startsWith('scans-') && f.endsWith('.jsonl.gz'))
+    .sort();
+
+  for (const file of files.slice(0, Math.max(0, files.length - CONFIG.maxFiles))) {
+    await fs.unlink(path.join(CONFIG.dir, file));
+    console.log(`[Recorder] Pruned ${file}`);
+  }
+}
+
+/**
+ * Append one snapshot to the current recording file
+ */
+export async function record(snapshot) {
+  if (!snapshot) return;
+
+  try {
+    const timestamp = snapshot.timestamp || Date.now();
+    const file = getFileForTime(timestamp);
+
+    if (file !== stats.currentFile) {
+      await fs.mkdir(CONFIG.dir, { recursive: true });
+      if (stats.currentFile) {
+        await pruneOldFiles();
+      }
+      stats.currentFile = file;
+      console.log(`[Recorder] Writing to ${path.basename(file)}`);
+    }
+
+    const line = JSON.stringify({ ...snapshot, timestamp }) + '\n';
+    const compressed = await gzip(line);
+    await fs.appendFile(file, compressed);
+
+    stats.recorded++;
+    stats.bytesWritten += compressed.length;
+  } catch (e) {
+    // Recording must never break trading
+    stats.lastError = e.message;
+    console.error(`[Recorder] Failed to record snapshot: ${e.message}`);
+  }
+}
+
+/**
+ * Configure recorder (dir, rotation, retention)
+ */
+export function configure(options = {}) {
+  Object.assign(CONFIG, options);
+}
+
+/**
+ * Get recorder stats for logging
+ */
+export function getStats() {
+  return { ...stats, dir: CONFIG.dir };
+}
+
+export default {
+  record,
+  configure,
+  getFileForTime,
+  getStats,
+};
@@ -0,0 +1,297 @@
+/**
+ * Risk Manager
+ * Gatekeeper for every new position - used by the executor and the scalper loop.
+ *
+ * - Per-trade max size
+ * - Max total open exposure and per-token exposure
+ * - Daily realized loss limit (resets at UTC midnight)
+ * - Max consecutive losses (resets on a win or `npm run risk -- reset`)
+ * - Kill switch: blocks all entries until reset, fires notifier.emergencyStop
+ *   (tripped manually, or automatically at killSwitchLossUsd daily loss)
+ *
+ * Exits are never blocked. State is persisted to data/risk-state.json (or
+ * RISK_STATE_FILE) and re-read when the CLI changes it.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import notifier from './notifier.js';
+import { writeJsonAtomic, readJsonWithBackup } from './journal.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STATE_FILE = process.env.RISK_STATE_FILE || path.join(__dirname, '../../data/risk-state.json');
+
+export const CONFIG = {
+  maxTradeUsd: 50,              // Largest single entry
+  maxOpenExposureUsd: 150,      // Sum of all open position sizes
+  maxTokenExposureUsd: 50,      // Sum of open sizes in any one token
+  maxDailyLossUsd: 25,          // Realized loss that stops entries for the day
+  maxConsecutiveLosses: 5,      // Losing streak that stops entries until a reset
+  killSwitchLossUsd: 50,        // Realized daily loss that trips the kill switch (0 = off)
+};
+
+const state = {
+  openPositions: [],            // { id, token, tokenAddress, entryPrice, size, ... }
+  day: null,                    // UTC date the daily counters belong to
+  dailyPnlUsd: 0,
+  dailyTrades: 0,
+  consecutiveLosses: 0,
+  killSwitch: null,             // { reason, at } while tripped
+  alerted: {},                  // limit -> day already alerted (no repeat spam)
+};
+let fileMtimeMs = null;
+let saving = Promise.resolve();
+
+const today = (now = Date.now()) => new Date(now).toISOString().slice(0, 10);
+
+/**
+ * Reset daily counters on a new UTC day
+ */
+function rollDay(now = Date.now()) {
+  const day = today(now);
+  if (state.day !== day) {
+    if (state.day) {
+      console.log(`[Risk] New day ${day} - daily P&L reset (was $${state.dailyPnlUsd.toFixed(2)})`);
+    }
+    state.day = day;
+    state.dailyPnlUsd = 0;
+    state.dailyTrades = 0;
+  }
+}
+
+/**
+ * Queue a save - risk calls stay synchronous, saves never overlap
+ */
+function persist() {
+  saving = saving
+    .then(save)
+    .catch(e => console.error(`[Risk] Save failed: ${e.message}`));
+  return saving;
+}
+
+/**
+ * Load persisted state (daily P&L, streak, kill switch, open positions)
+ */
+export async function load() {
+  const saved = await readJsonWithBackup(STATE_FILE);
+  if (saved) {
+    const { lastUpdate, ...persisted } = saved;
+    Object.assign(state, persisted);
+  }
+  rollDay();
+  fileMtimeMs = await fs.stat(STATE_FILE).then(s => s.mtimeMs).catch(() => 0);
+
+  if (state.killSwitch) {
+    console.log(`[Risk] ⚠️ Kill switch active since ${new Date(state.killSwitch.at).toISOString()}: ${state.killSwitch.reason}`);
+  }
+}
+
+/**
+ * Reload if the CLI changed the state file since our last load/save
+ */
+export async function refresh() {
+  const mtimeMs = await fs.stat(STATE_FILE).then(s => s.mtimeMs).catch(() => 0);
+  if (mtimeMs !== fileMtimeMs) {
+    await load();
+  }
+}
+
+export async function save() {
+  await writeJsonAtomic(STATE_FILE, { ...state, lastUpdate: Date.now() });
+  fileMtimeMs = await fs.stat(STATE_FILE).then(s => s.mtimeMs).catch(() => 0);
+}
+
+/**
+ * Alert once per limit per day
+ */
+function alertOnce(limit, message) {
+  if (state.alerted[limit] === state.day) return;
+  state.alerted[limit] = state.day;
+  console.log(`[Risk] 🚨 ${message}`);
+  notifier.riskAlert(message).catch(() => {});
+}
+
+/**
+ * Why new entries are blocked right now (null if they aren't)
+ */
+function entryBlock() {
+  if (state.killSwitch) {
+    return `Kill switch active: ${state.killSwitch.reason}`;
+  }
+  if (state.dailyPnlUsd <= -CONFIG.maxDailyLossUsd) {
+    return `Daily loss limit hit ($${state.dailyPnlUsd.toFixed(2)} / -$${CONFIG.maxDailyLossUsd})`;
+  }
+  if (state.consecutiveLosses >= CONFIG.maxConsecutiveLosses) {
+    return `${state.consecutiveLosses} consecutive losses (max ${CONFIG.maxConsecutiveLosses})`;
+  }
+  return null;
+}
+
+/**
+ * Approve or reject a new position
+ * trade: { token, tokenAddress?, size }
+ */
+export function canTrade(trade) {
+  rollDay();
+  const { token, tokenAddress, size } = trade;
+
+  const blocked = entryBlock();
+  if (blocked) {
+    return { approved: false, reason: blocked };
+  }
+
+  if (!(size > 0)) {
+    return { approved: false, reason: `Invalid size: ${size}` };
+  }
+
+  if (size > CONFIG.maxTradeUsd) {
+    return { approved: false, reason: `Size $${size.toFixed(2)} above max trade $${CONFIG.maxTradeUsd}` };
+  }
+
+  const exposure = getExposure();
+  if (exposure + size > CONFIG.maxOpenExposureUsd) {
+    return { approved: false, reason: `Open exposure $${exposure.toFixed(2)} + $${size.toFixed(2)} above max $${CONFIG.maxOpenExposureUsd}` };
+  }
+
+  const tokenExposure = getExposure(tokenAddress || token);
+  if (tokenExposure + size > CONFIG.maxTokenExposureUsd) {
+    return { approved: false, reason: `${token} exposure $${tokenExposure.toFixed(2)} + $${size.toFixed(2)} above max $${CONFIG.maxTokenExposureUsd}` };
+  }
+
+  return { approved: true };
+}
+
+/**
+ * Open size in USD - all positions, or one token (by address or symbol)
+ */
+export function getExposure(token = null) {
+  return state.openPositions
+    .filter(p => !token || p.tokenAddress === token || p.token === token)
+    .reduce((sum, p) => sum + (p.size || 0), 0);
+}
+
+/**
+ * Track a newly opened position
+ */
+export function addPosition(position) {
+  rollDay();
+  if (!state.openPositions.some(p => p.id === position.id)) {
+    state.openPositions.push({ ...position, openedAt: Date.now() });
+    state.dailyTrades++;
+  }
+  return persist();
+}
+
+/**
+ * Book a partial sell - frees its exposure, its P&L counts toward the day
+ */
+export function reducePosition(positionId, soldSize, pnlUsd) {
+  rollDay();
+  const position = state.openPositions.find(p => p.id === positionId);
+  if (position) {
+    position.size = Math.max(0, position.size - soldSize);
+    position.realizedUsd = (position.realizedUsd || 0) + pnlUsd;
+  }
+  state.dailyPnlUsd += pnlUsd;
+  return persist();
+}
+
+/**
+ * Record a closed position's result and enforce the loss limits
+ * pnlUsd is the whole trade (partial sells already booked are not counted twice)
+ * and defaults to size x pnlPct (pass the real figure when known)
+ */
+export function closePosition(positionId, exitPrice, pnlPct, pnlUsd = null) {
+  rollDay();
+  const position = state.openPositions.find(p => p.id === positionId);
+  state.openPositions = state.openPositions.filter(p => p.id !== positionId);
+
+  const realized = pnlUsd ?? (position ? position.size * (pnlPct / 100) : 0);
+  state.dailyPnlUsd += realized - (position?.realizedUsd || 0);
+  state.consecutiveLosses = realized < 0 ? state.consecutiveLosses + 1 : 0;
+
+  if (state.dailyPnlUsd <= -CONFIG.maxDailyLossUsd) {
+    alertOnce('dailyLoss', `Daily loss limit hit: $${state.dailyPnlUsd.toFixed(2)} - no new entries until UTC midnight`);
+  }
+  if (state.consecutiveLosses >= CONFIG.maxConsecutiveLosses) {
+    alertOnce('streak', `${state.consecutiveLosses} consecutive losses - no new entries until reset`);
+  }
+  if (CONFIG.killSwitchLossUsd > 0 && state.dailyPnlUsd <= -CONFIG.killSwitchLossUsd && !state.killSwitch) {
+    return emergencyStop(`Daily loss $${state.dailyPnlUsd.toFixed(2)} reached kill switch -$${CONFIG.killSwitchLossUsd}`);
+  }
+
+  return persist();
+}
+
+/**
+ * Replace tracked positions with the caller's (startup, after reconciliation)
+ * No P&L effect - positions that vanished are dropped, new ones adopted
+ */
+export function syncPositions(positions) {
+  state.openPositions = positions.map(p => ({
+    id: p.id,
+    token: p.token,
+    tokenAddress: p.tokenAddress,
+    entryPrice: p.entryPrice,
+    size: p.size,
+    realizedUsd: p.realizedPnlUsd || 0,
+    openedAt: p.entryTime || Date.now(),
+  }));
+  return persist();
+}
+
+/**
+ * Trip the kill switch - blocks every new entry until resetKillSwitch()
+ */
+export function emergencyStop(reason) {
+  state.killSwitch = { reason, at: Date.now() };
+  console.log(`[Risk] 🛑 KILL SWITCH: ${reason}`);
+  notifier.emergencyStop({ reason }).catch(() => {});
+  return persist();
+}
+
+/**
+ * Clear the kill switch and losing streak (operator action)
+ */
+export function resetKillSwitch() {
+  state.killSwitch = null;
+  state.consecutiveLosses = 0;
+  state.alerted = {};
+  console.log('[Risk] ✅ Kill switch and loss streak reset');
+  return persist();
+}
+
+/**
+ * Current risk state and limits
+ */
+export function getState() {
+  rollDay();
+  return {
+    openPositions: [...state.openPositions],
+    exposureUsd: getExposure(),
+    day: state.day,
+    dailyPnlUsd: state.dailyPnlUsd,
+    dailyTrades: state.dailyTrades,
+    consecutiveLosses: state.consecutiveLosses,
+    killSwitch: state.killSwitch,
+    entriesBlocked: entryBlock(),
+    limits: { ...CONFIG },
+  };
+}
+
+export default {
+  load,
+  refresh,
+  save,
+  canTrade,
+  getExposure,
+  addPosition,
+  reducePosition,
+  closePosition,
+  syncPositions,
+  emergencyStop,
+  resetKillSwitch,
+  getState,
+  CONFIG,
+};
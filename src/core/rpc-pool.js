@@ -0,0 +1,291 @@
+/**
+ * RPC Pool
+ * Several Solana RPC endpoints behind one Connection-shaped object, so one
+ * throttled or dead provider doesn't take down balance reads and swaps.
+ *
+ * - Endpoints: SOLANA_RPC_URLS="url|weight,url|weight" (else the single SOLANA_RPC_URL);
+ *   sends can have their own list in SOLANA_SEND_RPC_URLS (e.g. staked endpoints)
+ * - Health per endpoint: latency (moving average), slot lag behind the best endpoint
+ *   (checkHealth), error rate over the last calls; rpcFailuresToDown network errors
+ *   in a row take it out for rpcCooldownMs
+ * - Routing: each call goes to a healthy endpoint picked by weight and fails over to
+ *   the next on HTTP 429/5xx, timeouts and connection errors - other errors (program
+ *   errors, bad params) are the answer
+ * - Sends (sendRawTransaction, sendTransaction) use the send list - every healthy
+ *   endpoint at once with rpcBroadcastSends
+ * - Subscriptions (on*, remove*Listener) stay on the primary (first) endpoint - the
+ *   websocket (SOLANA_WS_URL) and its subscription ids belong to one connection
+ */
+
+import { Connection } from '@solana/web3.js';
+
+export const CONFIG = {
+  rpcHealthCheckMs: 15 * 1000,
+  rpcMaxSlotLag: 50,                // ~20s behind the best endpoint
+  rpcMaxErrorPct: 30,               // Of the last ERROR_WINDOW calls
+  rpcFailuresToDown: 3,
+  rpcCooldownMs: 30 * 1000,
+  rpcBroadcastSends: false,
+};
+
+const DEFAULT_RPC_URL = 'https://api.mainnet-beta.solana.com';
+const ERROR_WINDOW = 20;
+const MIN_SAMPLES = 5;                  // Too few calls to judge an error rate
+const LATENCY_ALPHA = 0.2;
+
+const SEND_METHODS = new Set(['sendRawTransaction', 'sendTransaction', 'sendEncodedTransaction']);
+const SUBSCRIPTION_METHOD = /^on[A-Z]|^remove\w*Listener$/;
+
+let _pool = null;
+
+/**
+ * Parse "url|weight,url|weight" (weight defaults to 1)
+ */
+export function parseEndpoints(list = '') {
+  return list.split(',').map(s => s.trim()).filter(Boolean).map((entry) => {
+    const [url, weight = '1'] = entry.split('|');
+    const w = Number(weight);
+    if (!/^https?:\/\//.test(url) || !(w > 0)) {
+      throw new Error(`Invalid RPC endpoint "${entry}" (expected url or url|weight)`);
+    }
+    return { url, weight: w };
+  });
+}
+
+// web3.js transport errors read "429 Too Many Requests: ..." (possibly wrapped as
+// "failed to ...: Error: 503 Service Unavailable: ...")
+const HTTP_FAILOVER = /(?:^|Error: )(?:429|50[0-4]) /;
+const CONNECTION_FAILOVER = /\b(?:ECONNRESET|ECONNREFUSED|ETIMEDOUT|ESOCKETTIMEDOUT|ENOTFOUND|EAI_AGAIN|EPIPE|UND_ERR_\w+)\b|fetch failed|socket hang up|network timeout/i;
+
+// Network trouble - another endpoint may well answer
+function isFailover(e) {
+  const message = e?.message || String(e);
+  const codes = [e?.code, e?.cause?.code].filter(code => typeof code === 'string').join(' ');
+  return HTTP_FAILOVER.test(message) || CONNECTION_FAILOVER.test(`${codes} ${message}`);
+}
+
+const defaultCreateConnection = (url, config) => new Connection(url, config);
+
+function createEndpoint(url, weight, name, options, createConnection) {
+  return {
+    url,
+    name,
+    weight,
+    roles: new Set(),
+    connection: createConnection(url, { ...options, disableRetryOnRateLimit: true }),
+    calls: 0,
+    errors: 0,
+    recent: [],
+    consecutiveFailures: 0,
+    latencyMs: null,
+    slot: null,
+    slotLag: null,
+    downUntil: 0,
+    lastError: null,
+  };
+}
+
+function record(endpoint, ms, error) {
+  endpoint.calls++;
+  endpoint.recent.push(!error);
+  if (endpoint.recent.length > ERROR_WINDOW) endpoint.recent.shift();
+
+  if (error) {
+    endpoint.errors++;
+    endpoint.lastError = error.message;
+    endpoint.consecutiveFailures++;
+    if (endpoint.consecutiveFailures >= CONFIG.rpcFailuresToDown && Date.now() >= endpoint.downUntil) {
+      endpoint.downUntil = Date.now() + CONFIG.rpcCooldownMs;
+      console.log(`[RPC] 🔻 ${endpoint.name} down for ${CONFIG.rpcCooldownMs / 1000}s after ${endpoint.consecutiveFailures} errors: ${error.message}`);
+    }
+    return;
+  }
+
+  endpoint.latencyMs = endpoint.latencyMs === null ? ms : endpoint.latencyMs + LATENCY_ALPHA * (ms - endpoint.latencyMs);
+  if (endpoint.downUntil > 0) {
+    endpoint.downUntil = 0;
+    console.log(`[RPC] 🔺 ${endpoint.name} back up`);
+  }
+  endpoint.consecutiveFailures = 0;
+}
+
+function health(endpoint) {
+  const errorRate = endpoint.recent.length >= MIN_SAMPLES
+    ? endpoint.recent.filter(ok => !ok).length / endpoint.recent.length
+    : 0;
+
+  let reason = null;
+  if (Date.now() < endpoint.downUntil) reason = 'down';
+  else if (endpoint.slotLag !== null && endpoint.slotLag > CONFIG.rpcMaxSlotLag) reason = `${endpoint.slotLag} slots behind`;
+  else if (errorRate * 100 > CONFIG.rpcMaxErrorPct) reason = `${(errorRate * 100).toFixed(0)}% errors`;
+
+  return { healthy: reason === null, reason, errorRate };
+}
+
+/**
+ * Healthy endpoints in weighted random order, then the unhealthy ones
+ * (least errors first) as a last resort
+ */
+function order(endpoints) {
+  const rated = endpoints.map(endpoint => ({ endpoint, ...health(endpoint) }));
+  const healthy = rated.filter(r => r.healthy)
+    .map(r => ({ endpoint: r.endpoint, key: Math.random() ** (1 / r.endpoint.weight) }))
+    .sort((a, b) => b.key - a.key);
+  const unhealthy = rated.filter(r => !r.healthy).sort((a, b) => a.errorRate - b.errorRate);
+  return { healthy: healthy.map(r => r.endpoint), all: [...healthy, ...unhealthy].map(r => r.endpoint) };
+}
+
+async function timed(endpoint, method, args) {
+  const startedAt = Date.now();
+  try {
+    const result = await endpoint.connection[method](...args);
+    record(endpoint, Date.now() - startedAt, null);
+    return result;
+  } catch (e) {
+    record(endpoint, Date.now() - startedAt, isFailover(e) ? e : null);
+    throw e;
+  }
+}
+
+/**
+ * Create a pool - options: { read: [{ url, weight }], send: [{ url, weight }],
+ * wsEndpoint (primary only), commitment, createConnection(url, config) (tests) }
+ * Returns { connection, checkHealth(), getHealth(), endpoints }
+ */
+export function createRpcPool(options = {}) {
+  const { read = [], send = [], wsEndpoint, commitment = 'confirmed', createConnection = defaultCreateConnection } = options;
+  if (read.length === 0) {
+    throw new Error('RPC pool needs at least one endpoint');
+  }
+
+  // One endpoint (and one health record) per URL, whatever lists it is in
+  const byUrl = new Map();
+  const endpointFor = ({ url, weight }, role) => {
+    if (!byUrl.has(url)) {
+      const host = new URL(url).host; // Never log the path/query - API keys live there
+      const taken = [...byUrl.values()].filter(e => e.name.split('#')[0] === host).length;
+      const name = taken > 0 ? `${host}#${taken + 1}` : host;
+      byUrl.set(url, createEndpoint(url, weight, name, { commitment, wsEndpoint: byUrl.size === 0 ? wsEndpoint : undefined }, createConnection));
+    }
+    const endpoint = byUrl.get(url);
+    endpoint.roles.add(role);
+    return endpoint;
+  };
+
+  const readEndpoints = read.map(e => endpointFor(e, 'read'));
+  const sendEndpoints = send.length > 0
+    ? send.map(e => endpointFor(e, 'send'))
+    : readEndpoints.map(e => endpointFor(e, 'send'));
+  const primary = readEndpoints[0];
+
+  async function call(method, args) {
+    const isSend = SEND_METHODS.has(method);
+    const { healthy, all } = order(isSend ? sendEndpoints : readEndpoints);
+
+    if (isSend && CONFIG.rpcBroadcastSends) {
+      const targets = healthy.length > 0 ? healthy : all;
+      try {
+        return await Promise.any(targets.map(endpoint => timed(endpoint, method, args)));
+      } catch (e) {
+        throw e.errors[0];
+      }
+    }
+
+    let lastError;
+    for (const endpoint of all) {
+      try {
+        return await timed(endpoint, method, args);
+      } catch (e) {
+        if (!isFailover(e)) throw e;
+        lastError = e;
+      }
+    }
+    throw lastError;
+  }
+
+  // Connection-shaped: RPC methods routed through the pool, properties and
+  // subscriptions from the primary; assigning a method overrides it (tests)
+  const connection = new Proxy({}, {
+    get(overrides, prop) {
+      if (Object.hasOwn(overrides, prop)) return overrides[prop];
+      const value = primary.connection[prop];
+      if (typeof value !== 'function' || typeof prop !== 'string') return value;
+      if (SUBSCRIPTION_METHOD.test(prop)) return value.bind(primary.connection);
+      return (...args) => call(prop, args);
+    },
+  });
+
+  /**
+   * Probe every endpoint's slot - sets slot lag against the best one
+   */
+  async function checkHealth() {
+    const endpoints = [...byUrl.values()];
+    const slots = await Promise.all(endpoints.map(e => timed(e, 'getSlot', [commitment]).catch(() => null)));
+    const best = Math.max(...slots.filter(s => s !== null));
+    endpoints.forEach((endpoint, i) => {
+      if (slots[i] === null) return;
+      endpoint.slot = slots[i];
+      endpoint.slotLag = best - slots[i];
+    });
+  }
+
+  /**
+   * Per endpoint: { name, weight, roles, primary, healthy, reason, latencyMs,
+   * slot, slotLag, errorRate, calls, errors, lastError }
+   */
+  function getHealth() {
+    return [...byUrl.values()].map(endpoint => ({
+      name: endpoint.name,
+      weight: endpoint.weight,
+      roles: [...endpoint.roles],
+      primary: endpoint === primary,
+      ...health(endpoint),
+      latencyMs: endpoint.latencyMs,
+      slot: endpoint.slot,
+      slotLag: endpoint.slotLag,
+      calls: endpoint.calls,
+      errors: endpoint.errors,
+      lastError: endpoint.lastError,
+    }));
+  }
+
+  return {
+    connection,
+    checkHealth,
+    getHealth,
+    endpoints: [...byUrl.values()].map(e => e.name),
+  };
+}
+
+/**
+ * Get the shared pool (created from env on first use)
+ */
+export function getRpcPool() {
+  if (!_pool) {
+    const read = parseEndpoints(process.env.SOLANA_RPC_URLS || process.env.SOLANA_RPC_URL || DEFAULT_RPC_URL);
+    _pool = createRpcPool({
+      read,
+      send: parseEndpoints(process.env.SOLANA_SEND_RPC_URLS),
+      wsEndpoint: process.env.SOLANA_WS_URL || undefined,
+    });
+    if (_pool.endpoints.length > 1) {
+      console.log(`[RPC] Pool: ${_pool.endpoints.join(', ')}`);
+    }
+  }
+  return _pool;
+}
+
+/**
+ * Replace the shared pool (tests, custom setups)
+ */
+export function setRpcPool(pool) {
+  _pool = pool;
+}
+
+export default {
+  getRpcPool,
+  setRpcPool,
+  createRpcPool,
+  parseEndpoints,
+  CONFIG,
+};
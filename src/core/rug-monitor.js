@@ -0,0 +1,194 @@
+/**
+ * Rug Monitor
+ * Watches every open position between scans for signs of a rug:
+ *
+ * - LIQUIDITY_PULL:   pool liquidity down rugLiquidityDropPct from its peak since
+ *                     entry, or the pool gone from the index
+ * - SUPPLY_MINTED:    mint supply up rugSupplyIncreasePct (mint authority still live)
+ * - AUTHORITY_CHANGE: mint/freeze authority set or handed to another key
+ * - HOLDER_DUMP:      a top holder moved rugHolderDumpPct of supply since the last
+ *                     check (the largest account is skipped - usually the pool vault)
+ * - ACCOUNT_FROZEN:   our token account was frozen (live - can't sell, alert only)
+ *
+ * Liquidity is polled every rugPollMs (0 = off); on-chain checks every rugChainCheckMs.
+ * The caller decides what to do with a signal (the bot sells at
+ * emergencySlippagePct, blacklists the token and its deployer, and alerts).
+ */
+
+import solanaWallet from './solana-wallet.js';
+import { getWallet } from './wallet.js';
+import { getMarketData } from './market-data.js';
+
+export const CONFIG = {
+  rugPollMs: 3000,              // Liquidity poll - 5x faster than the scan loop (0 = off)
+  rugChainCheckMs: 30 * 1000,   // Mint / holder checks (2-3 RPC calls per position)
+  rugLiquidityDropPct: 40,      // From the peak since entry
+  rugSupplyIncreasePct: 1,
+  rugHolderDumpPct: 3,          // Of total supply, per check
+  rugTopHolders: 10,
+  emergencySlippagePct: 25,     // Sell at up to 25% slippage - getting out matters more
+};
+
+const MISSING_PAIR_CHECKS = 3;  // Consecutive empty lookups before "pool gone" (API blips)
+
+const watched = new Map();      // positionId -> { peakLiquidity, misses, mint, holders, lastChainCheck, pending, attempts, fired, warned }
+let timer = null;
+let running = false;
+
+/**
+ * On-chain rug checks against the baseline taken at the first check
+ */
+async function checkChain(position, watch, options) {
+  const mint = await solanaWallet.getMintInfo(position.tokenAddress);
+  if (!mint) return null;
+
+  if (!watch.mint) {
+    watch.mint = mint;
+  } else {
+    const baseSupply = BigInt(watch.mint.supply);
+    const supply = BigInt(mint.supply);
+    if (baseSupply > 0n && supply > baseSupply) {
+      const increasePct = Number(((supply - baseSupply) * 10000n) / baseSupply) / 100;
+      if (increasePct >= CONFIG.rugSupplyIncreasePct) {
+        return { reason: 'SUPPLY_MINTED', detail: `supply +${increasePct.toFixed(2)}% since entry (mint authority ${mint.mintAuthority})` };
+      }
+    }
+    for (const key of ['mintAuthority', 'freezeAuthority']) {
+      if (mint[key] && mint[key] !== watch.mint[key]) {
+        return { reason: 'AUTHORITY_CHANGE', detail: `${key} ${watch.mint[key] || 'none'} → ${mint[key]}` };
+      }
+    }
+  }
+
+  const supply = BigInt(mint.supply);
+  const holders = await solanaWallet.getLargestTokenAccounts(position.tokenAddress);
+  const current = new Map(holders.map(h => [h.address, BigInt(h.amount)]));
+  const previous = watch.holders;
+  watch.holders = new Map([...current].slice(0, CONFIG.rugTopHolders));
+
+  if (previous && supply > 0n && holders.length > 0) {
+    // Largest account is normally the pool vault - its balance moves with every trade.
+    // A holder that fell off the returned list holds at most the smallest listed balance.
+    const smallest = BigInt(holders[holders.length - 1].amount);
+    for (const [address, before] of [...previous].slice(1)) {
+      const now = current.get(address) ?? smallest;
+      if (now >= before) continue;
+      const movedPct = Number(((before - now) * 10000n) / supply) / 100;
+      if (movedPct >= CONFIG.rugHolderDumpPct) {
+        return { reason: 'HOLDER_DUMP', detail: `holder ${address.slice(0, 8)}... moved ${movedPct.toFixed(2)}% of supply` };
+      }
+    }
+  }
+
+  if (options.live && mint.freezeAuthority && await getWallet('solana').isTokenAccountFrozen(position.tokenAddress)) {
+    return { reason: 'ACCOUNT_FROZEN', detail: `our ${position.token} account was frozen by ${mint.freezeAuthority}`, canSell: false };
+  }
+
+  return null;
+}
+
+/**
+ * Check one position - returns a signal { reason, detail, price, canSell, attempt } or null
+ * A signal repeats on every check (attempt 2, 3...) until resolve(positionId) -
+ * an exit that didn't happen gets retried
+ */
+export async function checkPosition(position, options = {}, now = Date.now()) {
+  let watch = watched.get(position.id);
+  if (!watch) {
+    watch = { peakLiquidity: position.entryLiquidity || 0, misses: 0, lastChainCheck: 0, pending: null, attempts: 0, fired: false, warned: false };
+    watched.set(position.id, watch);
+  }
+  if (watch.fired) return null;
+
+  const pairs = await getMarketData().getTokenPairs(position.tokenAddress);
+  const pair = pairs[0];
+  const price = parseFloat(pair?.priceUsd || 0);
+  const liquidity = parseFloat(pair?.liquidity?.usd || 0);
+
+  let signal = watch.pending; // Detected earlier, exit not done yet - signal it again
+  watch.misses = pair ? 0 : watch.misses + 1;
+  if (!signal && pair && liquidity > 0) {
+    watch.peakLiquidity = Math.max(watch.peakLiquidity, liquidity);
+    const dropPct = ((watch.peakLiquidity - liquidity) / watch.peakLiquidity) * 100;
+    if (dropPct >= CONFIG.rugLiquidityDropPct) {
+      signal = { reason: 'LIQUIDITY_PULL', detail: `liquidity -${dropPct.toFixed(0)}% ($${(watch.peakLiquidity / 1000).toFixed(1)}k → $${(liquidity / 1000).toFixed(1)}k)` };
+    }
+  } else if (!signal && watch.misses >= MISSING_PAIR_CHECKS && watch.peakLiquidity > 0) {
+    signal = { reason: 'LIQUIDITY_PULL', detail: `pool no longer listed (${watch.misses} lookups)` };
+  }
+
+  if (!signal && now - watch.lastChainCheck >= CONFIG.rugChainCheckMs) {
+    watch.lastChainCheck = now;
+    try {
+      signal = await checkChain(position, watch, options);
+    } catch (e) {
+      if (!watch.warned) {
+        watch.warned = true; // Once per position - e.g. RPC down, or a mint the RPC doesn't know
+        console.error(`[RugMonitor] On-chain checks failed for ${position.token}: ${e.message}`);
+      }
+    }
+  }
+
+  if (!signal) return null;
+  watch.pending = signal;
+  watch.attempts++;
+  return { canSell: true, ...signal, price: price > 0 ? price : null, attempt: watch.attempts };
+}
+
+/**
+ * A position's rug signal is handled (sold, or nothing left to do) - stop signalling it
+ */
+export function resolve(positionId) {
+  const watch = watched.get(positionId);
+  if (watch) watch.fired = true;
+}
+
+/**
+ * Poll all positions every rugPollMs
+ * getPositions() -> open positions; onRug(position, signal) handles a detection and
+ * returns true once done - false retries on the next poll
+ * options.live: also check for a frozen token account
+ */
+export function start({ getPositions, onRug, live = false }) {
+  stop();
+  if (!(CONFIG.rugPollMs > 0)) {
+    console.log('[RugMonitor] Disabled (rugPollMs = 0)');
+    return;
+  }
+  timer = setInterval(async () => {
+    if (running) return; // Previous pass still going (slow RPC)
+    running = true;
+    try {
+      const positions = getPositions();
+      const openIds = new Set(positions.map(p => p.id));
+      for (const id of watched.keys()) {
+        if (!openIds.has(id)) watched.delete(id);
+      }
+
+      for (const position of positions) {
+        try {
+          const signal = await checkPosition(position, { live });
+          if (signal && await onRug(position, signal)) resolve(position.id);
+        } catch (e) {
+          console.error(`[RugMonitor] ${position.token}: ${e.message}`);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  }, CONFIG.rugPollMs);
+  console.log(`[RugMonitor] Watching positions every ${CONFIG.rugPollMs / 1000}s (liquidity -${CONFIG.rugLiquidityDropPct}%, on-chain every ${CONFIG.rugChainCheckMs / 1000}s)`);
+}
+
+export function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+export default {
+  start,
+  stop,
+  checkPosition,
+  resolve,
+  CONFIG,
+};
@@ -0,0 +1,178 @@
+/**
+ * Job Scheduler
+ * Runs named jobs on their own intervals without ever overlapping a job with
+ * itself - the next run is scheduled only after the previous one settles.
+ *
+ *   const scheduler = createScheduler();
+ *   scheduler.addJob('scan', scanForEntries, { intervalMs: 15000, timeoutMs: 60000, jitterMs: 1500 });
+ *   scheduler.start();
+ *   await scheduler.stop(); // no new runs, waits for in-flight ones
+ *
+ * - jitterMs:  random 0..jitterMs added to every delay (spreads API bursts)
+ * - timeoutMs: the job's signal is aborted and the run counted as timed out;
+ *              the job itself is still awaited (no overlap, even when slow)
+ * - exclusive: runs alone - waits for other jobs to finish and holds off new
+ *              ones (e.g. reconciliation rewriting the position list)
+ *
+ * Jobs get ({ signal }) and can check signal.aborted between steps.
+ */
+
+const BLOCKED_RETRY_MS = 250;
+
+/**
+ * Create a scheduler
+ */
+export function createScheduler({ log = console.log } = {}) {
+  const jobs = new Map();
+  let running = false;
+
+  const anyRunning = (except) => [...jobs.values()].some(j => j !== except && j.current);
+
+  function schedule(job, delayMs) {
+    if (!running) return;
+    const jitter = job.jitterMs > 0 ? Math.random() * job.jitterMs : 0;
+    job.metrics.nextRunAt = Date.now() + delayMs + jitter;
+    job.timer = setTimeout(() => run(job), delayMs + jitter);
+  }
+
+  async function run(job) {
+    job.timer = null;
+    if (!running) return;
+
+    // Exclusive jobs wait for the others; everything waits for an exclusive job
+    const blocked = job.exclusive ? anyRunning(job) : [...jobs.values()].some(j => j.exclusive && (j.current || j.waiting));
+    if (blocked) {
+      job.waiting = job.exclusive;
+      job.metrics.delayed++;
+      job.timer = setTimeout(() => run(job), BLOCKED_RETRY_MS);
+      return;
+    }
+    job.waiting = false;
+
+    const controller = new AbortController();
+    const startedAt = Date.now();
+    job.metrics.runs++;
+    job.metrics.lastStartedAt = startedAt;
+
+    let timeout = null;
+    if (job.timeoutMs > 0) {
+      timeout = setTimeout(() => {
+        job.metrics.timeouts++;
+        log(`[Scheduler] ⏱️ ${job.name} still running after ${job.timeoutMs / 1000}s - aborting`);
+        controller.abort(new Error(`${job.name} timed out`));
+      }, job.timeoutMs);
+    }
+
+    job.current = (async () => {
+      try {
+        await job.fn({ signal: controller.signal });
+        job.metrics.lastError = null;
+      } catch (e) {
+        job.metrics.failures++;
+        job.metrics.lastError = e.message;
+        log(`[Scheduler] ❌ ${job.name} failed: ${e.message}`);
+      } finally {
+        clearTimeout(timeout);
+        const durationMs = Date.now() - startedAt;
+        const m = job.metrics;
+        m.lastDurationMs = durationMs;
+        m.maxDurationMs = Math.max(m.maxDurationMs, durationMs);
+        m.totalDurationMs += durationMs;
+      }
+    })();
+
+    await job.current;
+    job.current = null;
+    schedule(job, job.intervalMs);
+  }
+
+  return {
+    /**
+     * Register a job - options: { intervalMs, timeoutMs, jitterMs, exclusive, runOnStart }
+     */
+    addJob(name, fn, { intervalMs, timeoutMs = 0, jitterMs = 0, exclusive = false, runOnStart = true } = {}) {
+      if (jobs.has(name)) throw new Error(`Job "${name}" already registered`);
+      if (!(intervalMs > 0)) throw new Error(`Job "${name}" needs an intervalMs`);
+      jobs.set(name, {
+        name,
+        fn,
+        intervalMs,
+        timeoutMs,
+        jitterMs,
+        exclusive,
+        runOnStart,
+        timer: null,
+        current: null,
+        waiting: false,
+        metrics: {
+          runs: 0,
+          failures: 0,
+          timeouts: 0,
+          delayed: 0,
+          lastStartedAt: null,
+          lastDurationMs: null,
+          maxDurationMs: 0,
+          totalDurationMs: 0,
+          lastError: null,
+          nextRunAt: null,
+        },
+      });
+      if (running) schedule(jobs.get(name), runOnStart ? 0 : intervalMs);
+    },
+
+    start() {
+      if (running) return;
+      running = true;
+      for (const job of jobs.values()) {
+        schedule(job, job.runOnStart ? 0 : job.intervalMs);
+      }
+    },
+
+    /**
+     * Stop scheduling and wait for in-flight runs (up to timeoutMs)
+     * Returns the names of jobs still running when the wait ran out
+     */
+    async stop({ timeoutMs = 60 * 1000 } = {}) {
+      running = false;
+      for (const job of jobs.values()) {
+        clearTimeout(job.timer);
+        job.timer = null;
+        job.waiting = false;
+      }
+
+      const inFlight = [...jobs.values()].filter(j => j.current);
+      if (inFlight.length === 0) return [];
+
+      log(`[Scheduler] Waiting for ${inFlight.map(j => j.name).join(', ')}...`);
+      let timer;
+      const gaveUp = new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); });
+      await Promise.race([Promise.all(inFlight.map(j => j.current)), gaveUp]);
+      clearTimeout(timer);
+      return inFlight.filter(j => j.current).map(j => j.name);
+    },
+
+    /**
+     * Per-job metrics: { name: { runs, failures, timeouts, delayed, avgDurationMs, running, ... } }
+     */
+    getMetrics() {
+      const result = {};
+      for (const job of jobs.values()) {
+        const { totalDurationMs, ...m } = job.metrics;
+        const completed = m.runs - (job.current ? 1 : 0);
+        result[job.name] = {
+          ...m,
+          avgDurationMs: completed > 0 ? totalDurationMs / completed : null,
+          running: Boolean(job.current),
+          intervalMs: job.intervalMs,
+        };
+      }
+      return result;
+    },
+
+    isRunning: () => running,
+  };
+}
+
+export default {
+  createScheduler,
+};
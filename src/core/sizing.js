@@ -0,0 +1,146 @@
+/**
+ * Position Sizing
+ * Turns an opportunity into a USD size through a chain of policies
+ * (CONFIG.sizingPolicies, run in order):
+ *
+ * - fixed:      positionSizePct of the balance (the starting size)
+ * - kelly:      fractional Kelly from our own closed trades (replaces the base)
+ * - volatility: scale toward a target 1h volatility (from 5m / 1h price change)
+ * - score:      scale between scoreMinMult and scoreMaxMult by score
+ * - liquidity:  cap at maxPoolPct of pool depth, estimated from the Jupiter
+ *               price impact of the pre-flight quote
+ *
+ * The result is clamped to [minSizeMult, maxSizeMult] x the fixed size, then
+ * the liquidity cap is applied on top. Pure - no network, used by the bot and
+ * the backtester alike. Register more with registerPolicy(name, fn).
+ */
+
+import { CONFIG as STRATEGY_CONFIG } from '../strategies/meme-scalp.js';
+
+export const CONFIG = {
+  sizingPolicies: ['volatility', 'score', 'liquidity'],
+  minSizeMult: 0.25,            // Never below 1/4 of the fixed size...
+  maxSizeMult: 2,               // ...or above 2x
+  targetVolatilityPct: 15,      // 1h move we size a "normal" position for
+  scoreMinMult: 0.5,            // Size at minScore
+  scoreMaxMult: 1.5,            // Size at scoreFullAt and above
+  scoreFullAt: 120,
+  maxPoolPct: 1,                // Max share of estimated pool depth (~1% price impact)
+  kellyFraction: 0.25,          // Quarter Kelly
+  kellyMinTrades: 20,           // Below this, kelly keeps the fixed size
+  kellyLookback: 100,           // Most recent trades used
+};
+
+const QUOTE_USD = 10; // getRealSlippageCost default quote size
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Policies: (ctx, size) -> { size?, cap?, note }
+ * ctx: { balance, baseSize, opp, history }
+ */
+const policies = {
+  fixed: ({ baseSize }) => ({
+    size: baseSize,
+    note: `fixed ${STRATEGY_CONFIG.positionSizePct}%`,
+  }),
+
+  kelly: ({ balance, baseSize, history }) => {
+    const trades = history.slice(-CONFIG.kellyLookback);
+    const wins = trades.filter(t => t.pnlPct > 0);
+    const losses = trades.filter(t => t.pnlPct <= 0);
+    if (trades.length < CONFIG.kellyMinTrades || wins.length === 0 || losses.length === 0) {
+      return { size: baseSize, note: `kelly n/a (${trades.length}/${CONFIG.kellyMinTrades} trades)` };
+    }
+
+    const winRate = wins.length / trades.length;
+    const avgWin = wins.reduce((sum, t) => sum + t.pnlPct, 0) / wins.length;
+    const avgLoss = Math.abs(losses.reduce((sum, t) => sum + t.pnlPct, 0) / losses.length) || 1e-9;
+    const kelly = winRate - (1 - winRate) / (avgWin / avgLoss);
+
+    return {
+      size: Math.max(0, balance * kelly * CONFIG.kellyFraction),
+      note: `kelly ${(kelly * 100).toFixed(1)}% x${CONFIG.kellyFraction} (win ${(winRate * 100).toFixed(0)}%, ${avgWin.toFixed(1)}/${avgLoss.toFixed(1)})`,
+    };
+  },
+
+  volatility: ({ opp }, size) => {
+    // 5m change scaled to an hour (sqrt of time) vs the actual 1h change
+    const hourlyVol = Math.max(Math.abs(opp.priceChange5m || 0) * Math.sqrt(12), Math.abs(opp.priceChange1h || 0));
+    if (hourlyVol === 0) {
+      return { size, note: 'vol n/a' };
+    }
+    const mult = CONFIG.targetVolatilityPct / hourlyVol;
+    return { size: size * mult, note: `vol ${hourlyVol.toFixed(0)}% x${mult.toFixed(2)}` };
+  },
+
+  score: ({ opp }, size) => {
+    const span = CONFIG.scoreFullAt - STRATEGY_CONFIG.minScore;
+    const t = span > 0 ? clamp((opp.score - STRATEGY_CONFIG.minScore) / span, 0, 1) : 1;
+    const mult = CONFIG.scoreMinMult + (CONFIG.scoreMaxMult - CONFIG.scoreMinMult) * t;
+    return { size: size * mult, note: `score ${opp.score} x${mult.toFixed(2)}` };
+  },
+
+  liquidity: ({ opp }) => {
+    // Constant-product pool: impact ≈ amount / depth, so depth ≈ amount / impact
+    const impactPct = Math.abs(opp.realBuySlippage || 0);
+    const depth = impactPct > 0
+      ? (opp.quoteUsd || QUOTE_USD) / (impactPct / 100)
+      : (opp.liquidity || 0) / 2; // No measurable impact: one side of the pool
+    if (!(depth > 0)) {
+      return { note: 'liq n/a' };
+    }
+    const cap = depth * (CONFIG.maxPoolPct / 100);
+    return { cap, note: `liq cap $${cap.toFixed(0)} (depth ~$${(depth / 1000).toFixed(0)}k)` };
+  },
+};
+
+/**
+ * Add or replace a sizing policy
+ */
+export function registerPolicy(name, policy) {
+  policies[name] = policy;
+}
+
+export function listPolicies() {
+  return Object.keys(policies);
+}
+
+/**
+ * Size a position for an opportunity
+ * history: closed trades (pnlPct) for kelly
+ * Returns { size, baseSize, notes }
+ */
+export function computePositionSize({ balance, opp, history = [] }) {
+  const baseSize = balance * (STRATEGY_CONFIG.positionSizePct / 100);
+  const ctx = { balance, baseSize, opp, history };
+  const notes = [];
+
+  let size = baseSize;
+  let cap = Infinity;
+  for (const name of CONFIG.sizingPolicies) {
+    const policy = policies[name];
+    if (!policy) {
+      throw new Error(`Unknown sizing policy "${name}" (available: ${listPolicies().join(', ')})`);
+    }
+    const result = policy(ctx, size);
+    if (result.size !== undefined) size = result.size;
+    if (result.cap !== undefined) cap = Math.min(cap, result.cap);
+    notes.push(result.note);
+  }
+
+  size = clamp(size, baseSize * CONFIG.minSizeMult, baseSize * CONFIG.maxSizeMult);
+  if (size > cap) {
+    size = cap;
+    notes.push('capped');
+  }
+
+  return { size, baseSize, notes };
+}
+
+export default {
+  computePositionSize,
+  registerPolicy,
+  listPolicies,
+  CONFIG,
+};
@@ -0,0 +1,216 @@
+/**
+ * Solana Swap Execution
+ * Jupiter quote -> build -> sign & send with the active wallet provider
+ * (core/wallet.js - native keypair by default; options.wallet overrides)
+ *
+ * Amounts are raw base units (lamports / token base units) as strings.
+ * Point JUPITER_API_URL at a mock server and SOLANA_RPC_URL at a local
+ * validator (solana-test-validator) to test the live path end to end.
+ */
+
+import dex from './dex.js';
+import solanaWallet from './solana-wallet.js';
+import txLanding from './tx-landing.js';
+import jito from './jito.js';
+import { getWallet } from './wallet.js';
+
+const SOL_MINT = dex.TOKENS.solana.SOL;
+const USDC_MINT = dex.TOKENS.solana.USDC;
+
+// Keep this much SOL for fees, rent and priority fees
+const MIN_SOL_RESERVE = 0.01;
+
+/**
+ * Get SOL/USD from a 1 SOL -> USDC Jupiter quote
+ */
+export async function getSolUsdPrice() {
+  const quote = await dex.getQuoteJupiter(SOL_MINT, USDC_MINT, 1_000_000_000, 50);
+  const price = Number(quote.amountOut) / 1e6; // USDC has 6 decimals
+
+  if (!Number.isFinite(price) || price <= 0) {
+    throw new Error(`Invalid SOL/USD price from Jupiter: ${quote.amountOut}`);
+  }
+
+  return price;
+}
+
+/**
+ * Priority fee for a route - recent fees on the pools it write-locks
+ * null (Jupiter's auto fee) if the estimate fails
+ */
+async function getPriorityFee(quote) {
+  const pools = (quote.routePlan || []).map(step => step.swapInfo?.ammKey).filter(Boolean);
+  try {
+    return await txLanding.estimatePriorityFee(solanaWallet.getConnection(), pools);
+  } catch (e) {
+    console.log(`   ⚠️ Priority fee estimate failed (${e.message}) - using Jupiter's`);
+    return null;
+  }
+}
+
+/**
+ * Quote, build, sign and land a Jupiter swap (core/tx-landing.js, or a Jito
+ * bundle - core/jito.js - when enabled for this side)
+ * Returns { success, txHash, inAmount, outAmount, priceImpactPct, fill, tipLamports } or
+ * { success: false, error, code } - code from txLanding.decodeError (SLIPPAGE, EXPIRED...)
+ * `fill` is the actual on-chain result (see solanaWallet.parseFill), null if it couldn't be read
+ * `tipLamports` overrides the Jito tip policy for this trade (0: no bundle);
+ * the result's tipLamports is what was actually paid (not part of the fill)
+ */
+export async function swap({ inputMint, outputMint, amount, slippageBps, onSigned, wallet, tipLamports }) {
+  try {
+    wallet = wallet || getWallet('solana');
+    const userPublicKey = wallet.getAddress();
+
+    const quote = await dex.getQuoteJupiter(inputMint, outputMint, amount, Math.round(slippageBps));
+    console.log(`   📊 Quote: ${quote.amountIn} → ${quote.amountOut} (impact ${parseFloat(quote.priceImpactPct || 0).toFixed(2)}%)`);
+
+    const computeUnitPriceMicroLamports = await getPriorityFee(quote);
+    if (computeUnitPriceMicroLamports) {
+      console.log(`   ⛽ Priority fee: ${computeUnitPriceMicroLamports} µlamports/CU`);
+    }
+    const swapData = await dex.buildSwapJupiter(quote.quoteResponse, userPublicKey, { computeUnitPriceMicroLamports });
+
+    // Tip scales with the SOL at stake - what a sandwich could take
+    const side = inputMint === SOL_MINT ? 'buy' : 'sell';
+    if (tipLamports === undefined && jito.shouldBundle(side)) {
+      tipLamports = jito.tipFor(side === 'buy' ? amount : quote.amountOut);
+    }
+    if (tipLamports > 0) {
+      console.log(`   🛡️ Jito bundle, tip ${(tipLamports / 1e9).toFixed(6)} SOL`);
+    }
+
+    const result = await wallet.signAndSendRawTransaction(swapData.swapTransaction, {
+      lastValidBlockHeight: swapData.lastValidBlockHeight,
+      onSigned,
+      tipLamports,
+    });
+
+    if (!result.success) {
+      return { success: false, error: result.error, code: result.code, txHash: result.signature };
+    }
+
+    // Read what we actually got from the confirmed transaction, not the quote
+    const tokenMint = inputMint === SOL_MINT ? outputMint : inputMint;
+    let fill = null;
+    try {
+      fill = await wallet.getTransactionFill(result.signature, tokenMint);
+    } catch (e) {
+      console.error(`   ⚠️ Couldn't read fill for ${result.signature}: ${e.message}`);
+    }
+
+    return {
+      success: true,
+      txHash: result.signature,
+      inAmount: quote.amountIn,
+      outAmount: quote.amountOut,
+      priceImpactPct: parseFloat(quote.priceImpactPct || 0),
+      fill,
+      tipLamports: result.bundleId ? result.tipLamports : 0,
+    };
+  } catch (e) {
+    console.error(`   ❌ Swap failed: ${e.message}`);
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Buy a token with SOL (solAmount in SOL, not lamports)
+ * options: { onSigned(signature), wallet, tipLamports } - passed through to swap()
+ */
+export async function buyWithSol(tokenAddress, solAmount, slippageBps, options = {}) {
+  const balance = await (options.wallet || getWallet('solana')).getBalance();
+  if (solAmount > balance - MIN_SOL_RESERVE) {
+    return {
+      success: false,
+      error: `Insufficient SOL: need ${solAmount.toFixed(4)} + ${MIN_SOL_RESERVE} reserve, have ${balance.toFixed(4)}`,
+    };
+  }
+
+  const lamports = Math.floor(solAmount * 1e9).toString();
+  return swap({ inputMint: SOL_MINT, outputMint: tokenAddress, amount: lamports, slippageBps, ...options });
+}
+
+/**
+ * Sell the wallet's whole on-chain balance of a token for SOL
+ */
+export async function sellAll(tokenAddress, slippageBps, options = {}) {
+  let balance;
+  try {
+    balance = await (options.wallet || getWallet('solana')).getTokenBalanceRaw(tokenAddress);
+  } catch (e) {
+    return { success: false, error: `Balance lookup failed: ${e.message}` };
+  }
+
+  if (BigInt(balance.amount) === 0n) {
+    return { success: false, error: 'No token balance to sell' };
+  }
+
+  console.log(`   🪙 Selling ${balance.uiAmount} tokens (${balance.amount} raw, ${balance.decimals} decimals)`);
+  const result = await swap({ inputMint: tokenAddress, outputMint: SOL_MINT, amount: balance.amount, slippageBps, ...options });
+  return { ...result, decimals: balance.decimals, amountRaw: balance.amount };
+}
+
+/**
+ * Sell a fraction (0-1] of the wallet's on-chain balance of a token for SOL
+ * Rounds down to whole base units; 1 sells everything
+ */
+export async function sellPortion(tokenAddress, fraction, slippageBps, options = {}) {
+  if (!(fraction > 0 && fraction <= 1)) {
+    return { success: false, error: `Invalid sell fraction: ${fraction}` };
+  }
+  if (fraction === 1) {
+    return sellAll(tokenAddress, slippageBps, options);
+  }
+
+  let balance;
+  try {
+    balance = await (options.wallet || getWallet('solana')).getTokenBalanceRaw(tokenAddress);
+  } catch (e) {
+    return { success: false, error: `Balance lookup failed: ${e.message}` };
+  }
+
+  const amount = (BigInt(balance.amount) * BigInt(Math.round(fraction * 1e6))) / 1_000_000n;
+  if (amount === 0n) {
+    return { success: false, error: 'Sell amount rounds to 0 tokens' };
+  }
+
+  console.log(`   🪙 Selling ${(fraction * 100).toFixed(1)}%: ${amount} of ${balance.amount} raw (${balance.decimals} decimals)`);
+  const result = await swap({ inputMint: tokenAddress, outputMint: SOL_MINT, amount: amount.toString(), slippageBps, ...options });
+  return { ...result, decimals: balance.decimals, amountRaw: amount.toString() };
+}
+
+/**
+ * Close the wallet's empty token accounts for a mint (after a full exit) to
+ * reclaim their rent - about 0.002 SOL each
+ * Returns { success, closed, rentLamports, txHash } (closed: 0 if nothing to close)
+ */
+export async function closeEmptyTokenAccounts(tokenAddress, options = {}) {
+  const wallet = options.wallet || getWallet('solana');
+  try {
+    const built = await solanaWallet.buildCloseEmptyTokenAccounts(tokenAddress, wallet.getAddress());
+    if (!built) {
+      return { success: true, closed: 0, rentLamports: 0 };
+    }
+
+    const result = await wallet.signAndSendRawTransaction(built.transaction, { lastValidBlockHeight: built.lastValidBlockHeight });
+    if (!result.success) {
+      return { success: false, error: result.error, code: result.code, txHash: result.signature };
+    }
+
+    console.log(`   🧹 Closed ${built.accounts.length} empty token account(s), reclaimed ${(built.rentLamports / 1e9).toFixed(6)} SOL rent`);
+    return { success: true, closed: built.accounts.length, rentLamports: built.rentLamports, txHash: result.signature };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+}
+
+export default {
+  getSolUsdPrice,
+  swap,
+  buyWithSol,
+  sellAll,
+  sellPortion,
+  closeEmptyTokenAccounts,
+  SOL_MINT,
+};
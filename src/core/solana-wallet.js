@@ -3,32 +3,40 @@
  * Uses local keypair derived from seed phrase - no Venly dependency
  */
 
-import { Connection, Keypair, PublicKey, Transaction, VersionedTransaction, sendAndConfirmTransaction } from '@solana/web3.js';
+import { Keypair, PublicKey, Transaction, TransactionMessage, VersionedTransaction, ComputeBudgetProgram, sendAndConfirmTransaction } from '@solana/web3.js';
+import { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, createCloseAccountInstruction } from '@solana/spl-token';
 import * as bip39 from 'bip39';
 // ed25519-hd-key not needed - using direct seed method
 import bs58 from 'bs58';
 import dotenv from 'dotenv';
+import txLanding from './tx-landing.js';
+import jito from './jito.js';
+import { getRpcPool } from './rpc-pool.js';
 
 dotenv.config();
 
 // Solana derivation path (Phantom/Solflare compatible)
 const DERIVATION_PATH = "m/44'/501'/0'/0'";
 
-// RPC endpoint
-const RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
-
 let _keypair = null;
-let _connection = null;
 
 /**
- * Get or create the keypair from seed phrase
+ * Get or create the keypair from seed phrase (or base58 WALLET_PRIVATE_KEY)
  */
 function getKeypair() {
   if (_keypair) return _keypair;
   
+  // Base58 secret key (Phantom export / solana-keygen for local validators)
+  const privateKey = process.env.WALLET_PRIVATE_KEY;
+  if (privateKey) {
+    _keypair = Keypair.fromSecretKey(bs58.decode(privateKey.trim()));
+    console.log(`[SolanaWallet] Loaded wallet: ${_keypair.publicKey.toBase58()}`);
+    return _keypair;
+  }
+  
   const seedPhrase = process.env.SOLANA_SEED_PHRASE;
   if (!seedPhrase) {
-    throw new Error('SOLANA_SEED_PHRASE not found in environment');
+    throw new Error('SOLANA_SEED_PHRASE or WALLET_PRIVATE_KEY not found in environment');
   }
   
   // Validate mnemonic
@@ -45,12 +53,11 @@ function getKeypair() {
 }
 
 /**
- * Get Solana connection
+ * Get Solana connection (shared - read-only callers like token-safety use it too)
+ * Backed by the RPC pool (core/rpc-pool.js): SOLANA_RPC_URLS / SOLANA_RPC_URL
  */
-function getConnection() {
-  if (_connection) return _connection;
-  _connection = new Connection(RPC_URL, 'confirmed');
-  return _connection;
+export function getConnection() {
+  return getRpcPool().connection;
 }
 
 /**
@@ -61,12 +68,11 @@ export function getAddress() {
 }
 
 /**
- * Get wallet balance in SOL
+ * Get wallet balance in SOL (owner: another address, e.g. a remote signer's)
  */
-export async function getBalance() {
+export async function getBalance(owner = null) {
   const connection = getConnection();
-  const keypair = getKeypair();
-  const lamports = await connection.getBalance(keypair.publicKey);
+  const lamports = await connection.getBalance(owner ? new PublicKey(owner) : getKeypair().publicKey);
   return lamports / 1e9;
 }
 
@@ -93,6 +99,113 @@ export async function getTokenBalance(mintAddress) {
   }
 }
 
+/**
+ * Get raw token balance for an SPL token (string of base units + mint decimals)
+ * Sums all of the wallet's (or owner's) accounts for the mint
+ */
+export async function getTokenBalanceRaw(mintAddress, owner = null) {
+  const connection = getConnection();
+  
+  const mint = new PublicKey(mintAddress);
+  const tokenAccounts = await connection.getParsedTokenAccountsByOwner(
+    owner ? new PublicKey(owner) : getKeypair().publicKey,
+    { mint }
+  );
+  
+  let amount = 0n;
+  let decimals = null;
+  for (const { account } of tokenAccounts.value) {
+    const tokenAmount = account.data.parsed.info.tokenAmount;
+    amount += BigInt(tokenAmount.amount);
+    decimals = tokenAmount.decimals;
+  }
+  
+  // No token account yet - read decimals from the mint itself
+  if (decimals === null) {
+    const mintInfo = await connection.getParsedAccountInfo(mint);
+    decimals = mintInfo.value?.data?.parsed?.info?.decimals ?? 0;
+  }
+  
+  return {
+    amount: amount.toString(),
+    decimals,
+    uiAmount: Number(amount) / 10 ** decimals,
+  };
+}
+
+/**
+ * Unsigned transaction (base64) closing the wallet's (or owner's) empty token
+ * accounts for a mint - the rent goes back to the owner
+ * Returns { transaction, lastValidBlockHeight, accounts, rentLamports }, null if nothing to close
+ */
+export async function buildCloseEmptyTokenAccounts(mintAddress, owner = null) {
+  const connection = getConnection();
+  const ownerKey = owner ? new PublicKey(owner) : getKeypair().publicKey;
+  
+  const tokenAccounts = await connection.getParsedTokenAccountsByOwner(
+    ownerKey,
+    { mint: new PublicKey(mintAddress) }
+  );
+  const empty = tokenAccounts.value.filter(({ account }) => {
+    const info = account.data.parsed.info;
+    return info.tokenAmount.amount === '0' && info.state !== 'frozen';
+  });
+  if (empty.length === 0) return null;
+  
+  // Account owner is the token program (classic or Token-2022)
+  const priorityFee = await txLanding.estimatePriorityFee(connection).catch(() => txLanding.CONFIG.minPriorityFeeMicroLamports);
+  const instructions = [
+    ComputeBudgetProgram.setComputeUnitLimit({ units: 10000 * empty.length + 1000 }),
+    ComputeBudgetProgram.setComputeUnitPrice({ microLamports: priorityFee }),
+    ...empty.map(({ pubkey, account }) =>
+      createCloseAccountInstruction(pubkey, ownerKey, ownerKey, [], account.owner)
+    ),
+  ];
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+  const message = new TransactionMessage({
+    payerKey: ownerKey,
+    recentBlockhash: blockhash,
+    instructions,
+  }).compileToV0Message();
+  
+  return {
+    transaction: Buffer.from(new VersionedTransaction(message).serialize()).toString('base64'),
+    lastValidBlockHeight,
+    accounts: empty.map(({ pubkey }) => pubkey.toBase58()),
+    rentLamports: empty.reduce((sum, { account }) => sum + account.lamports, 0),
+  };
+}
+
+/**
+ * Get every SPL token (classic + Token-2022) the wallet (or owner) holds, summed per mint
+ * Returns [{ mint, amount (raw string), decimals, uiAmount, accounts }]
+ */
+export async function getAllTokenBalances(owner = null) {
+  const connection = getConnection();
+  const ownerKey = owner ? new PublicKey(owner) : getKeypair().publicKey;
+  
+  const results = await Promise.all([TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID].map(programId =>
+    connection.getParsedTokenAccountsByOwner(ownerKey, { programId })
+  ));
+  
+  const byMint = new Map();
+  for (const { value } of results) {
+    for (const { pubkey, account } of value) {
+      const info = account.data.parsed.info;
+      const entry = byMint.get(info.mint) || { mint: info.mint, amount: 0n, decimals: info.tokenAmount.decimals, accounts: [] };
+      entry.amount += BigInt(info.tokenAmount.amount);
+      entry.accounts.push(pubkey.toBase58());
+      byMint.set(info.mint, entry);
+    }
+  }
+  
+  return [...byMint.values()].map(e => ({
+    ...e,
+    amount: e.amount.toString(),
+    uiAmount: Number(e.amount) / 10 ** e.decimals,
+  }));
+}
+
 /**
  * Sign a transaction
  */
@@ -141,39 +254,250 @@ export async function sendTransaction(transaction, options = {}) {
 
 /**
  * Sign and send raw transaction bytes (for Jupiter swaps)
+ * options: { onSigned(signature), lastValidBlockHeight, simulate, tipLamports } - see sendSignedTransaction
  */
 export async function signAndSendRawTransaction(serializedTransaction, options = {}) {
-  const connection = getConnection();
-  const keypair = getKeypair();
-  
+  let transaction;
   try {
-    // Deserialize the transaction
-    const transaction = VersionedTransaction.deserialize(
+    transaction = VersionedTransaction.deserialize(
       Buffer.from(serializedTransaction, 'base64')
     );
+    transaction.sign([getKeypair()]);
+  } catch (e) {
+    console.error(`[SolanaWallet] Signing failed: ${e.message}`);
+    return { success: false, error: e.message, signature: null };
+  }
+  
+  return sendSignedTransaction(transaction, {
+    ...options,
+    signTip: (tipTransaction) => {
+      tipTransaction.sign([getKeypair()]);
+      return tipTransaction;
+    },
+  });
+}
+
+/**
+ * Land an already signed VersionedTransaction (signed here or by a remote signer)
+ * through core/tx-landing.js: simulate, send, rebroadcast until confirmed or expired
+ * options.onSigned(signature) runs after simulation, before the first send -
+ * journal the intent there. Failures carry a decoded `code` (SLIPPAGE, EXPIRED...)
+ *
+ * With options.tipLamports and options.signTip(tx) (and jito enabled) it goes as a
+ * Jito bundle first (core/jito.js), falling back to the RPC path if that can help
+ */
+export async function sendSignedTransaction(transaction, options = {}) {
+  const connection = getConnection();
+  try {
+    if (jito.CONFIG.jitoEnabled && options.tipLamports > 0 && options.signTip) {
+      const bundled = await jito.sendBundle(connection, transaction, options);
+      if (bundled.success) {
+        console.log(`[SolanaWallet] Bundle landed: ${bundled.signature} (${(bundled.landingMs / 1000).toFixed(1)}s)`);
+        return bundled;
+      }
+      if (!bundled.fallback) {
+        console.error(`[SolanaWallet] Bundle failed (${bundled.code}): ${bundled.error}`);
+        return bundled;
+      }
+
+      // Already simulated and journaled - the same signed bytes go out over RPC
+      console.log(`[SolanaWallet] Bundle not landed (${bundled.code}) - sending over RPC`);
+      options = { ...options, simulate: false, onSigned: null };
+    }
+
+    const result = await txLanding.land(connection, transaction, options);
+    if (result.success) {
+      console.log(`[SolanaWallet] Transaction landed: ${result.signature} (${result.sends} sends, ${(result.landingMs / 1000).toFixed(1)}s)`);
+    } else {
+      console.error(`[SolanaWallet] Transaction failed (${result.code}): ${result.error}`);
+    }
+    return result;
+  } catch (e) {
+    console.error(`[SolanaWallet] Transaction failed: ${e.message}`);
+    return { success: false, error: e.message, code: txLanding.decodeError(e).code, signature: null };
+  }
+}
+
+/**
+ * Look up a signature's fate: 'confirmed', 'failed', or null (unknown / never landed)
+ */
+export async function getSignatureStatus(signature) {
+  const connection = getConnection();
+  const { value } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+  const status = value[0];
+  
+  if (!status) return null;
+  if (status.err) return 'failed';
+  return ['confirmed', 'finalized'].includes(status.confirmationStatus) ? 'confirmed' : null;
+}
+
+/**
+ * Parse what a confirmed transaction actually did to the wallet's SOL and token balances
+ * Pure - takes a getTransaction() result
+ */
+export function parseFill(tx, ownerAddress, mintAddress) {
+  const meta = tx?.meta;
+  if (!meta) {
+    throw new Error('Transaction has no meta');
+  }
+  if (meta.err) {
+    throw new Error(`Transaction failed on-chain: ${JSON.stringify(meta.err)}`);
+  }
+  
+  const accountKeys = tx.transaction.message.staticAccountKeys
+    || tx.transaction.message.accountKeys;
+  const ownerIndex = accountKeys.findIndex(k => k.toBase58() === ownerAddress);
+  if (ownerIndex < 0) {
+    throw new Error('Wallet not found in transaction accounts');
+  }
+  
+  // Token delta across all of the owner's accounts for this mint
+  const isOurs = (b) => b.owner === ownerAddress && b.mint === mintAddress;
+  const pre = (meta.preTokenBalances || []).filter(isOurs);
+  const post = (meta.postTokenBalances || []).filter(isOurs);
+  const sum = (list) => list.reduce((total, b) => total + BigInt(b.uiTokenAmount.amount), 0n);
+  const tokenDeltaRaw = sum(post) - sum(pre);
+  const tokenDecimals = (post[0] || pre[0])?.uiTokenAmount.decimals ?? 0;
+  
+  // Rent paid for token accounts created in this tx (refundable when closed)
+  let rentLamports = 0;
+  for (const b of post) {
+    if (!pre.some(p => p.accountIndex === b.accountIndex)) {
+      rentLamports += meta.postBalances[b.accountIndex] - meta.preBalances[b.accountIndex];
+    }
+  }
+  
+  const signatures = tx.transaction.signatures.length;
+  const feeLamports = meta.fee;
+  const priorityFeeLamports = Math.max(0, feeLamports - 5000 * signatures);
+  const solDeltaLamports = meta.postBalances[ownerIndex] - meta.preBalances[ownerIndex];
+  
+  // SOL that went into / came out of the swap itself (excluding fee and rent)
+  const swapLamports = Math.abs(solDeltaLamports + feeLamports + rentLamports);
+  // Split in BigInt first - raw amounts routinely exceed 2^53 for 9-decimal memes
+  const absRaw = tokenDeltaRaw < 0n ? -tokenDeltaRaw : tokenDeltaRaw;
+  const scale = 10n ** BigInt(tokenDecimals);
+  const tokenAmount = Number(absRaw / scale) + Number(absRaw % scale) / 10 ** tokenDecimals;
+  
+  return {
+    signature: tx.transaction.signatures[0],
+    slot: tx.slot,
+    blockTime: tx.blockTime,
+    tokenMint: mintAddress,
+    tokenDecimals,
+    tokenDeltaRaw: tokenDeltaRaw.toString(),
+    tokenAmount,
+    solDeltaLamports,
+    swapLamports,
+    feeLamports,
+    priorityFeeLamports,
+    rentLamports,
+    pricePerTokenSol: tokenAmount > 0 ? swapLamports / 1e9 / tokenAmount : 0,
+  };
+}
+
+/**
+ * Fetch a confirmed transaction and parse the wallet's (or owner's) actual fill
+ * Retries briefly - RPC nodes can lag a moment behind confirmation
+ */
+export async function getTransactionFill(signature, mintAddress, attempts = 5, owner = null) {
+  const connection = getConnection();
+  owner = owner || getKeypair().publicKey.toBase58();
+  
+  for (let i = 0; i < attempts; i++) {
+    const tx = await connection.getTransaction(signature, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0,
+    });
     
-    // Sign it
-    transaction.sign([keypair]);
+    if (tx) {
+      return parseFill(tx, owner, mintAddress);
+    }
     
-    // Send it
-    const signature = await connection.sendRawTransaction(transaction.serialize(), {
-      skipPreflight: options.skipPreflight || false,
-      maxRetries: options.maxRetries || 3,
-    });
+    await new Promise(r => setTimeout(r, 1000));
+  }
+  
+  throw new Error(`Transaction ${signature} not found after ${attempts} attempts`);
+}
+
+/**
+ * Raw account data (Buffer), null if the account doesn't exist
+ */
+export async function getAccountData(address) {
+  const connection = getConnection();
+  const info = await connection.getAccountInfo(new PublicKey(address));
+  return info ? info.data : null;
+}
+
+/**
+ * Parsed mint account: supply (raw string), decimals, authorities, token program
+ * null if the mint doesn't exist
+ */
+export async function getMintInfo(mintAddress) {
+  const connection = getConnection();
+  const info = await connection.getParsedAccountInfo(new PublicKey(mintAddress));
+  const parsed = info.value?.data?.parsed;
+  if (!parsed || parsed.type !== 'mint') return null;
+  
+  return {
+    supply: parsed.info.supply,
+    decimals: parsed.info.decimals,
+    mintAuthority: parsed.info.mintAuthority || null,
+    freezeAuthority: parsed.info.freezeAuthority || null,
+    program: info.value.data.program,
+  };
+}
+
+/**
+ * Largest token accounts for a mint (up to 20, biggest first): [{ address, amount }]
+ */
+export async function getLargestTokenAccounts(mintAddress) {
+  const connection = getConnection();
+  const result = await connection.getTokenLargestAccounts(new PublicKey(mintAddress));
+  return result.value.map(a => ({ address: a.address.toBase58(), amount: a.amount }));
+}
+
+/**
+ * True if any of the wallet's (or owner's) accounts for a mint is frozen (can't sell)
+ */
+export async function isTokenAccountFrozen(mintAddress, owner = null) {
+  const connection = getConnection();
+  const tokenAccounts = await connection.getParsedTokenAccountsByOwner(
+    owner ? new PublicKey(owner) : getKeypair().publicKey,
+    { mint: new PublicKey(mintAddress) }
+  );
+  return tokenAccounts.value.some(({ account }) => account.data.parsed.info.state === 'frozen');
+}
+
+/**
+ * Find who created a mint: fee payer of the oldest transaction touching it
+ * Pages back through signature history (maxPages x 1000); null if not reached
+ */
+export async function getMintCreator(mintAddress, maxPages = 3) {
+  const connection = getConnection();
+  const mint = new PublicKey(mintAddress);
+  let before;
+  let oldest = null;
+  
+  for (let page = 0; page < maxPages; page++) {
+    const signatures = await connection.getSignaturesForAddress(mint, { before, limit: 1000 });
+    if (signatures.length === 0) break;
     
-    // Wait for confirmation
-    const confirmation = await connection.confirmTransaction(signature, 'confirmed');
+    oldest = signatures[signatures.length - 1].signature;
+    before = oldest;
     
-    if (confirmation.value.err) {
-      throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
+    if (signatures.length < 1000) {
+      const tx = await connection.getTransaction(oldest, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0,
+      });
+      const message = tx?.transaction.message;
+      const feePayer = (message?.staticAccountKeys || message?.accountKeys)?.[0];
+      return feePayer ? feePayer.toBase58() : null;
     }
-    
-    console.log(`[SolanaWallet] Swap executed: ${signature}`);
-    return { success: true, signature };
-  } catch (e) {
-    console.error(`[SolanaWallet] Swap failed: ${e.message}`);
-    return { success: false, error: e.message };
   }
+  
+  return null; // History too long to reach the creation tx
 }
 
 /**
@@ -192,11 +516,24 @@ export async function verify() {
 }
 
 export default {
+  getConnection,
   getAddress,
   getBalance,
   getTokenBalance,
+  getTokenBalanceRaw,
+  getAllTokenBalances,
+  buildCloseEmptyTokenAccounts,
   signTransaction,
   sendTransaction,
   signAndSendRawTransaction,
+  sendSignedTransaction,
+  getTransactionFill,
+  getSignatureStatus,
+  parseFill,
+  getMintCreator,
+  getAccountData,
+  getMintInfo,
+  getLargestTokenAccounts,
+  isTokenAccountFrozen,
   verify,
 };
@@ -0,0 +1,210 @@
+/**
+ * Token Safety
+ * On-chain checks of a token before entry, read through @solana/spl-token:
+ *
+ * - Rejects: live mint authority, freeze authority, and Token-2022 transfer
+ *   fees, transfer hooks and permanent delegates (the deployer can tax, block
+ *   or take our tokens)
+ * - Scores: top-10 wallet holder concentration and LP burn/lock status
+ *   (scoreSafety, added to scorePair's breakdown)
+ *
+ * Holder concentration counts wallets only - token accounts owned by a program
+ * (pool vaults, bonding curves, lockers) are skipped. LP status is read from
+ * Raydium AMM v4 pools; other pools report 'unknown'.
+ *
+ * Several RPC calls per token, so the scanner only checks its top candidates.
+ * Reports are plain JSON (recorded with scans for the backtester) and cached
+ * for safetyCacheMs.
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  unpackMint,
+  getMint,
+  getTransferFeeConfig,
+  getTransferHook,
+  getPermanentDelegate,
+} from '@solana/spl-token';
+import { getConnection } from './solana-wallet.js';
+
+export const CONFIG = {
+  safetyChecksEnabled: true,
+  goodTop10HolderPct: 25,       // Top 10 wallets at or below this: +10
+  maxTop10HolderPct: 50,        // Above this: -20
+  minLpLockedPct: 90,           // Burned + locked LP for +10 (below: -10)
+  safetyCacheMs: 10 * 60 * 1000,
+};
+
+const RAYDIUM_AMM_V4 = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+const AMM_V4_SIZE = 752;
+const AMM_V4_LP_MINT_OFFSET = 464;
+const AMM_V4_LP_RESERVE_OFFSET = 720;    // LP minted by the pool, burns included
+const INCINERATOR = '1nc1nerator11111111111111111111111111111111';
+
+const cache = new Map(); // mint -> { report, at }
+
+const pct = (part, whole) => (whole > 0n ? Number((part * 10000n) / whole) / 100 : 0);
+const isSet = (key) => Boolean(key) && !key.equals(PublicKey.default);
+
+/**
+ * Largest accounts of a mint with their owners: [{ amount (BigInt), owner }]
+ */
+async function getHolders(connection, mint) {
+  const { value: accounts } = await connection.getTokenLargestAccounts(mint);
+  if (accounts.length === 0) return [];
+
+  const { value: infos } = await connection.getMultipleParsedAccounts(accounts.map(a => a.address));
+  return accounts.map((a, i) => ({
+    amount: BigInt(a.amount),
+    owner: infos[i]?.data?.parsed?.info?.owner || null,
+  }));
+}
+
+/**
+ * Why a mint can't be traded safely - { reject, rejectDetail } or null
+ */
+function checkMint(mint) {
+  if (mint.mintAuthority) {
+    return { reject: 'MINT_AUTHORITY', rejectDetail: `mint authority ${mint.mintAuthority.toBase58()} can print supply` };
+  }
+  if (mint.freezeAuthority) {
+    return { reject: 'FREEZE_AUTHORITY', rejectDetail: `freeze authority ${mint.freezeAuthority.toBase58()} can freeze our account` };
+  }
+
+  const fee = getTransferFeeConfig(mint);
+  if (fee) {
+    const bps = Math.max(fee.olderTransferFee.transferFeeBasisPoints, fee.newerTransferFee.transferFeeBasisPoints);
+    if (bps > 0 || isSet(fee.transferFeeConfigAuthority)) {
+      return { reject: 'TRANSFER_FEE', rejectDetail: `Token-2022 transfer fee ${bps / 100}%${isSet(fee.transferFeeConfigAuthority) ? ' (adjustable)' : ''}` };
+    }
+  }
+  const hook = getTransferHook(mint);
+  if (hook && isSet(hook.programId)) {
+    return { reject: 'TRANSFER_HOOK', rejectDetail: `Token-2022 transfer hook ${hook.programId.toBase58()}` };
+  }
+  const delegate = getPermanentDelegate(mint);
+  if (delegate && isSet(delegate.delegate)) {
+    return { reject: 'PERMANENT_DELEGATE', rejectDetail: `Token-2022 permanent delegate ${delegate.delegate.toBase58()}` };
+  }
+
+  return null;
+}
+
+/**
+ * Burned + locked share of a Raydium AMM v4 pool's LP
+ * Locked = held by the incinerator or a program (locker PDA)
+ */
+async function checkLiquidityLock(connection, pairAddress) {
+  const unknown = { lpStatus: 'unknown', lpLockedPct: null };
+  if (!pairAddress) return unknown;
+
+  const pool = await connection.getAccountInfo(new PublicKey(pairAddress));
+  if (!pool || pool.owner.toBase58() !== RAYDIUM_AMM_V4 || pool.data.length < AMM_V4_SIZE) {
+    return unknown;
+  }
+
+  const lpMint = new PublicKey(pool.data.subarray(AMM_V4_LP_MINT_OFFSET, AMM_V4_LP_MINT_OFFSET + 32));
+  const lpReserve = pool.data.readBigUInt64LE(AMM_V4_LP_RESERVE_OFFSET);
+  const { supply } = await getMint(connection, lpMint);
+  const minted = lpReserve > supply ? lpReserve : supply;
+  if (minted === 0n) return unknown;
+
+  const burned = minted - supply;
+  let locked = 0n;
+  if (supply > 0n) {
+    for (const holder of await getHolders(connection, lpMint)) {
+      if (holder.owner && (holder.owner === INCINERATOR || !PublicKey.isOnCurve(holder.owner))) {
+        locked += holder.amount;
+      }
+    }
+  }
+
+  const lpLockedPct = pct(burned + locked, minted);
+  const lpStatus = lpLockedPct < CONFIG.minLpLockedPct ? 'unlocked'
+    : pct(burned, minted) >= CONFIG.minLpLockedPct ? 'burned'
+      : 'locked';
+  return { lpStatus, lpLockedPct };
+}
+
+/**
+ * Check a token - returns a report (throws on RPC errors; not cached)
+ * { program, mintAuthority, freezeAuthority, transferFeeBps, transferHook,
+ *   top10Pct, lpStatus, lpLockedPct, reject, rejectDetail, checkedAt }
+ */
+export async function checkToken(tokenAddress, pairAddress = null, now = Date.now()) {
+  const cached = cache.get(tokenAddress);
+  if (cached && now - cached.at < CONFIG.safetyCacheMs) return cached.report;
+
+  const connection = getConnection();
+  const mintKey = new PublicKey(tokenAddress);
+  const info = await connection.getAccountInfo(mintKey);
+  if (!info) throw new Error(`Mint ${tokenAddress} not found`);
+
+  const programId = info.owner;
+  if (!programId.equals(TOKEN_PROGRAM_ID) && !programId.equals(TOKEN_2022_PROGRAM_ID)) {
+    throw new Error(`${tokenAddress} is not a token mint (owner ${programId.toBase58()})`);
+  }
+  const mint = unpackMint(mintKey, info, programId);
+  const fee = getTransferFeeConfig(mint);
+
+  const report = {
+    program: programId.equals(TOKEN_2022_PROGRAM_ID) ? 'token-2022' : 'token',
+    mintAuthority: mint.mintAuthority?.toBase58() || null,
+    freezeAuthority: mint.freezeAuthority?.toBase58() || null,
+    transferFeeBps: fee ? fee.newerTransferFee.transferFeeBasisPoints : 0,
+    transferHook: getTransferHook(mint)?.programId.toBase58() || null,
+    top10Pct: null,
+    lpStatus: 'unknown',
+    lpLockedPct: null,
+    reject: null,
+    rejectDetail: null,
+    checkedAt: now,
+  };
+
+  const rejection = checkMint(mint);
+  if (rejection) {
+    Object.assign(report, rejection); // No point paying for holder/LP lookups
+  } else {
+    const wallets = (await getHolders(connection, mintKey))
+      .filter(h => h.owner && PublicKey.isOnCurve(h.owner));
+    const top10 = wallets.slice(0, 10).reduce((sum, h) => sum + h.amount, 0n);
+    report.top10Pct = pct(top10, mint.supply);
+    Object.assign(report, await checkLiquidityLock(connection, pairAddress));
+  }
+
+  cache.set(tokenAddress, { report, at: now });
+  return report;
+}
+
+/**
+ * Score points from a report (pure) - { holders?, lp? }, added by scorePair
+ */
+export function scoreSafety(report) {
+  const points = {};
+  if (report.top10Pct !== null && report.top10Pct !== undefined) {
+    if (report.top10Pct <= CONFIG.goodTop10HolderPct) points.holders = 10;
+    else if (report.top10Pct > CONFIG.maxTop10HolderPct) points.holders = -20;
+  }
+  if (report.lpStatus === 'burned' || report.lpStatus === 'locked') points.lp = 10;
+  else if (report.lpStatus === 'unlocked') points.lp = -10;
+  return points;
+}
+
+/**
+ * One-line summary for logs
+ */
+export function describe(report) {
+  if (report.reject) return `${report.reject}: ${report.rejectDetail}`;
+  const top10 = report.top10Pct !== null ? `top10 ${report.top10Pct.toFixed(1)}%` : 'top10 n/a';
+  const lp = report.lpLockedPct !== null ? `LP ${report.lpStatus} ${report.lpLockedPct.toFixed(0)}%` : `LP ${report.lpStatus}`;
+  return `${top10}, ${lp}${report.program === 'token-2022' ? ', token-2022' : ''}`;
+}
+
+export default {
+  checkToken,
+  scoreSafety,
+  describe,
+  CONFIG,
+};
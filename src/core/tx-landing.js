@@ -0,0 +1,249 @@
+/**
+ * Transaction Landing
+ * Gets a signed transaction on-chain instead of sending once and hoping:
+ *
+ * - Priority fee: percentile of recent prioritization fees (getRecentPrioritizationFees),
+ *   clamped to [minPriorityFeeMicroLamports, maxPriorityFeeMicroLamports]
+ * - Simulation (simulateTransactions): catch slippage / funds errors before paying fees
+ * - Rebroadcast: the same signed bytes every rebroadcastMs until confirmed or the
+ *   blockhash expires (block height past lastValidBlockHeight) - then it can never land
+ * - Errors decoded to codes: SLIPPAGE, INSUFFICIENT_FUNDS, ACCOUNT_IN_USE,
+ *   BLOCKHASH_NOT_FOUND, COMPUTE_EXCEEDED, EXPIRED, TIMEOUT, NETWORK, UNKNOWN
+ *
+ * Every outcome is counted - getMetrics() for the status report.
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import bs58 from 'bs58';
+
+export const CONFIG = {
+  priorityFeePercentile: 75,            // Of recent fees (micro-lamports per CU)
+  minPriorityFeeMicroLamports: 10000,
+  maxPriorityFeeMicroLamports: 2000000, // ~0.0004 SOL at 200k CU
+  rebroadcastMs: 2000,
+  landingTimeoutMs: 90 * 1000,          // Backstop if block height can't be read
+  simulateTransactions: true,
+};
+
+const CONFIRM_POLL_MS = 500;
+
+// Custom program errors that mean "price moved past the slippage limit"
+const SLIPPAGE_CODES = new Set([
+  6001, // Jupiter: SlippageToleranceExceeded (0x1771)
+  6024, // 0x1788
+]);
+
+const ERROR_PATTERNS = [
+  ['SLIPPAGE', /0x1788|0x1771|slippage/i, false],
+  ['INSUFFICIENT_FUNDS', /InsufficientFunds|insufficient (funds|lamports)/i, false],
+  ['ACCOUNT_IN_USE', /AccountInUse|account in use/i, true],
+  ['BLOCKHASH_NOT_FOUND', /BlockhashNotFound|blockhash not found/i, true],
+  ['COMPUTE_EXCEEDED', /ComputationalBudgetExceeded|exceeded CUs meter/i, false],
+  ['ALREADY_PROCESSED', /AlreadyProcessed|already been processed/i, true],
+];
+
+// Thrown transport failures only - status errs and logs are full of numbers.
+// web3.js reads "429 Too Many Requests: ..." (possibly wrapped in "...: Error: 503 ...")
+const NETWORK_PATTERN = /(?:^|Error: )(?:429|50[0-4]) |fetch failed|ECONNRESET|ETIMEDOUT|ECONNREFUSED|socket hang up/i;
+
+const metrics = {
+  sent: 0,
+  landed: 0,
+  failed: 0,
+  expired: 0,
+  timedOut: 0,
+  simulationFailed: 0,
+  rebroadcasts: 0,
+  totalLandingMs: 0,
+  errors: {},
+  lastPriorityFee: null,
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Decode a transaction error (status err, simulation err, or a thrown Error)
+ * Returns { code, message, retryable } - retryable: resending may still land it
+ */
+export function decodeError(err, logs = []) {
+  const text = err instanceof Error ? err.message : typeof err === 'string' ? err : JSON.stringify(err);
+  const allLogs = [...logs, ...(err?.logs || [])].join('\n');
+
+  const custom = err?.InstructionError?.[1]?.Custom;
+  if (SLIPPAGE_CODES.has(custom)) {
+    return { code: 'SLIPPAGE', message: `Slippage exceeded (0x${custom.toString(16)})`, retryable: false };
+  }
+
+  for (const [code, pattern, retryable] of ERROR_PATTERNS) {
+    if (pattern.test(text) || pattern.test(allLogs)) {
+      return { code, message: text, retryable };
+    }
+  }
+  if (err instanceof Error && NETWORK_PATTERN.test(text)) {
+    return { code: 'NETWORK', message: text, retryable: true };
+  }
+
+  if (custom !== undefined) {
+    const index = err.InstructionError[0];
+    return { code: 'UNKNOWN', message: `Instruction ${index} failed: custom program error 0x${custom.toString(16)}`, retryable: false };
+  }
+  return { code: 'UNKNOWN', message: text, retryable: false };
+}
+
+/**
+ * Priority fee (micro-lamports per CU) from recent fees on the given accounts
+ * (or network-wide without accounts)
+ */
+export async function estimatePriorityFee(connection, accounts = []) {
+  const fees = await connection.getRecentPrioritizationFees(accounts.length > 0
+    ? { lockedWritableAccounts: accounts.map(a => new PublicKey(a)) }
+    : undefined);
+
+  const values = fees.map(f => f.prioritizationFee).sort((a, b) => a - b);
+  const index = Math.min(values.length - 1, Math.floor((values.length * CONFIG.priorityFeePercentile) / 100));
+  const fee = values.length > 0 ? values[index] : 0;
+
+  metrics.lastPriorityFee = Math.min(CONFIG.maxPriorityFeeMicroLamports, Math.max(CONFIG.minPriorityFeeMicroLamports, fee));
+  return metrics.lastPriorityFee;
+}
+
+function fail(decoded, signature, extra = {}) {
+  metrics.errors[decoded.code] = (metrics.errors[decoded.code] || 0) + 1;
+  if (decoded.code === 'EXPIRED') metrics.expired++;
+  else if (decoded.code === 'TIMEOUT') metrics.timedOut++;
+  else metrics.failed++;
+  return { success: false, error: decoded.message, code: decoded.code, signature, ...extra };
+}
+
+async function getStatus(connection, signature, searchHistory = false) {
+  const { value } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: searchHistory });
+  return value[0];
+}
+
+const isConfirmed = (status) => ['confirmed', 'finalized'].includes(status?.confirmationStatus);
+
+/**
+ * Simulate a signed transaction - a failure result if it would fail, else null
+ * (also null when the RPC can't simulate - sending is still worth a try)
+ */
+export async function simulate(connection, transaction) {
+  try {
+    const { value } = await connection.simulateTransaction(transaction, { sigVerify: false, commitment: 'processed' });
+    if (!value.err) return null;
+
+    const decoded = decodeError(value.err, value.logs || []);
+    metrics.simulationFailed++;
+    metrics.errors[decoded.code] = (metrics.errors[decoded.code] || 0) + 1;
+    console.error(`[Landing] Simulation failed (${decoded.code}): ${decoded.message}`);
+    return { success: false, error: decoded.message, code: decoded.code, signature: null, sends: 0 };
+  } catch (e) {
+    console.error(`[Landing] Simulation unavailable, sending anyway: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Simulate (optional), then send and rebroadcast a signed VersionedTransaction
+ * until it confirms, fails on-chain or its blockhash expires
+ *
+ * options: { lastValidBlockHeight, simulate, onSigned(signature) }
+ * Returns { success, signature, slot, sends, landingMs } or
+ *         { success: false, error, code, signature, sends }
+ */
+export async function land(connection, transaction, options = {}) {
+  const { simulate: shouldSimulate = CONFIG.simulateTransactions, onSigned } = options;
+  const signature = bs58.encode(transaction.signatures[0]);
+
+  if (shouldSimulate) {
+    const rejected = await simulate(connection, transaction);
+    if (rejected) return rejected;
+  }
+
+  if (onSigned) {
+    await onSigned(signature);
+  }
+
+  let { lastValidBlockHeight } = options;
+  if (!lastValidBlockHeight) {
+    // Unknown - the latest blockhash expires no earlier than the one we signed
+    lastValidBlockHeight = (await connection.getLatestBlockhash('confirmed')).lastValidBlockHeight;
+  }
+
+  const raw = transaction.serialize();
+  const startedAt = Date.now();
+  let lastSendAt = 0;
+  let attempts = 0;
+  let sends = 0;    // Only submissions the RPC accepted
+  metrics.sent++;
+
+  while (true) {
+    if (Date.now() - lastSendAt >= CONFIG.rebroadcastMs) {
+      if (attempts > 0) {
+        const height = await connection.getBlockHeight('confirmed').catch(() => null);
+        if (height !== null && height > lastValidBlockHeight) {
+          // One last look - it may have landed in the final blocks
+          const status = await getStatus(connection, signature, true).catch(() => null);
+          if (!isConfirmed(status) || status.err) {
+            return fail(status?.err ? decodeError(status.err) : { code: 'EXPIRED', message: `Blockhash expired after ${sends} sends` }, signature, { sends });
+          }
+          return landed(signature, status, sends, startedAt);
+        }
+      }
+
+      try {
+        await connection.sendRawTransaction(raw, { skipPreflight: true, maxRetries: 0 });
+        sends++;
+        if (sends > 1) metrics.rebroadcasts++;
+      } catch (e) {
+        const decoded = decodeError(e);
+        if (!decoded.retryable) return fail(decoded, signature, { sends });
+      }
+      attempts++;
+      lastSendAt = Date.now();
+    }
+
+    await sleep(CONFIRM_POLL_MS);
+
+    const status = await getStatus(connection, signature).catch(() => null);
+    if (status?.err) {
+      return fail(decodeError(status.err), signature, { sends, slot: status.slot });
+    }
+    if (isConfirmed(status)) {
+      return landed(signature, status, sends, startedAt);
+    }
+
+    if (Date.now() - startedAt > CONFIG.landingTimeoutMs) {
+      return fail({ code: 'TIMEOUT', message: `Not confirmed after ${CONFIG.landingTimeoutMs / 1000}s (${sends} sends) - may still land` }, signature, { sends });
+    }
+  }
+}
+
+function landed(signature, status, sends, startedAt) {
+  const landingMs = Date.now() - startedAt;
+  metrics.landed++;
+  metrics.totalLandingMs += landingMs;
+  return { success: true, signature, slot: status.slot, sends, landingMs };
+}
+
+/**
+ * Landing counters: { sent, landed, failed, expired, timedOut, simulationFailed,
+ * rebroadcasts, errors: { code: n }, avgLandingMs, landRate, lastPriorityFee }
+ */
+export function getMetrics() {
+  const { totalLandingMs, ...m } = metrics;
+  return {
+    ...m,
+    errors: { ...m.errors },
+    avgLandingMs: m.landed > 0 ? totalLandingMs / m.landed : null,
+    landRate: m.sent > 0 ? m.landed / m.sent : null,
+  };
+}
+
+export default {
+  land,
+  simulate,
+  decodeError,
+  estimatePriorityFee,
+  getMetrics,
+  CONFIG,
+};
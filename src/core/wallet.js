@@ -0,0 +1,101 @@
+/**
+ * Wallet Provider Registry
+ * Who holds the key and signs swaps - solana-swap.js and the executor only
+ * talk to this interface, never to a key directly.
+ *
+ * A provider is a plain object:
+ *   {
+ *     name: string,
+ *     chain: string,
+ *     getAddress()                        -> string
+ *     getBalance()                        -> Promise<number>  (SOL)
+ *     getTokenBalanceRaw(mint)            -> Promise<{ amount (raw string), decimals, uiAmount }>
+ *     getAllTokenBalances()               -> Promise<[{ mint, amount, decimals, uiAmount, accounts }]>
+ *     isTokenAccountFrozen(mint)          -> Promise<boolean>
+ *     signAndSendRawTransaction(base64, { onSigned, lastValidBlockHeight, simulate, tipLamports })
+ *                                         -> Promise<{ success, signature, error, code }>
+ *                                            (landed via solanaWallet.sendSignedTransaction,
+ *                                            with a signTip(tx) for Jito bundles)
+ *     getSignatureStatus(signature)       -> Promise<'confirmed' | 'failed' | null>
+ *     getTransactionFill(signature, mint) -> Promise<fill>  (solanaWallet.parseFill shape)
+ *   }
+ *
+ * Select with WALLET_PROVIDER (default: native - the solana-wallet.js keypair
+ * from WALLET_PRIVATE_KEY / SOLANA_SEED_PHRASE). remote-signer keeps the key
+ * elsewhere: REMOTE_SIGNER_URL, REMOTE_SIGNER_PUBKEY, REMOTE_SIGNER_TOKEN.
+ */
+
+import { createNativeWallet } from './wallets/native.js';
+import { createRemoteSignerWallet } from './wallets/remote-signer.js';
+
+const REQUIRED_METHODS = [
+  'getAddress', 'getBalance', 'getTokenBalanceRaw', 'getAllTokenBalances', 'isTokenAccountFrozen',
+  'signAndSendRawTransaction', 'getSignatureStatus', 'getTransactionFill',
+];
+
+const factories = {
+  native: createNativeWallet,
+  'remote-signer': createRemoteSignerWallet,
+};
+
+let _wallet = null;
+
+/**
+ * Register a wallet provider factory under a name
+ */
+export function registerWalletProvider(name, factory) {
+  factories[name] = factory;
+}
+
+/**
+ * Create a wallet provider by name
+ */
+export function createWallet(name, options = {}) {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown wallet provider: ${name} (available: ${Object.keys(factories).join(', ')})`);
+  }
+
+  const wallet = factory(options);
+  const missing = REQUIRED_METHODS.filter(m => typeof wallet[m] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Wallet provider ${name} is missing: ${missing.join(', ')}`);
+  }
+
+  return wallet;
+}
+
+/**
+ * Get the active wallet (created from env on first use) - throws if it can't
+ * trade on `chain`
+ */
+export function getWallet(chain = 'solana') {
+  if (!_wallet) {
+    const name = process.env.WALLET_PROVIDER || 'native';
+    _wallet = createWallet(name, {
+      url: process.env.REMOTE_SIGNER_URL,
+      address: process.env.REMOTE_SIGNER_PUBKEY,
+      token: process.env.REMOTE_SIGNER_TOKEN,
+    });
+    console.log(`[Wallet] Using ${_wallet.name} wallet`);
+  }
+
+  if (_wallet.chain !== chain) {
+    throw new Error(`No wallet for ${chain} (${_wallet.name} wallet trades ${_wallet.chain})`);
+  }
+  return _wallet;
+}
+
+/**
+ * Replace the active wallet (tests, custom providers)
+ */
+export function setWallet(wallet) {
+  _wallet = wallet;
+}
+
+export default {
+  getWallet,
+  setWallet,
+  createWallet,
+  registerWalletProvider,
+};
@@ -0,0 +1,26 @@
+/**
+ * Native Wallet Provider
+ * Default - the local keypair in solana-wallet.js (WALLET_PRIVATE_KEY or
+ * SOLANA_SEED_PHRASE), signs in-process
+ */
+
+import solanaWallet from '../solana-wallet.js';
+
+/**
+ * Create the native Solana wallet provider
+ */
+export function createNativeWallet() {
+  return {
+    name: 'native',
+    chain: 'solana',
+
+    getAddress: () => solanaWallet.getAddress(),
+    getBalance: () => solanaWallet.getBalance(),
+    getTokenBalanceRaw: (mint) => solanaWallet.getTokenBalanceRaw(mint),
+    getAllTokenBalances: () => solanaWallet.getAllTokenBalances(),
+    isTokenAccountFrozen: (mint) => solanaWallet.isTokenAccountFrozen(mint),
+    signAndSendRawTransaction: (serialized, options) => solanaWallet.signAndSendRawTransaction(serialized, options),
+    getSignatureStatus: (signature) => solanaWallet.getSignatureStatus(signature),
+    getTransactionFill: (signature, mint) => solanaWallet.getTransactionFill(signature, mint),
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * Remote Signer Wallet Provider
+ * The key lives in a separate signing service (HSM, KMS, hardened box) - the
+ * bot only holds the public key and an API token.
+ *
+ *   POST {url}/sign  { address, transaction: base64 }  (Authorization: Bearer token)
+ *   -> { signedTransaction: base64 }
+ *
+ * The returned transaction must carry the same message with a valid signature
+ * by our key filled in; it is then sent and confirmed over our own RPC. Balances and
+ * fills are read on-chain for the signer's address.
+ */
+
+import { createPublicKey, verify } from 'crypto';
+import fetch from 'node-fetch';
+import { PublicKey, VersionedTransaction } from '@solana/web3.js';
+import solanaWallet from '../solana-wallet.js';
+
+// DER SubjectPublicKeyInfo header for a raw 32-byte ed25519 key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+/**
+ * Is `signature` a valid ed25519 signature of `message` by `publicKey`?
+ */
+function verifySignature(message, signature, publicKey) {
+  const key = createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, publicKey.toBuffer()]),
+    format: 'der',
+    type: 'spki',
+  });
+  return verify(null, Buffer.from(message), key, Buffer.from(signature));
+}
+
+/**
+ * Create a remote signer provider - options: { url, address, token, timeout }
+ */
+export function createRemoteSignerWallet(options = {}) {
+  const { url, address, token, timeout = 15000 } = options;
+  if (!url) {
+    throw new Error('Remote signer needs REMOTE_SIGNER_URL');
+  }
+  if (!address) {
+    throw new Error('Remote signer needs REMOTE_SIGNER_PUBKEY');
+  }
+  const publicKey = new PublicKey(address);
+
+  /**
+   * Have the service sign, and check it signed what we asked for
+   */
+  async function sign(transaction) {
+    const resp = await fetch(`${url.replace(/\/$/, '')}/sign`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { 'Authorization': `Bearer ${token}` }),
+      },
+      body: JSON.stringify({
+        address,
+        transaction: Buffer.from(transaction.serialize()).toString('base64'),
+      }),
+      timeout,
+    });
+    if (!resp.ok) {
+      throw new Error(`Remote signer failed: HTTP ${resp.status} ${await resp.text()}`);
+    }
+
+    const { signedTransaction } = await resp.json();
+    if (!signedTransaction) {
+      throw new Error('Remote signer returned no signedTransaction');
+    }
+    const signed = VersionedTransaction.deserialize(Buffer.from(signedTransaction, 'base64'));
+
+    if (!Buffer.from(signed.message.serialize()).equals(Buffer.from(transaction.message.serialize()))) {
+      throw new Error('Remote signer changed the transaction message - refusing to send');
+    }
+    const index = signed.message.staticAccountKeys
+      .slice(0, signed.message.header.numRequiredSignatures)
+      .findIndex(key => key.equals(publicKey));
+    if (index < 0 || signed.signatures[index].every(byte => byte === 0)) {
+      throw new Error(`Remote signer did not sign for ${address}`);
+    }
+    // A wrong key or garbage bytes would only fail at the RPC (or burn a bundle slot)
+    if (!verifySignature(signed.message.serialize(), signed.signatures[index], publicKey)) {
+      throw new Error(`Remote signer returned an invalid signature for ${address} - refusing to send`);
+    }
+
+    return signed;
+  }
+
+  return {
+    name: 'remote-signer',
+    chain: 'solana',
+
+    getAddress: () => address,
+    getBalance: () => solanaWallet.getBalance(address),
+    getTokenBalanceRaw: (mint) => solanaWallet.getTokenBalanceRaw(mint, address),
+    getAllTokenBalances: () => solanaWallet.getAllTokenBalances(address),
+    isTokenAccountFrozen: (mint) => solanaWallet.isTokenAccountFrozen(mint, address),
+    getSignatureStatus: (signature) => solanaWallet.getSignatureStatus(signature),
+    getTransactionFill: (signature, mint) => solanaWallet.getTransactionFill(signature, mint, 5, address),
+
+    async signAndSendRawTransaction(serialized, sendOptions = {}) {
+      let signed;
+      try {
+        signed = await sign(VersionedTransaction.deserialize(Buffer.from(serialized, 'base64')));
+      } catch (e) {
+        console.error(`[RemoteSigner] ${e.message}`);
+        return { success: false, error: e.message, signature: null };
+      }
+      return solanaWallet.sendSignedTransaction(signed, { ...sendOptions, signTip: sign });
+    },
+  };
+}
@@ -9,30 +9,68 @@
  */
 
 import 'dotenv/config';
-import memeScalp, { recordTokenLoss, getCooldownStats } from './strategies/meme-scalp.js';
-import solanaWallet from './core/solana-wallet.js';
-import dex from './core/dex.js';
+import memeScalp, { recordTokenLoss } from './strategies/meme-scalp.js';
+import solanaSwap from './core/solana-swap.js';
+import { getWallet } from './core/wallet.js';
+import oracle from './core/oracle.js';
 import notifier from './core/notifier.js';
-import fs from 'fs/promises';
+import cooldowns from './core/cooldowns.js';
+import recorder from './core/recorder.js';
+import { getMarketData } from './core/market-data.js';
+import { reconcilePositions } from './core/reconciler.js';
+import risk from './core/risk.js';
+import circuitBreaker from './core/circuit-breaker.js';
+import rugMonitor from './core/rug-monitor.js';
+import positionStream from './core/position-stream.js';
+import txLanding from './core/tx-landing.js';
+import jito from './core/jito.js';
+import { getRpcPool, CONFIG as RPC_CONFIG } from './core/rpc-pool.js';
+import blacklist from './core/blacklist.js';
+import { computePositionSize } from './core/sizing.js';
+import { loadConfig, applyConfig, printConfig } from './core/config.js';
+import { createJournal, writeJsonAtomic, readJsonWithBackup } from './core/journal.js';
+import { createScheduler } from './core/scheduler.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DATA_FILE = path.join(__dirname, '../data/scalper-session.json');
+const JOURNAL_FILE = path.join(__dirname, '../data/scalper-journal.jsonl');
+
+// Configuration - validated profile + file + env (see core/config.js)
+let config;
+try {
+  config = loadConfig();
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
+applyConfig(config);
 
-// Configuration
 const CONFIG = {
-  paperMode: process.env.MEME_PAPER_MODE !== 'false',
+  paperMode: config.bot.paperMode,
+  // 📼 Recorder: 'true' = record every scan while trading, 'only' = record without trading
+  recordScans: ['true', 'only'].includes(process.env.MEME_RECORD),
+  recordOnly: process.env.MEME_RECORD === 'only',
   positionSizePct: memeScalp.CONFIG.positionSizePct,
   maxPositions: memeScalp.CONFIG.maxPositions,
   scanIntervalMs: memeScalp.CONFIG.scanIntervalMs,
+  reconcileIntervalMs: config.bot.reconcileIntervalMs, // Live: re-check positions vs wallet
+  
+  // Scheduler jobs (scan uses scanIntervalMs above)
+  monitorIntervalMs: config.bot.monitorIntervalMs,
+  reportIntervalMs: config.bot.reportIntervalMs,
+  scanTimeoutMs: config.bot.scanTimeoutMs,
+  monitorTimeoutMs: config.bot.monitorTimeoutMs,
+  reconcileTimeoutMs: config.bot.reconcileTimeoutMs,
+  jobJitterPct: config.bot.jobJitterPct,
+  shutdownTimeoutMs: config.bot.shutdownTimeoutMs,
   
   // ⚠️ SLIPPAGE SIMULATION - Make paper trading realistic!
   // Entry slippage: price is worse than displayed (you buy higher)
   // Exit slippage: price is worse than displayed (you sell lower)
-  simulatedEntrySlippage: 0.03,  // 3% worse entry
-  simulatedExitSlippage: 0.02,   // 2% worse exit  
-  // Total round-trip cost: ~5% in slippage
+  simulatedEntrySlippage: config.bot.simulatedEntrySlippage,
+  simulatedExitSlippage: config.bot.simulatedExitSlippage,
 };
 
 // State
@@ -42,37 +80,244 @@ const state = {
   startTime: Date.now(),
   scans: 0,
   paperBalance: 100, // Paper mode starting balance
+  paperSeq: 0,       // Last journal seq whose paperDelta is in paperBalance
+  lastReconcile: 0,
 };
 
-// Blacklist (scam tokens, honeypots)
-const BLACKLIST = new Set([
-  'SOL', 'USDC', 'USDT', // Don't trade these as memes
-]);
-
-// Cooldown tracking - don't re-enter same token too soon
-const recentExits = new Map(); // tokenAddress -> exitTime
+// Cooldown tracking - don't re-enter same token too soon (persisted in core/cooldowns.js)
 const COOLDOWN_MS = 30 * 60 * 1000; // 30 minute cooldown after exit
 
+// Write-ahead journal of trade intents - replayed on startup
+const journal = createJournal(JOURNAL_FILE);
+const pendingIntents = new Map(); // intentId -> SUBMITTED entry (swap sent, outcome unknown)
+const sellsInFlight = new Set();  // positionId - scan loop, rug monitor and stream never double-sell
+const lastPositionPairs = new Map(); // tokenAddress -> last DexScreener pair (order flow for streamed exits)
+const scheduler = createScheduler();
+let shuttingDown = false;
+let savingState = Promise.resolve();
+
+/**
+ * Apply one journal entry to state (idempotent - safe to replay)
+ */
+function applyJournalEntry(entry) {
+  switch (entry.type) {
+    case 'BUY_SUBMITTED':
+    case 'SELL_SUBMITTED':
+      pendingIntents.set(entry.intentId, entry);
+      break;
+    
+    case 'BUY_CONFIRMED':
+      pendingIntents.delete(entry.intentId);
+      if (!state.positions.some(p => p.id === entry.position.id)) {
+        state.positions.push(entry.position);
+      }
+      break;
+    
+    case 'SELL_PARTIAL': {
+      pendingIntents.delete(entry.intentId);
+      const position = state.positions.find(p => p.id === entry.positionId);
+      if (position && !position.legs?.some(l => l.intentId === entry.leg.intentId)) {
+        memeScalp.applyExitLeg(position, entry.leg, entry.stopPct);
+      }
+      break;
+    }
+    
+    case 'SELL_CONFIRMED':
+      pendingIntents.delete(entry.intentId);
+      state.positions = state.positions.filter(p => p.id !== entry.positionId);
+      if (!state.closedTrades.some(t => t.id === entry.closedTrade.id)) {
+        state.closedTrades.push(entry.closedTrade);
+      }
+      break;
+    
+    case 'BUY_FAILED':
+    case 'SELL_FAILED':
+      pendingIntents.delete(entry.intentId);
+      break;
+  }
+  
+  // Paper trades journal a signed delta, applied once - a snapshot's journalSeq
+  // stops at unresolved intents, so replay can revisit entries it already holds
+  if (entry.paperDelta !== undefined && entry.seq > state.paperSeq) {
+    state.paperBalance += entry.paperDelta;
+    state.paperSeq = entry.seq;
+  }
+}
+
+/**
+ * Journal an outcome, apply it, then snapshot
+ */
+async function commit(type, data) {
+  const entry = await journal.append(type, data);
+  applyJournalEntry(entry);
+  await saveState();
+  
+  // Risk limits track live outcomes only (replays at startup don't count twice)
+  if (type === 'BUY_CONFIRMED') {
+    risk.addPosition(data.position);
+  } else if (type === 'SELL_PARTIAL') {
+    risk.reducePosition(data.positionId, data.leg.size, data.leg.pnlUsd);
+  } else if (type === 'SELL_CONFIRMED') {
+    const { closedTrade } = data;
+    risk.closePosition(data.positionId, closedTrade.exitPrice, closedTrade.pnlPct, closedTrade.pnlUsd);
+    circuitBreaker.recordTrade(closedTrade.pnlUsd);
+  }
+  
+  return entry;
+}
+
 async function loadState() {
-  try {
-    const data = await fs.readFile(DATA_FILE, 'utf-8');
-    const saved = JSON.parse(data);
+  const saved = await readJsonWithBackup(DATA_FILE);
+  if (saved) {
     state.positions = saved.positions || [];
     state.closedTrades = saved.closedTrades || [];
-    state.paperBalance = saved.paperBalance || 100;
+    state.paperBalance = saved.paperBalance ?? 100;
+    state.paperSeq = saved.paperSeq ?? 0;
     console.log(`[State] Loaded ${state.positions.length} positions`);
-  } catch {
+  } else {
     console.log('[State] Starting fresh');
   }
+  
+  // Replay intents the snapshot doesn't include yet
+  const entries = await journal.open(saved?.journalSeq || 0);
+  state.paperSeq = Math.min(state.paperSeq, journal.lastSeq); // Journal lost - new seqs restart below it
+  entries.forEach(applyJournalEntry);
+  if (entries.length > 0) {
+    console.log(`[State] Replayed ${entries.length} journal entries (${pendingIntents.size} in flight)`);
+  }
+  
+  await recoverInFlight();
+  await saveState();
+  await journal.compact(snapshotSeq());
 }
 
-async function saveState() {
-  await fs.writeFile(DATA_FILE, JSON.stringify({
+/**
+ * Journal seq the snapshot covers - never past an unresolved intent
+ */
+function snapshotSeq() {
+  const pendingSeqs = [...pendingIntents.values()].map(e => e.seq);
+  return pendingSeqs.length > 0 ? Math.min(...pendingSeqs) - 1 : journal.lastSeq;
+}
+
+/**
+ * Queue a snapshot - the monitor job, position stream and rug monitor all save,
+ * and saves never overlap; each one snapshots state when its turn comes
+ */
+function saveState() {
+  const save = savingState.then(() => writeJsonAtomic(DATA_FILE, {
     positions: state.positions,
     closedTrades: state.closedTrades,
     paperBalance: state.paperBalance,
+    paperSeq: state.paperSeq,
+    journalSeq: snapshotSeq(),
     lastUpdate: Date.now(),
-  }, null, 2));
+  }));
+  savingState = save.catch(() => {}); // A failed save doesn't block the next
+  return save;
+}
+
+/**
+ * Resolve swaps that were sent before a crash: look up each signature on-chain
+ */
+async function recoverInFlight() {
+  for (const intent of [...pendingIntents.values()]) {
+    console.log(`[State] Recovering in-flight ${intent.type} ${intent.token} (${intent.signature?.slice(0, 20)}...)`);
+    
+    try {
+      const status = intent.signature ? await getWallet('solana').getSignatureStatus(intent.signature) : null;
+      
+      if (status !== 'confirmed') {
+        // Never landed (or failed) - reconcile() adopts any tokens that did arrive
+        await commit(intent.type === 'BUY_SUBMITTED' ? 'BUY_FAILED' : 'SELL_FAILED', {
+          intentId: intent.intentId,
+          error: status === 'failed' ? 'Failed on-chain (recovered)' : 'Not found on-chain (recovered)',
+        });
+        continue;
+      }
+      
+      const fill = await getWallet('solana').getTransactionFill(intent.signature, intent.tokenAddress);
+      const solPrice = await oracle.getSolUsd();
+      const result = { txHash: intent.signature, fill };
+      
+      if (intent.type === 'BUY_SUBMITTED') {
+        await commit('BUY_CONFIRMED', {
+          intentId: intent.intentId,
+          position: buildLivePosition(intent, result, solPrice),
+        });
+      } else {
+        const position = state.positions.find(p => p.id === intent.positionId);
+        if (!position) {
+          await commit('SELL_FAILED', { intentId: intent.intentId, error: 'Position missing (recovered)' });
+          continue;
+        }
+        const leg = buildLiveLeg(position, intent, result, solPrice);
+        if (intent.fraction < 1) {
+          await commit('SELL_PARTIAL', { intentId: intent.intentId, positionId: position.id, leg, stopPct: intent.stopPct });
+        } else {
+          await commit('SELL_CONFIRMED', {
+            intentId: intent.intentId,
+            positionId: position.id,
+            closedTrade: memeScalp.closeWithLeg(position, leg),
+          });
+        }
+      }
+      
+      await notify(`♻️ RECOVERED ${intent.type.replace('_SUBMITTED', '')}\n\n${intent.token}\n🔗 TX: ${intent.signature.slice(0, 20)}...`);
+    } catch (e) {
+      // Leave it pending - retried on next startup, reconcile() covers balances meanwhile
+      console.error(`[State] Recovery failed for ${intent.intentId}: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Live only: sync positions with on-chain wallet balances
+ */
+async function reconcile() {
+  if (CONFIG.paperMode) return;
+  
+  try {
+    const busy = ordersInFlight();
+    const result = await reconcilePositions(state.positions, { skipIds: busy.ids, skipMints: busy.mints });
+    state.lastReconcile = Date.now();
+    
+    // The stream and rug monitor kept selling meanwhile - apply the changes to
+    // the current state, skipping anything an order has touched since
+    const now = ordersInFlight();
+    const closed = result.closed.filter(t => !now.ids.has(t.id) && state.positions.some(p => p.id === t.id));
+    const adopted = result.adopted.filter(a => !now.mints.has(a.tokenAddress) && !state.positions.some(p => p.tokenAddress === a.tokenAddress));
+    
+    const changed = closed.length + adopted.length + result.adjusted.length;
+    console.log(`   🔁 Reconciled ${state.positions.length} positions: ${closed.length} closed, ${adopted.length} adopted, ${result.adjusted.length} corrected`);
+    
+    if (changed > 0) {
+      const closedIds = new Set(closed.map(t => t.id));
+      state.positions = [...state.positions.filter(p => !closedIds.has(p.id)), ...adopted];
+      state.closedTrades.push(...closed);
+      await saveState();
+      
+      for (const trade of closed) {
+        risk.closePosition(trade.id, trade.exitPrice, trade.pnlPct, trade.pnlUsd);
+        circuitBreaker.recordTrade(trade.pnlUsd);
+      }
+      risk.syncPositions(state.positions);
+    }
+  } catch (e) {
+    console.error('   Reconcile failed:', e.message);
+  }
+}
+
+/**
+ * Positions and mints with a sell or buy under way (in memory or journaled)
+ */
+function ordersInFlight() {
+  const ids = new Set(sellsInFlight);
+  const mints = new Set();
+  for (const intent of pendingIntents.values()) {
+    if (intent.positionId) ids.add(intent.positionId);
+    mints.add(intent.tokenAddress);
+  }
+  return { ids, mints };
 }
 
 async function notify(msg) {
@@ -84,24 +329,171 @@ async function notify(msg) {
 
 async function getBalance() {
   if (CONFIG.paperMode) return state.paperBalance;
-  const wallet = await solanaWallet.verify();
-  return wallet.sol * 100; // Rough USD estimate
+  const [sol, solPrice] = await Promise.all([
+    getWallet('solana').getBalance(),
+    oracle.getSolUsd(),
+  ]);
+  return sol * solPrice;
 }
 
-async function executeBuy(opp) {
+/**
+ * Free balance + open positions marked to market (no mark = at cost)
+ * marks: tokenAddress -> current USD price
+ */
+async function getEquity(marks) {
   const balance = await getBalance();
-  const positionSize = balance * (CONFIG.positionSizePct / 100);
+  return state.positions.reduce((sum, p) => {
+    const mark = marks.get(p.tokenAddress);
+    return sum + (mark > 0 ? p.size * (mark / p.entryPrice) : p.size);
+  }, balance);
+}
+
+/**
+ * SOL cost basis from an on-chain fill plus any Jito tip (swap + network fees +
+ * tip; rent is refundable) - the tip is a separate transfer, not in the fill
+ */
+function fillCostSol(fill, tipLamports = 0) {
+  return (fill.swapLamports + fill.feeLamports + tipLamports) / 1e9;
+}
+
+/**
+ * Build a live position from a confirmed buy - real fill when available
+ */
+function buildLivePosition(intent, result, solPrice) {
+  const { fill } = result;
+  const position = {
+    id: intent.intentId,
+    token: intent.token,
+    tokenAddress: intent.tokenAddress,
+    entryPrice: intent.displayPrice,
+    displayPrice: intent.displayPrice,
+    entryTime: intent.ts,
+    size: intent.positionSize,
+    solAmount: intent.solAmount,
+    tokenAmountRaw: result.outAmount,
+    score: intent.score,
+    entryLiquidity: intent.entryLiquidity,
+    pairAddress: intent.pairAddress,
+    txHash: result.txHash,
+    peakPrice: intent.displayPrice,
+    fillSource: 'quote',
+  };
+  
+  // Real fill: what we actually paid (incl. fees and tip) per token actually received
+  if (fill && fill.tokenAmount > 0) {
+    const tipLamports = result.tipLamports || 0; // Unknown (0) for a recovered fill
+    const solSpent = fillCostSol(fill, tipLamports);
+    const costUsd = solSpent * solPrice;
+    Object.assign(position, {
+      entryPrice: costUsd / fill.tokenAmount,
+      fillPrice: fill.pricePerTokenSol * solPrice,
+      size: costUsd,
+      solSpent,
+      solPriceAtEntry: solPrice,
+      tokensReceived: fill.tokenAmount,
+      tokenAmountRaw: fill.tokenDeltaRaw,
+      tokenDecimals: fill.tokenDecimals,
+      feeLamports: fill.feeLamports,
+      priorityFeeLamports: fill.priorityFeeLamports,
+      tipLamports,
+      rentLamports: fill.rentLamports,
+      peakPrice: costUsd / fill.tokenAmount,
+      fillSource: 'chain',
+    });
+    
+    const entrySlippage = ((position.entryPrice - intent.displayPrice) / intent.displayPrice) * 100;
+    console.log(`   🧾 Fill: ${fill.tokenAmount} tokens for ${position.solSpent.toFixed(6)} SOL ($${costUsd.toFixed(2)}) → $${position.entryPrice.toFixed(8)} (${entrySlippage >= 0 ? '+' : ''}${entrySlippage.toFixed(2)}% vs display)`);
+  } else {
+    console.log('   ⚠️ No on-chain fill - using display price as entry');
+  }
+  
+  return position;
+}
+
+/**
+ * Build a sell leg from a confirmed live sell - real fill when available
+ * Pass it to memeScalp.closeWithLeg() for the final sell
+ */
+function buildLiveLeg(position, intent, result, solPrice) {
+  const { fill } = result;
+  const fraction = intent.fraction ?? 1;
+  const legSize = position.size * fraction;
+  let exitPrice = intent.displayPrice;
+  let pnlPct = ((exitPrice - position.entryPrice) / position.entryPrice) * 100;
+  let pnlUsd = legSize * (pnlPct / 100);
+  let tokensSoldRaw = result.amountRaw || result.inAmount;
+  let exitFill = { exitFillSource: 'quote' };
+  
+  // Real fill: SOL actually received (net of fees and tip) for tokens actually sold
+  if (fill && fill.tokenAmount > 0) {
+    const tipLamports = result.tipLamports || 0;
+    const solReceived = (fill.solDeltaLamports - tipLamports) / 1e9;
+    const proceedsUsd = solReceived * solPrice;
+    
+    exitPrice = proceedsUsd / fill.tokenAmount;
+    pnlUsd = proceedsUsd - legSize;
+    pnlPct = (pnlUsd / legSize) * 100;
+    tokensSoldRaw = fill.tokenDeltaRaw.replace('-', '');
+    exitFill = {
+      exitFillPrice: fill.pricePerTokenSol * solPrice,
+      solReceived,
+      solPriceAtExit: solPrice,
+      tokensSold: fill.tokenAmount,
+      exitFeeLamports: fill.feeLamports,
+      exitPriorityFeeLamports: fill.priorityFeeLamports,
+      exitTipLamports: tipLamports,
+      exitFillSource: 'chain',
+    };
+    
+    console.log(`   🧾 Fill: ${fill.tokenAmount} tokens for ${solReceived.toFixed(6)} SOL ($${proceedsUsd.toFixed(2)}) → ${pnlPct >= 0 ? '+' : ''}${pnlPct.toFixed(2)}% ($${pnlUsd.toFixed(2)})`);
+  } else {
+    console.log('   ⚠️ No on-chain fill - P&L from display price');
+  }
+  
+  return {
+    intentId: intent.intentId,
+    fraction,
+    size: legSize,
+    tokensSoldRaw,
+    ...exitFill,
+    exitPrice,
+    displayExitPrice: intent.displayPrice,
+    exitTime: Date.now(),
+    pnlPct,
+    pnlUsd,
+    reason: intent.reason,
+    exitTxHash: result.txHash,
+  };
+}
+
+async function executeBuy(opp) {
+  let balance;
+  try {
+    balance = await getBalance();
+  } catch (e) {
+    // Oracle fails closed - no trusted SOL price, no entry
+    console.error(`   Balance unavailable, skipping buy: ${e.message}`);
+    return null;
+  }
+  const sizing = computePositionSize({ balance, opp, history: state.closedTrades });
+  const positionSize = sizing.size;
   
   if (positionSize < 1) {
     console.log('   Position too small, skipping');
     return null;
   }
   
+  const riskCheck = risk.canTrade({ token: opp.token, tokenAddress: opp.tokenAddress, size: positionSize });
+  if (!riskCheck.approved) {
+    console.log(`   🛡️ Risk rejected ${opp.token}: ${riskCheck.reason}`);
+    return null;
+  }
+  
   const slippage = memeScalp.getSlippage(opp.liquidity);
   
   console.log(`\n🚀 MEME BUY: ${opp.token}`);
   console.log(`   Price: $${opp.price.toFixed(8)}`);
-  console.log(`   Size: $${positionSize.toFixed(2)}`);
+  console.log(`   Size: $${positionSize.toFixed(2)} (${sizing.notes.join(', ')})`);
   console.log(`   Slippage: ${slippage}%`);
   console.log(`   Score: ${opp.score}`);
   
@@ -119,6 +511,8 @@ async function executeBuy(opp) {
       entryTime: Date.now(),
       size: positionSize,
       score: opp.score,
+      entryLiquidity: opp.liquidity,
+      pairAddress: opp.pairAddress,
       slippage: slippage,
       peakPrice: slippageAdjustedEntry,
       simulatedSlippage: CONFIG.simulatedEntrySlippage,
@@ -126,46 +520,57 @@ async function executeBuy(opp) {
     
     console.log(`   📊 Simulated entry slippage: ${(CONFIG.simulatedEntrySlippage * 100).toFixed(1)}% ($${opp.price.toFixed(8)} → $${slippageAdjustedEntry.toFixed(8)})`);
     
-    state.positions.push(position);
-    state.paperBalance -= positionSize;
-    await saveState();
+    await commit('BUY_CONFIRMED', {
+      intentId: position.id,
+      position,
+      paperDelta: -positionSize,
+    });
     
     await notify(`🚀 MEME SCALP BUY\n\n${opp.token}\n💰 $${positionSize.toFixed(2)} @ $${opp.price.toFixed(8)}\n📊 Score: ${opp.score}\n🎯 TP: +${memeScalp.CONFIG.takeProfitPct}% | SL: -${memeScalp.CONFIG.stopLossPct}%`);
     
     return position;
   } else {
     // Real trade
+    const intent = {
+      intentId: `meme_${Date.now()}`,
+      token: opp.token,
+      tokenAddress: opp.tokenAddress,
+      displayPrice: opp.price,
+      positionSize,
+      score: opp.score,
+      entryLiquidity: opp.liquidity,
+      pairAddress: opp.pairAddress,
+    };
+    
     try {
-      const solAmount = positionSize / 100; // Convert to SOL (rough)
-      const result = await dex.swap({
-        chain: 'solana',
-        inputToken: 'So11111111111111111111111111111111111111112', // SOL
-        outputToken: opp.tokenAddress,
-        amount: solAmount,
-        slippageBps: slippage * 100,
+      const solPrice = await oracle.getSolUsd();
+      intent.solAmount = positionSize / solPrice;
+      console.log(`   SOL: ${intent.solAmount.toFixed(4)} @ $${solPrice.toFixed(2)}`);
+      
+      // Journal the signed tx BEFORE it's sent - recovered on restart if we crash mid-flight
+      const result = await solanaSwap.buyWithSol(opp.tokenAddress, intent.solAmount, slippage * 100, {
+        onSigned: async (signature) => {
+          const entry = await journal.append('BUY_SUBMITTED', { ...intent, signature });
+          applyJournalEntry(entry);
+          intent.ts = entry.ts;
+        },
       });
       
       if (result.success) {
-        const position = {
-          id: `meme_${Date.now()}`,
-          token: opp.token,
-          tokenAddress: opp.tokenAddress,
-          entryPrice: opp.price,
-          entryTime: Date.now(),
-          size: positionSize,
-          score: opp.score,
-          txHash: result.txHash,
-          peakPrice: opp.price,
-        };
+        const position = buildLivePosition(intent, result, solPrice);
+        await commit('BUY_CONFIRMED', { intentId: intent.intentId, position });
         
-        state.positions.push(position);
-        await saveState();
-        
-        await notify(`🚀 MEME SCALP BUY (LIVE)\n\n${opp.token}\n💰 $${positionSize.toFixed(2)}\n🔗 TX: ${result.txHash?.slice(0, 20)}...`);
+        await notify(`🚀 MEME SCALP BUY (LIVE)\n\n${opp.token}\n💰 $${position.size.toFixed(2)}\n🔗 TX: ${result.txHash?.slice(0, 20)}...`);
         
         return position;
       }
+      
+      console.error('   Buy failed:', result.error);
+      if (pendingIntents.has(intent.intentId)) {
+        await commit('BUY_FAILED', { intentId: intent.intentId, error: result.error });
+      }
     } catch (e) {
+      // Intent stays pending if the swap was sent - recoverInFlight() resolves it on restart
       console.error('   Buy failed:', e.message);
     }
   }
@@ -173,79 +578,142 @@ async function executeBuy(opp) {
   return null;
 }
 
-async function executeSell(position, reason, currentPrice) {
+/**
+ * Sell a position - all of it, or `fraction` of what's left (scale-out ladder)
+ * stopPct (partial sells): raise the remainder's stop to this P&L
+ * slippagePct: max slippage for this sell (rug monitor emergency exits)
+ *
+ * The scan loop and the rug monitor can both sell - one sell per position at a time
+ */
+async function executeSell(position, reason, currentPrice, options = {}) {
+  if (sellsInFlight.has(position.id) || !state.positions.some(p => p.id === position.id)) {
+    return;
+  }
+  sellsInFlight.add(position.id);
+  try {
+    await sellPosition(position, reason, currentPrice, options);
+  } finally {
+    sellsInFlight.delete(position.id);
+  }
+}
+
+async function sellPosition(position, reason, currentPrice, { fraction = 1, stopPct, slippagePct } = {}) {
+  const partial = fraction < 1;
+  const legSize = position.size * fraction;
+  
   // ⚠️ SIMULATE EXIT SLIPPAGE - sell price is worse (lower) than displayed
+  const exitSlippage = slippagePct !== undefined ? slippagePct / 100 : CONFIG.simulatedExitSlippage;
   const slippageAdjustedExit = CONFIG.paperMode 
-    ? currentPrice * (1 - CONFIG.simulatedExitSlippage)
+    ? currentPrice * (1 - exitSlippage)
     : currentPrice;
   
+  // Live P&L is recomputed from the real fill once the sell confirms
   const pnlPct = ((slippageAdjustedExit - position.entryPrice) / position.entryPrice) * 100;
-  const pnlUsd = position.size * (pnlPct / 100);
+  const pnlUsd = legSize * (pnlPct / 100);
   
-  console.log(`\n💰 MEME SELL: ${position.token}`);
+  console.log(`\n💰 MEME SELL: ${position.token}${partial ? ` (${(fraction * 100).toFixed(0)}% of remaining)` : ''}`);
   console.log(`   Reason: ${reason}`);
   if (CONFIG.paperMode) {
-    console.log(`   📊 Simulated exit slippage: ${(CONFIG.simulatedExitSlippage * 100).toFixed(1)}% ($${currentPrice.toFixed(8)} → $${slippageAdjustedExit.toFixed(8)})`);
+    console.log(`   📊 Simulated exit slippage: ${(exitSlippage * 100).toFixed(1)}% ($${currentPrice.toFixed(8)} → $${slippageAdjustedExit.toFixed(8)})`);
   }
   console.log(`   P&L: ${pnlPct >= 0 ? '+' : ''}${pnlPct.toFixed(2)}% ($${pnlUsd.toFixed(2)})`);
   
+  const intentId = partial
+    ? `sell_${position.id}_${(position.legs?.length || 0) + 1}`
+    : `sell_${position.id}`;
+  
   if (CONFIG.paperMode) {
-    state.paperBalance += position.size + pnlUsd;
-    
-    const closedTrade = {
-      ...position,
+    const leg = {
+      intentId,
+      fraction,
+      size: legSize,
       exitPrice: slippageAdjustedExit,     // ⚠️ Slippage-adjusted exit
       displayExitPrice: currentPrice,       // Original price for reference
       exitTime: Date.now(),
       pnlPct,
       pnlUsd,
       reason,
-      totalSimulatedSlippage: CONFIG.simulatedEntrySlippage + CONFIG.simulatedExitSlippage,
     };
+    const paperDelta = legSize + pnlUsd;
+    
+    if (partial) {
+      await commit('SELL_PARTIAL', { intentId, positionId: position.id, leg, stopPct, paperDelta });
+      await notify(`✂️ MEME SCALE OUT\n\n${position.token}\n📊 Sold ${(fraction * 100).toFixed(0)}% at ${pnlPct >= 0 ? '+' : ''}${pnlPct.toFixed(2)}% ($${pnlUsd >= 0 ? '+' : ''}${pnlUsd.toFixed(2)})\n📝 ${reason}${stopPct !== undefined ? `\n🛑 Stop → ${stopPct >= 0 ? '+' : ''}${stopPct}%` : ''}\n\n💰 Balance: $${state.paperBalance.toFixed(2)}`);
+      return;
+    }
     
-    state.closedTrades.push(closedTrade);
-    state.positions = state.positions.filter(p => p.id !== position.id);
+    const closedTrade = {
+      ...memeScalp.closeWithLeg(position, leg),
+      totalSimulatedSlippage: CONFIG.simulatedEntrySlippage + exitSlippage,
+    };
     
     // Add to cooldown - don't re-enter this token for 30 min
-    recentExits.set(position.tokenAddress, Date.now());
+    const exitTime = Date.now();
+    await cooldowns.set(position.tokenAddress, 'exit', { token: position.token, exitTime, until: exitTime + COOLDOWN_MS });
     console.log(`   ⏳ ${position.token} on 30min cooldown`);
     
     // V2: Record loss for extended cooldown tracking
-    if (pnlPct < 0) {
-      recordTokenLoss(position.tokenAddress);
+    if (closedTrade.pnlPct < 0) {
+      await recordTokenLoss(position.tokenAddress);
     }
     
-    await saveState();
+    await commit('SELL_CONFIRMED', {
+      intentId,
+      positionId: position.id,
+      closedTrade,
+      paperDelta,
+    });
     
-    const emoji = pnlPct >= 0 ? '✅' : '❌';
-    await notify(`${emoji} MEME SCALP EXIT\n\n${position.token}\n📊 ${pnlPct >= 0 ? '+' : ''}${pnlPct.toFixed(2)}% ($${pnlUsd >= 0 ? '+' : ''}${pnlUsd.toFixed(2)})\n📝 ${reason}\n\n💰 Balance: $${state.paperBalance.toFixed(2)}`);
+    const emoji = closedTrade.pnlPct >= 0 ? '✅' : '❌';
+    await notify(`${emoji} MEME SCALP EXIT\n\n${position.token}\n📊 ${closedTrade.pnlPct >= 0 ? '+' : ''}${closedTrade.pnlPct.toFixed(2)}% ($${closedTrade.pnlUsd >= 0 ? '+' : ''}${closedTrade.pnlUsd.toFixed(2)})${closedTrade.legs ? ` over ${closedTrade.legs.length} sells` : ''}\n📝 ${reason}\n\n💰 Balance: $${state.paperBalance.toFixed(2)}`);
   } else {
-    // Real sell
+    // Real sell - a share of, or the whole, on-chain balance
+    const intent = {
+      intentId,
+      positionId: position.id,
+      token: position.token,
+      tokenAddress: position.tokenAddress,
+      displayPrice: currentPrice,
+      reason,
+      fraction,
+      stopPct,
+    };
+    
     try {
-      const result = await dex.swap({
-        chain: 'solana',
-        inputToken: position.tokenAddress,
-        outputToken: 'So11111111111111111111111111111111111111112', // SOL
-        amount: 'all', // Sell all
-        slippageBps: memeScalp.getSlippage(50000) * 100, // Use medium slippage for exit
-      });
+      const result = await solanaSwap.sellPortion(
+        position.tokenAddress,
+        fraction,
+        (slippagePct ?? memeScalp.getSlippage(50000)) * 100, // Medium slippage unless told otherwise
+        {
+          onSigned: async (signature) => {
+            applyJournalEntry(await journal.append('SELL_SUBMITTED', { ...intent, signature }));
+          },
+        },
+      );
       
       if (result.success) {
-        const closedTrade = {
-          ...position,
-          exitPrice: currentPrice,
-          exitTime: Date.now(),
-          pnlPct,
-          pnlUsd,
-          reason,
-          exitTxHash: result.txHash,
-        };
+        const solPrice = await oracle.getSolUsd();
+        const leg = buildLiveLeg(position, intent, result, solPrice);
         
-        state.closedTrades.push(closedTrade);
-        state.positions = state.positions.filter(p => p.id !== position.id);
-        await saveState();
+        if (partial) {
+          await commit('SELL_PARTIAL', { intentId, positionId: position.id, leg, stopPct });
+          await notify(`✂️ MEME SCALE OUT (LIVE)\n\n${position.token}\n📊 Sold ${(fraction * 100).toFixed(0)}% at ${leg.pnlPct.toFixed(2)}%\n🔗 TX: ${result.txHash?.slice(0, 20)}...`);
+          return;
+        }
+        
+        const closedTrade = memeScalp.closeWithLeg(position, leg);
+        await commit('SELL_CONFIRMED', {
+          intentId,
+          positionId: position.id,
+          closedTrade,
+        });
         
-        await notify(`💰 MEME SCALP EXIT (LIVE)\n\n${position.token}\n📊 ${pnlPct.toFixed(2)}%\n🔗 TX: ${result.txHash?.slice(0, 20)}...`);
+        await notify(`💰 MEME SCALP EXIT (LIVE)\n\n${position.token}\n📊 ${closedTrade.pnlPct.toFixed(2)}%\n🔗 TX: ${result.txHash?.slice(0, 20)}...`);
+      } else {
+        console.error('   Sell failed:', result.error);
+        if (pendingIntents.has(intentId)) {
+          await commit('SELL_FAILED', { intentId, error: result.error });
+        }
       }
     } catch (e) {
       console.error('   Sell failed:', e.message);
@@ -253,75 +721,230 @@ async function executeSell(position, reason, currentPrice) {
   }
 }
 
+/**
+ * Run the exit checks for one position at a price - scan loop and position stream
+ * pair: latest DexScreener pair for order-flow exits (null = price exits only)
+ */
+async function evaluatePosition(position, currentPrice, pair, { quiet = false } = {}) {
+  const exitCheck = memeScalp.checkExit(position, currentPrice, Date.now(), pair);
+  
+  // Update peak price
+  if (exitCheck.newPeak) {
+    position.peakPrice = exitCheck.newPeak;
+  }
+  
+  const pnl = exitCheck.pnlPct;
+  if (!quiet) {
+    console.log(`   ${position.token}: ${pnl >= 0 ? '+' : ''}${pnl.toFixed(2)}%`);
+  }
+  
+  if (exitCheck.shouldExit) {
+    if (quiet) {
+      console.log(`\n⚡ ${position.token}: ${pnl >= 0 ? '+' : ''}${pnl.toFixed(2)}% on pool update`);
+    }
+    if (exitCheck.detail) {
+      console.log(`   ⚠️ ${position.token}: ${exitCheck.detail}`);
+    }
+    await executeSell(position, exitCheck.reason, currentPrice, exitCheck);
+  }
+}
+
+/**
+ * Streamed price from the position's pool - exits between scans
+ */
+async function handleStreamPrice(streamed, price) {
+  const position = state.positions.find(p => p.id === streamed.id);
+  if (!position) return;
+  await evaluatePosition(position, price, lastPositionPairs.get(position.tokenAddress) || null, { quiet: true });
+}
+
 async function checkPositions() {
+  const seenPairs = [];
+  for (const tokenAddress of lastPositionPairs.keys()) {
+    if (!state.positions.some(p => p.tokenAddress === tokenAddress)) lastPositionPairs.delete(tokenAddress);
+  }
+  
   for (const position of state.positions) {
     try {
       // Get current price
-      const resp = await fetch(
-        `https://api.dexscreener.com/latest/dex/tokens/${position.tokenAddress}`
-      );
-      const data = await resp.json();
-      const pair = data.pairs?.[0];
+      const pairs = await getMarketData().getTokenPairs(position.tokenAddress);
+      const pair = pairs[0];
       
-      if (!pair) continue;
+      if (!pair) {
+        // Pool gone - don't keep (or record) its last pair as a current mark
+        lastPositionPairs.delete(position.tokenAddress);
+        continue;
+      }
+      seenPairs.push(pair);
+      lastPositionPairs.set(position.tokenAddress, pair);
       
       const currentPrice = parseFloat(pair.priceUsd || 0);
       if (currentPrice <= 0) continue;
       
-      // Check exit conditions
-      const exitCheck = memeScalp.checkExit(position, currentPrice);
-      
-      // Update peak price
-      if (exitCheck.newPeak) {
-        position.peakPrice = exitCheck.newPeak;
-      }
-      
-      const pnl = exitCheck.pnlPct;
-      console.log(`   ${position.token}: ${pnl >= 0 ? '+' : ''}${pnl.toFixed(2)}%`);
-      
-      if (exitCheck.shouldExit) {
-        await executeSell(position, exitCheck.reason, currentPrice);
-      }
+      // Check exit conditions (price + order flow from the pair)
+      position.entryLiquidity ??= parseFloat(pair.liquidity?.usd || 0); // Adopted/older positions
+      position.pairAddress ??= pair.pairAddress;                       // Position stream
+      await evaluatePosition(position, currentPrice, pair);
     } catch (e) {
       console.error(`   Error checking ${position.token}:`, e.message);
     }
   }
+  
+  return seenPairs;
+}
+
+/**
+ * Close every open position - circuit breaker with flattenOnTrip
+ * Positions without a price this scan are retried on the next one
+ */
+async function flattenPositions(marks) {
+  for (const position of [...state.positions]) {
+    const price = marks.get(position.tokenAddress);
+    if (!(price > 0)) {
+      console.log(`   ⚠️ No price for ${position.token} - flatten retried next scan`);
+      continue;
+    }
+    await executeSell(position, 'CIRCUIT_BREAKER', price);
+  }
+}
+
+/**
+ * Rug monitor detection - sell now at emergency slippage, blacklist the
+ * token and its deployer, alert. Each step runs even if an earlier one fails.
+ * Returns false while the position is still held - the monitor retries the exit
+ */
+async function handleRug(position, signal) {
+  const isOpen = () => state.positions.some(p => p.id === position.id);
+  
+  if (signal.attempt === 1) {
+    console.log(`\n🚨 RUG DETECTED: ${position.token} - ${signal.reason} (${signal.detail})`);
+    
+    await notifier.notify('emergency', `RUG DETECTED: ${signal.reason}`, {
+      token: `${position.token} (${position.tokenAddress})`,
+      action: signal.canSell ? `Emergency sell at up to ${rugMonitor.CONFIG.emergencySlippagePct}% slippage` : 'Cannot sell - manual action needed',
+      reason: signal.detail,
+    });
+  } else {
+    console.log(`\n🚨 RUG EXIT RETRY: ${position.token} - ${signal.reason} (attempt ${signal.attempt})`);
+  }
+  
+  if (signal.canSell) {
+    // A normal sell may be running - let it finish, then exit whatever is left
+    while (sellsInFlight.has(position.id) && !shuttingDown) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    if (isOpen() && !shuttingDown) {
+      try {
+        await executeSell(position, signal.reason, signal.price || position.peakPrice, {
+          slippagePct: rugMonitor.CONFIG.emergencySlippagePct,
+        });
+      } catch (e) {
+        console.error(`   Emergency sell failed: ${e.message}`);
+      }
+    }
+  }
+  
+  if (signal.attempt === 1) {
+    await blacklistRugged(position);
+  }
+  
+  // Still holding it - the rug monitor signals again and we retry
+  return !signal.canSell || !isOpen();
+}
+
+/**
+ * Blacklist a rugged token and its deployer
+ */
+async function blacklistRugged(position) {
+  const deployers = [];
+  try {
+    const creator = await blacklist.getCreator(position.tokenAddress);
+    if (creator) deployers.push(creator);
+  } catch (e) {
+    console.error(`   Deployer lookup failed: ${e.message}`);
+  }
+  try {
+    if (await blacklist.add({ mints: [position.tokenAddress], deployers })) {
+      console.log(`   ⛔ Blacklisted ${position.token}${deployers.length ? ` and deployer ${deployers[0].slice(0, 8)}...` : ''}`);
+    }
+  } catch (e) {
+    console.error(`   Blacklist update failed: ${e.message}`);
+  }
+}
+
+/**
+ * Job: reprice open positions, run exits, feed the circuit breaker
+ */
+async function monitorPositions() {
+  await circuitBreaker.refresh().catch(e => console.error('   Breaker state reload failed:', e.message));
+  
+  let positionPairs = [];
+  if (state.positions.length > 0) {
+    console.log(`\n[${new Date().toISOString()}] Checking ${state.positions.length} positions...`);
+    positionPairs = await checkPositions();
+  }
+  
+  // Circuit breaker on realized + unrealized equity
+  const marks = new Map(positionPairs.map(p => [p.baseToken?.address, parseFloat(p.priceUsd || 0)]));
+  try {
+    circuitBreaker.update(await getEquity(marks));
+  } catch (e) {
+    console.error('   Equity check failed:', e.message);
+  }
+  if (circuitBreaker.getBlockReason() && circuitBreaker.CONFIG.flattenOnTrip && state.positions.length > 0 && !CONFIG.recordOnly) {
+    console.log(`   🛑 Circuit breaker flattening ${state.positions.length} positions...`);
+    await flattenPositions(marks);
+  }
 }
 
-async function scanAndTrade() {
+/**
+ * Job: look for a new entry (one buy per scan)
+ * A scan that ran past its timeout (signal aborted) or overlaps shutdown doesn't buy
+ */
+async function scanForEntries({ signal } = {}) {
   state.scans++;
   const timestamp = new Date().toISOString();
   console.log(`\n[${timestamp}] Meme Scan #${state.scans}`);
   
-  // Check existing positions first
-  if (state.positions.length > 0) {
-    console.log(`   Checking ${state.positions.length} positions...`);
-    await checkPositions();
-  }
+  // Pick up cooldowns / kill switch changes made with `npm run cooldowns` / `npm run risk`
+  await cooldowns.refresh().catch(e => console.error('   Cooldown reload failed:', e.message));
+  await risk.refresh().catch(e => console.error('   Risk state reload failed:', e.message));
+  
+  // Last prices the monitor job fetched for open positions
+  const positionPairs = [...lastPositionPairs.values()];
   
   // Look for new opportunities
-  if (state.positions.length < CONFIG.maxPositions) {
+  const entriesBlocked = risk.getState().entriesBlocked || circuitBreaker.getBlockReason();
+  if (entriesBlocked && !CONFIG.recordOnly) {
+    console.log(`   🛡️ Entries paused - ${entriesBlocked}`);
+  } else if (state.positions.length < CONFIG.maxPositions) {
     console.log('   🔍 Scanning for meme opportunities...');
     const opportunities = await memeScalp.scan();
     
-    if (opportunities.length > 0) {
+    if (CONFIG.recordScans) {
+      await recorder.record({ ...memeScalp.getLastScanSnapshot(), positionPairs });
+    }
+    
+    if (CONFIG.recordOnly) {
+      console.log(`   📼 Record-only mode: ${opportunities.length} opportunities recorded, not trading`);
+    } else if (opportunities.length > 0) {
       console.log(`   Found ${opportunities.length} opportunities`);
       
       for (const opp of opportunities) {
-        // Skip if already in position
-        if (state.positions.some(p => p.tokenAddress === opp.tokenAddress)) {
-          continue;
+        if (signal?.aborted || shuttingDown) {
+          console.log(`   ⏹️ Scan ${shuttingDown ? 'interrupted by shutdown' : 'timed out'} - not buying on stale data`);
+          break;
         }
         
-        // Skip blacklisted
-        if (BLACKLIST.has(opp.token)) {
+        // Skip if already in position
+        if (state.positions.some(p => p.tokenAddress === opp.tokenAddress)) {
           continue;
         }
         
         // Skip if on cooldown (recently exited)
-        const lastExit = recentExits.get(opp.tokenAddress);
-        if (lastExit && Date.now() - lastExit < COOLDOWN_MS) {
-          const minsLeft = Math.ceil((COOLDOWN_MS - (Date.now() - lastExit)) / 60000);
+        const exitCooldown = cooldowns.get(opp.tokenAddress, 'exit');
+        if (exitCooldown) {
+          const minsLeft = Math.ceil((exitCooldown.until - Date.now()) / 60000);
           console.log(`   ⏳ ${opp.token} on cooldown (${minsLeft}min left)`);
           continue;
         }
@@ -342,6 +965,43 @@ async function scanAndTrade() {
     }
   } else {
     console.log('   Max positions reached');
+    
+    if (CONFIG.recordScans) {
+      await recorder.record({ timestamp: Date.now(), pairs: [], trending: [], positionPairs });
+    }
+  }
+}
+
+/**
+ * Job: periodic status - balance, positions, P&L and job metrics
+ */
+async function reportStatus() {
+  const balance = await getBalance();
+  const totalPnl = state.closedTrades.reduce((sum, t) => sum + (t.pnlUsd || 0), 0);
+  const uptimeMin = (Date.now() - state.startTime) / 60000;
+  
+  console.log(`\n📋 Status: $${balance.toFixed(2)} | ${state.positions.length}/${CONFIG.maxPositions} positions | ${state.closedTrades.length} trades, P&L $${totalPnl.toFixed(2)} | up ${uptimeMin.toFixed(0)}min${state.lastReconcile ? ` | reconciled ${((Date.now() - state.lastReconcile) / 60000).toFixed(0)}min ago` : ''}`);
+  for (const [name, m] of Object.entries(scheduler.getMetrics())) {
+    const avg = m.avgDurationMs !== null ? `${(m.avgDurationMs / 1000).toFixed(2)}s avg / ${(m.maxDurationMs / 1000).toFixed(2)}s max` : 'first run';
+    console.log(`   ⏲️ ${name.padEnd(9)} ${m.runs} runs, ${avg}${m.failures ? `, ${m.failures} failed` : ''}${m.timeouts ? `, ${m.timeouts} timed out` : ''}${m.delayed ? `, ${m.delayed} delayed` : ''}${m.lastError ? ` (last: ${m.lastError})` : ''}`);
+  }
+  const stream = positionStream.getStatus();
+  if (stream.mode !== 'off') {
+    console.log(`   ⚡ stream    ${stream.mode}, ${stream.streaming} pools${stream.unsupported ? `, ${stream.unsupported} unsupported` : ''}`);
+  }
+  const landing = txLanding.getMetrics();
+  if (!CONFIG.paperMode && (landing.sent > 0 || landing.simulationFailed > 0)) {
+    const errors = Object.entries(landing.errors).map(([code, n]) => `${code} ${n}`).join(', ');
+    console.log(`   🛬 landing   ${landing.landed}/${landing.sent} landed${landing.avgLandingMs !== null ? ` (${(landing.avgLandingMs / 1000).toFixed(1)}s avg)` : ''}, ${landing.expired} expired, ${landing.failed} failed, ${landing.simulationFailed} rejected in simulation, ${landing.rebroadcasts} rebroadcasts${landing.lastPriorityFee !== null ? `, fee ${landing.lastPriorityFee} µlamports/CU` : ''}${errors ? ` (${errors})` : ''}`);
+  }
+  const bundles = jito.getMetrics();
+  if (!CONFIG.paperMode && bundles.sent + bundles.failed > 0) {
+    const errors = Object.entries(bundles.errors).map(([code, n]) => `${code} ${n}`).join(', ');
+    console.log(`   🛡️ jito      ${bundles.landed}/${bundles.sent} bundles landed, ${bundles.fallbacks} fell back to RPC, tips ${(bundles.tipsPaidLamports / 1e9).toFixed(6)} SOL${errors ? ` (${errors})` : ''}`);
+  }
+  for (const rpc of getRpcPool().getHealth()) {
+    const latency = rpc.latencyMs !== null ? `${rpc.latencyMs.toFixed(0)}ms` : 'no calls yet';
+    console.log(`   🌐 rpc       ${rpc.name} (${rpc.roles.join('+')}, weight ${rpc.weight}${rpc.primary ? ', primary' : ''}) ${rpc.healthy ? '✅' : `❌ ${rpc.reason}`} ${latency}${rpc.slotLag !== null ? `, lag ${rpc.slotLag}` : ''}, ${rpc.errors}/${rpc.calls} errors${rpc.lastError && !rpc.healthy ? ` (last: ${rpc.lastError})` : ''}`);
   }
 }
 
@@ -349,9 +1009,25 @@ async function main() {
   console.log('\n' + '🚀'.repeat(30));
   console.log('  SOLANA SCALPER 👑');
   console.log('  ' + (CONFIG.paperMode ? '📝 PAPER MODE' : '🟢 LIVE MODE'));
+  if (CONFIG.recordScans) {
+    console.log('  📼 RECORDING' + (CONFIG.recordOnly ? ' ONLY (no trades)' : ''));
+  }
   console.log('🚀'.repeat(30));
   
+  printConfig(config);
+  if (process.argv.includes('--print-config')) {
+    process.exit(0);
+  }
+  
+  await risk.load();
+  await circuitBreaker.load();
   await loadState();
+  risk.syncPositions(state.positions);
+  await reconcile();
+  
+  const cooldownCount = await cooldowns.load();
+  const lossStats = memeScalp.getCooldownStats();
+  console.log(`[Cooldowns] Loaded ${cooldownCount} active cooldowns (${lossStats.tokensOnCooldown} from losses)`);
   
   const stats = memeScalp.getStats();
   console.log('\n⚡ Strategy:', stats.strategy);
@@ -365,19 +1041,87 @@ async function main() {
   const balance = await getBalance();
   console.log(`\n💵 Balance: $${balance.toFixed(2)}`);
   console.log(`📍 Positions: ${state.positions.length}/${CONFIG.maxPositions}`);
+  const riskState = risk.getState();
+  console.log(`🛡️ Risk: day P&L $${riskState.dailyPnlUsd.toFixed(2)} / -$${riskState.limits.maxDailyLossUsd} | streak ${riskState.consecutiveLosses}/${riskState.limits.maxConsecutiveLosses}${riskState.entriesBlocked ? ` | ⛔ ${riskState.entriesBlocked}` : ''}`);
+  const breakerState = circuitBreaker.getState();
+  console.log(`🔌 Breaker: ${breakerState.blockReason ? `⛔ ${breakerState.blockReason}` : `armed (${breakerState.limits.maxDailyDrawdownPct}% day / ${breakerState.limits.maxHourlyDrawdownPct}% 1h drawdown, ${breakerState.limits.maxLossStreak} loss streak)`}`);
   
   await notify(`🚀 MEME SCALPER STARTED\n\n${CONFIG.paperMode ? '📝 Paper Mode' : '🟢 LIVE'}\n💵 Balance: $${balance.toFixed(2)}\n\n⚡ ${stats.scanInterval} scans\n🎯 TP: ${stats.takeProfit}\n🛑 SL: ${stats.stopLoss}`);
   
-  // Initial scan
-  await scanAndTrade();
+  // Separate, non-overlapping jobs - a slow scan never delays exits
+  const jitter = (intervalMs) => intervalMs * (CONFIG.jobJitterPct / 100);
+  scheduler.addJob('monitor', monitorPositions, {
+    intervalMs: CONFIG.monitorIntervalMs,
+    timeoutMs: CONFIG.monitorTimeoutMs,
+    jitterMs: jitter(CONFIG.monitorIntervalMs),
+  });
+  scheduler.addJob('scan', scanForEntries, {
+    intervalMs: CONFIG.scanIntervalMs,
+    timeoutMs: CONFIG.scanTimeoutMs,
+    jitterMs: jitter(CONFIG.scanIntervalMs),
+  });
+  if (!CONFIG.paperMode) {
+    // Rewrites the position list - runs alone
+    scheduler.addJob('reconcile', reconcile, {
+      intervalMs: CONFIG.reconcileIntervalMs,
+      timeoutMs: CONFIG.reconcileTimeoutMs,
+      jitterMs: jitter(CONFIG.reconcileIntervalMs),
+      exclusive: true,
+      runOnStart: false, // Ran above
+    });
+  }
+  const rpcPool = getRpcPool();
+  if (rpcPool.endpoints.length > 1) {
+    // Slot lag needs other endpoints to compare with
+    scheduler.addJob('rpc', () => rpcPool.checkHealth(), {
+      intervalMs: RPC_CONFIG.rpcHealthCheckMs,
+      timeoutMs: 10 * 1000,
+      jitterMs: jitter(RPC_CONFIG.rpcHealthCheckMs),
+    });
+  }
+  scheduler.addJob('report', reportStatus, {
+    intervalMs: CONFIG.reportIntervalMs,
+    timeoutMs: 10 * 1000,
+    runOnStart: false,
+  });
+  scheduler.start();
+  
+  // Rug watch between scans
+  rugMonitor.start({
+    getPositions: () => state.positions,
+    onRug: handleRug,
+    live: !CONFIG.paperMode,
+  });
   
-  // Fast scan loop
-  setInterval(scanAndTrade, CONFIG.scanIntervalMs);
+  // Real-time exits from pool reserves (recordings have no chain to stream from)
+  if (getMarketData().name === 'file') {
+    console.log('[PositionStream] Off - file market data (recorded prices only)');
+  } else {
+    positionStream.start({
+      getPositions: () => state.positions,
+      onPrice: handleStreamPrice,
+    });
+  }
   
-  // Graceful shutdown
-  process.on('SIGINT', async () => {
+  // Graceful shutdown - no new runs, wait for in-flight jobs and orders
+  const shutdown = async () => {
+    if (shuttingDown) return;
+    shuttingDown = true;
     console.log('\n🛑 Shutting down Meme Scalper...');
+    rugMonitor.stop();
+    positionStream.stop();
+    
+    const deadline = Date.now() + CONFIG.shutdownTimeoutMs;
+    const stuck = await scheduler.stop({ timeoutMs: CONFIG.shutdownTimeoutMs });
+    while (sellsInFlight.size > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    if (stuck.length > 0 || sellsInFlight.size > 0) {
+      console.log(`   ⚠️ Gave up waiting for ${[...stuck, ...[...sellsInFlight].map(id => `sell ${id}`)].join(', ')} - in-flight orders are recovered from the journal on restart`);
+    }
+    
     await saveState();
+    await journal.compact(snapshotSeq());
     
     const wins = state.closedTrades.filter(t => t.pnlPct > 0).length;
     const losses = state.closedTrades.filter(t => t.pnlPct <= 0).length;
@@ -386,7 +1130,9 @@ async function main() {
     await notify(`🛑 MEME SCALPER STOPPED\n\n📊 Trades: ${state.closedTrades.length}\n✅ Wins: ${wins}\n❌ Losses: ${losses}\n💰 P&L: $${totalPnl.toFixed(2)}`);
     
     process.exit(0);
-  });
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
 }
 
 main().catch(console.error);
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * RISK 🛡️
+ *
+ * Inspect the risk manager and circuit breaker, operate the kill switch
+ * (data/risk-state.json, data/breaker-state.json).
+ * A running bot picks up changes on its next scan.
+ *
+ * Usage:
+ *   npm run risk -- status
+ *   npm run risk -- kill "rugged, stop everything"
+ *   npm run risk -- reset          # clear kill switch + losing streak
+ *   npm run risk -- resume         # resume entries after a circuit breaker trip
+ */
+
+import 'dotenv/config';
+import risk from './core/risk.js';
+import circuitBreaker from './core/circuit-breaker.js';
+import { loadConfig, applyConfig } from './core/config.js';
+
+function printStatus() {
+  const s = risk.getState();
+  const sign = (n) => n >= 0 ? '+' : '';
+
+  console.log(`\n🛡️ Risk state (${s.day})`);
+  console.log(`   Entries:       ${s.entriesBlocked ? `⛔ ${s.entriesBlocked}` : '✅ allowed'}`);
+  console.log(`   Kill switch:   ${s.killSwitch ? `🛑 ${s.killSwitch.reason} (${new Date(s.killSwitch.at).toISOString()})` : 'off'}`);
+  console.log(`   Day P&L:       ${sign(s.dailyPnlUsd)}$${s.dailyPnlUsd.toFixed(2)} (limit -$${s.limits.maxDailyLossUsd}, kill -$${s.limits.killSwitchLossUsd})`);
+  console.log(`   Loss streak:   ${s.consecutiveLosses}/${s.limits.maxConsecutiveLosses}`);
+  console.log(`   Exposure:      $${s.exposureUsd.toFixed(2)} / $${s.limits.maxOpenExposureUsd} (max $${s.limits.maxTradeUsd}/trade, $${s.limits.maxTokenExposureUsd}/token)`);
+
+  for (const p of s.openPositions) {
+    console.log(`      ${p.token.padEnd(10)} $${p.size.toFixed(2)}`);
+  }
+
+  const b = circuitBreaker.getState();
+  const drawdownPct = b.dayPeakEquity ? ((b.dayPeakEquity - b.lastEquity) / b.dayPeakEquity) * 100 : 0;
+  console.log(`\n🔌 Circuit breaker`);
+  console.log(`   State:         ${b.tripped ? `🛑 tripped ${new Date(b.tripped.at).toISOString()} - ${b.blockReason}` : '✅ armed'}`);
+  console.log(`   Equity:        ${b.lastEquity !== null ? `$${b.lastEquity.toFixed(2)} (day peak $${b.dayPeakEquity.toFixed(2)}, -${drawdownPct.toFixed(1)}%)` : 'n/a'}`);
+  console.log(`   Limits:        ${b.limits.maxDailyDrawdownPct}% day / ${b.limits.maxHourlyDrawdownPct}% 1h drawdown, ${b.lossStreak}/${b.limits.maxLossStreak} loss streak`);
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+
+  // Same limits the bot runs with (profile, config file, SCALPER_* env)
+  applyConfig(loadConfig({ env: { ...process.env, MODE: 'paper', MEME_PAPER_MODE: undefined } }));
+  await risk.load();
+  await circuitBreaker.load();
+
+  switch (command) {
+    case 'status':
+    case undefined:
+      printStatus();
+      break;
+
+    case 'kill':
+      await risk.emergencyStop(rest.join(' ') || 'Manual kill switch');
+      printStatus();
+      break;
+
+    case 'reset':
+      await risk.resetKillSwitch();
+      printStatus();
+      break;
+
+    case 'resume':
+      await circuitBreaker.resume('manual');
+      printStatus();
+      break;
+
+    default:
+      console.error('Usage: node src/risk.js status|kill [reason]|reset|resume');
+      process.exit(1);
+  }
+}
+
+main().catch((e) => {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+});
@@ -9,56 +9,63 @@
  */
 
 import fetch from 'node-fetch';
-
-const DEXSCREENER_API = 'https://api.dexscreener.com';
-
-// Token cooldown tracking - prevents repeating mistakes on same token
-const tokenLossMemory = new Map(); // tokenAddress -> { losses: number, lastLossTime: timestamp }
+import { getMarketData } from '../core/market-data.js';
+import cooldowns from '../core/cooldowns.js';
+import blacklist from '../core/blacklist.js';
+import tokenSafety, { scoreSafety } from '../core/token-safety.js';
 
 /**
- * Check if token is on cooldown after losses
+ * Get when a token's loss cooldown ends (1h normally, 4h after repeated losses)
  */
-export function isTokenOnCooldown(tokenAddress) {
-  const memory = tokenLossMemory.get(tokenAddress);
-  if (!memory) return false;
-  
-  const now = Date.now();
+export function getCooldownEnd(memory) {
   const cooldownMs = memory.losses >= CONFIG.maxLossesPerToken 
     ? CONFIG.extendedCooldownMs 
     : CONFIG.tokenCooldownMs;
-  
-  const cooldownEnds = memory.lastLossTime + cooldownMs;
-  
-  if (now < cooldownEnds) {
-    const minsLeft = Math.round((cooldownEnds - now) / 60000);
-    console.log(`   ⏳ ${tokenAddress.slice(0,8)}... on cooldown (${minsLeft}min left, ${memory.losses} losses)`);
+  return memory.lastLossTime + cooldownMs;
+}
+
+/**
+ * Check if token is on cooldown after losses (or manually penalized)
+ * Loss memory is persisted in core/cooldowns.js - survives restarts
+ */
+export function isTokenOnCooldown(tokenAddress, now = Date.now()) {
+  const manual = cooldowns.get(tokenAddress, 'manual', now);
+  if (manual) {
+    const minsLeft = Math.ceil((manual.until - now) / 60000);
+    console.log(`   🚫 ${tokenAddress.slice(0,8)}... on manual cooldown (${minsLeft}min left${manual.reason ? `: ${manual.reason}` : ''})`);
     return true;
   }
   
-  // Cooldown expired, clear memory
-  tokenLossMemory.delete(tokenAddress);
-  return false;
+  // Expired memory reads as null - losses reset after the cooldown
+  const memory = cooldowns.get(tokenAddress, 'loss', now);
+  if (!memory) return false;
+  
+  const minsLeft = Math.round((memory.until - now) / 60000);
+  console.log(`   ⏳ ${tokenAddress.slice(0,8)}... on cooldown (${minsLeft}min left, ${memory.losses} losses)`);
+  return true;
 }
 
 /**
  * Record a loss on a token (call after losing trade)
  */
-export function recordTokenLoss(tokenAddress) {
-  const memory = tokenLossMemory.get(tokenAddress) || { losses: 0, lastLossTime: 0 };
-  memory.losses += 1;
-  memory.lastLossTime = Date.now();
-  tokenLossMemory.set(tokenAddress, memory);
+export async function recordTokenLoss(tokenAddress, now = Date.now()) {
+  const previous = cooldowns.get(tokenAddress, 'loss', now);
+  const memory = { losses: (previous?.losses || 0) + 1, lastLossTime: now };
+  memory.until = getCooldownEnd(memory);
+  
   console.log(`   📝 Recorded loss #${memory.losses} for ${tokenAddress.slice(0,8)}...`);
+  await cooldowns.set(tokenAddress, 'loss', memory);
 }
 
 /**
  * Get cooldown stats for logging
  */
 export function getCooldownStats() {
+  const tokens = cooldowns.list('loss');
   return {
-    tokensOnCooldown: tokenLossMemory.size,
-    tokens: Array.from(tokenLossMemory.entries()).map(([addr, mem]) => ({
-      token: addr.slice(0, 8),
+    tokensOnCooldown: tokens.length,
+    tokens: tokens.map(mem => ({
+      token: mem.tokenAddress.slice(0, 8),
       losses: mem.losses,
       minsAgo: Math.round((Date.now() - mem.lastLossTime) / 60000),
     })),
@@ -104,6 +111,22 @@ export const CONFIG = {
   trailingDistancePct: 1.5,     // V5.1: Trail 1.5% behind peak (was 2%)
   maxHoldTimeMs: 90 * 1000,     // V5.1: Max 90 sec hold (was 2 min)
   
+  // Scale-out ladder - sell part of the position at each level, trailing/TP
+  // handle the rest. Empty = all-or-nothing exits.
+  // { pnlPct, sellPct (of the original size), stopPct (raise stop to this P&L, 0 = breakeven) }
+  takeProfitLadder: [],
+  
+  // Order-flow exits - need the position's current pair (0 = off)
+  exitLiquidityDropPct: 25,     // Pool liquidity down 25% since entry (possible rug)
+  exitMinBuyRatio5m: 0.45,      // 5m buyers below 45% of txns
+  exitSellSpikeMult: 3,         // 5m sells 3x the hour's 5m average, outnumbering buys
+  exitVolumeFadeRatio: 0.3,     // 5m volume below 30% of the hour's 5m average
+  exitMinTxns5m: 10,            // Ratio/spike signals need this many 5m txns
+  exitSignalMinHoldMs: 15000,   // Ignore flow signals right after entry (liquidity drop excepted)
+  
+  // Pre-flight: skip if 5m momentum minus real round-trip slippage is below this
+  minNetExpectedPct: -2,        // Paper mode: accept up to -2% expected
+  
   // Honeypot Detection (V4)
   minSellsRequired: 3,          // Token must have at least 3 sells in 24h
   minSellRatio: 0.15,           // At least 15% of txns must be sells (not just buys)
@@ -119,6 +142,7 @@ export const CONFIG = {
 
 // 🆕 V5.1: Market Regime Cache
 let marketRegimeCache = {
+  solPrice: 0,
   sol1hChange: 0,
   sol5mChange: 0,
   lastUpdate: 0,
@@ -138,16 +162,15 @@ export async function checkMarketRegime() {
   
   if (!cacheValid) {
     try {
-      // Fetch SOL price data from DexScreener
-      const resp = await fetch(`${DEXSCREENER_API}/latest/dex/tokens/So11111111111111111111111111111111111111112`, { timeout: 5000 });
-      const data = await resp.json();
+      // Fetch SOL price data from the market data provider
+      const pairs = await getMarketData().getTokenPairs('So11111111111111111111111111111111111111112');
       
       // Find the main SOL/USDC pair (highest liquidity)
-      const pairs = data.pairs || [];
       const solPair = pairs.find(p => p.quoteToken?.symbol === 'USDC' || p.quoteToken?.symbol === 'USDT') || pairs[0];
       
       if (solPair) {
         marketRegimeCache = {
+          solPrice: parseFloat(solPair.priceUsd || 0),
           sol1hChange: parseFloat(solPair.priceChange?.h1 || 0),
           sol5mChange: parseFloat(solPair.priceChange?.m5 || 0),
           lastUpdate: now,
@@ -160,8 +183,13 @@ export async function checkMarketRegime() {
     }
   }
   
-  const { sol1hChange, sol5mChange } = marketRegimeCache;
-  
+  return evaluateRegime(marketRegimeCache.sol1hChange, marketRegimeCache.sol5mChange);
+}
+
+/**
+ * Apply regime thresholds to SOL 1h/5m price changes (no network)
+ */
+export function evaluateRegime(sol1hChange, sol5mChange) {
   // Check 1h trend (primary filter)
   if (sol1hChange < CONFIG.minSol1hChange) {
     return {
@@ -203,7 +231,7 @@ export function getSlippage(liquidityUsd) {
 }
 
 // Jupiter API for real slippage quotes
-const JUPITER_API = 'https://lite-api.jup.ag/swap/v1';
+const JUPITER_API = process.env.JUPITER_API_URL || 'https://lite-api.jup.ag/swap/v1';
 const SOL_MINT = 'So11111111111111111111111111111111111111112';
 
 /**
@@ -248,6 +276,7 @@ export async function getRealSlippageCost(tokenAddress, amountUsd = 10) {
       sellSlippage: sellPriceImpact,
       totalRoundTrip: totalSlippage,
       tokensForAmount: tokensReceived,
+      amountUsd,
     };
     
   } catch (e) {
@@ -257,25 +286,15 @@ export async function getRealSlippageCost(tokenAddress, amountUsd = 10) {
 }
 
 /**
- * Get trending/boosted tokens from DexScreener
+ * Get trending/boosted Solana tokens from the market data provider
  */
 async function getTrendingTokens() {
   try {
-    const [boostsResp, profilesResp] = await Promise.all([
-      fetch(`${DEXSCREENER_API}/token-boosts/latest/v1`),
-      fetch(`${DEXSCREENER_API}/token-profiles/latest/v1`),
-    ]);
-    
-    const boosts = await boostsResp.json();
-    const profiles = await profilesResp.json();
-    
-    // Filter for Solana
-    const solanaBoosts = (boosts || []).filter(t => t.chainId === 'solana');
-    const solanaProfiles = (profiles || []).filter(t => t.chainId === 'solana');
+    const { boosted, trending } = await getMarketData().getTrending();
     
     return {
-      boosted: solanaBoosts.slice(0, 20),
-      trending: solanaProfiles.slice(0, 20),
+      boosted: boosted.slice(0, 20),
+      trending: trending.slice(0, 20),
     };
   } catch (e) {
     console.error('[MemeScalp] Failed to get trending:', e.message);
@@ -283,17 +302,14 @@ async function getTrendingTokens() {
   }
 }
 
+// Raw data behind the most recent scan (for the recorder / backtest replay)
+let lastScanSnapshot = null;
+
 /**
- * Get top Solana pairs by volume (potential pumps)
+ * Get the raw market data the last scan() saw
  */
-async function getHotPairs() {
-  try {
-    const resp = await fetch(`${DEXSCREENER_API}/latest/dex/tokens/solana`);
-    const data = await resp.json();
-    return data.pairs || [];
-  } catch {
-    return [];
-  }
+export function getLastScanSnapshot() {
+  return lastScanSnapshot;
 }
 
 /**
@@ -302,18 +318,32 @@ async function getHotPairs() {
  */
 export async function scan() {
   const opportunities = [];
+  const snapshot = {
+    timestamp: Date.now(),
+    pairs: [],
+    trending: [],
+    regime: null,
+    quotes: {},
+    safety: {},
+  };
+  lastScanSnapshot = snapshot;
   
   try {
     // 🆕 V5.1: CHECK MARKET REGIME FIRST
     const regime = await checkMarketRegime();
     console.log(`   🌡️ Market: ${regime.reason}`);
+    snapshot.regime = { sol1h: regime.sol1h, sol5m: regime.sol5m, solPrice: marketRegimeCache.solPrice, canTrade: regime.canTrade };
     
     if (!regime.canTrade) {
       console.log(`   ⏸️ Pausing trading - waiting for better conditions`);
       return []; // Return empty, don't trade in bear conditions
     }
     
+    // Pick up blacklist edits
+    await blacklist.refresh().catch(e => console.error('[MemeScalp] Blacklist reload failed:', e.message));
+    
     // Multi-source scanning for better coverage
+    const marketData = getMarketData();
     const searchQueries = ['pump', 'sol', 'meme', 'pepe', 'doge', 'cat', 'ai'];
     const allPairs = [];
     const seenAddresses = new Set();
@@ -321,18 +351,14 @@ export async function scan() {
     // Fetch from multiple search terms in parallel
     const searchPromises = searchQueries.map(async (query) => {
       try {
-        const resp = await fetch(`${DEXSCREENER_API}/latest/dex/search?q=${query}`);
-        const data = await resp.json();
-        return (data.pairs || []).filter(p => p.chainId === 'solana');
+        return await marketData.searchPairs(query);
       } catch { return []; }
     });
     
-    // Also get gainers (tokens API for Solana)
+    // Also get gainers (top pairs for Solana)
     searchPromises.push((async () => {
       try {
-        const resp = await fetch(`${DEXSCREENER_API}/tokens/solana`);
-        const data = await resp.json();
-        return data.pairs || [];
+        return await marketData.getTopPairs();
       } catch { return []; }
     })());
     
@@ -351,6 +377,7 @@ export async function scan() {
     
     console.log(`   📡 Found ${allPairs.length} unique tokens from ${searchQueries.length + 1} sources`);
     const pairs = allPairs;
+    snapshot.pairs = allPairs;
     
     // Also get trending
     const trending = await getTrendingTokens();
@@ -358,98 +385,25 @@ export async function scan() {
       ...trending.boosted.map(t => t.tokenAddress),
       ...trending.trending.map(t => t.tokenAddress),
     ]);
+    snapshot.trending = [...trendingAddresses];
     
     for (const pair of pairs.slice(0, 50)) {
       const tokenAddress = pair.baseToken?.address;
       if (!tokenAddress) continue;
       
+      // V6.3: Case-insensitive blacklist (mint, symbol, name)
+      if (blacklist.check(pair)) {
+        continue;
+      }
+      
       // V2: Check token cooldown FIRST (prevents repeating mistakes)
       if (isTokenOnCooldown(tokenAddress)) {
         continue;
       }
       
-      const score = scorePair(pair, trendingAddresses);
-      
-      // DEBUG: Log top-scoring tokens
-      if (score.total >= 40) {
-        const pc5m = parseFloat(pair.priceChange?.m5 || 0);
-        console.log(`   🔍 ${pair.baseToken.symbol}: score ${score.total.toFixed(0)}, 5m ${pc5m > 0 ? '+' : ''}${pc5m.toFixed(1)}%`);
-      }
-      
-      // V2: Use CONFIG.minScore (default 75) instead of hardcoded 60
-      if (score.total >= CONFIG.minScore) {
-        const liquidity = parseFloat(pair.liquidity?.usd || 0);
-        const priceChange5m = parseFloat(pair.priceChange?.m5 || 0);
-        const txns24h = (pair.txns?.h24?.buys || 0) + (pair.txns?.h24?.sells || 0);
-        const buyRatio = pair.txns?.h24?.buys / (txns24h || 1);
-        
-        // V2: Check minimum buy ratio (buyers must dominate)
-        if (buyRatio < CONFIG.minBuyRatio) {
-          // Only log first few to avoid spam
-          if (opportunities.length < 3) {
-            console.log(`   ⚠️ ${pair.baseToken.symbol}: buyRatio ${(buyRatio*100).toFixed(0)}% < ${CONFIG.minBuyRatio*100}% - SKIPPING`);
-          }
-          continue;
-        }
-        
-        // V4: HONEYPOT DETECTION - require sells exist (not just buys)
-        const sells24h = pair.txns?.h24?.sells || 0;
-        const sellRatio = sells24h / (txns24h || 1);
-        
-        if (sells24h < CONFIG.minSellsRequired) {
-          console.log(`   🍯 ${pair.baseToken.symbol}: HONEYPOT? Only ${sells24h} sells - SKIPPING`);
-          continue;
-        }
-        
-        if (sellRatio < CONFIG.minSellRatio) {
-          console.log(`   🍯 ${pair.baseToken.symbol}: HONEYPOT? sellRatio ${(sellRatio*100).toFixed(0)}% too low - SKIPPING`);
-          continue;
-        }
-        
-        // V5: Check minimum 5m momentum (strict)
-        if (priceChange5m < CONFIG.minPriceChange5m) {
-          if (priceChange5m > 1.0) { // Log near-misses
-            console.log(`   📉 ${pair.baseToken.symbol}: 5m +${priceChange5m.toFixed(1)}% < ${CONFIG.minPriceChange5m}% - SKIPPING`);
-          }
-          continue;
-        }
-        
-        // V5: VOLUME SPIKE DETECTION - key indicator!
-        // Compare current volume to expected (volume24h / 24 / 12 = 5min average)
-        const volume5mExpected = (parseFloat(pair.volume?.h24 || 0)) / 24 / 12;
-        const volume5mActual = (parseFloat(pair.volume?.h1 || 0)) / 12; // Approximate from 1h
-        const volumeSpike = volume5mActual / (volume5mExpected || 1);
-        
-        if (volumeSpike < CONFIG.minVolumeSpike) {
-          if (volumeSpike > 1.5) { // Log near-misses
-            console.log(`   📊 ${pair.baseToken.symbol}: vol ${volumeSpike.toFixed(1)}x < ${CONFIG.minVolumeSpike}x - SKIPPING`);
-          }
-          continue;
-        }
-        
-        // 🎯 FOUND A CANDIDATE WITH MULTIPLE CONFIRMATIONS!
-        console.log(`   ✨ ${pair.baseToken.symbol}: score ${score.total}, buyRatio ${(buyRatio*100).toFixed(0)}%, 5m +${priceChange5m.toFixed(1)}%, vol ${volumeSpike.toFixed(1)}x`);
-        
-        opportunities.push({
-          token: pair.baseToken.symbol,
-          tokenAddress: tokenAddress,
-          name: pair.baseToken.name,
-          chain: 'solana',
-          price: parseFloat(pair.priceUsd || 0),
-          liquidity: liquidity,
-          volume24h: parseFloat(pair.volume?.h24 || 0),
-          priceChange5m: priceChange5m,
-          priceChange1h: parseFloat(pair.priceChange?.h1 || 0),
-          priceChange24h: parseFloat(pair.priceChange?.h24 || 0),
-          buyRatio: buyRatio,
-          pairAddress: pair.pairAddress,
-          dexId: pair.dexId,
-          score: score.total,
-          scoreBreakdown: score,
-          slippage: getSlippage(liquidity),
-          isTrending: trendingAddresses.has(tokenAddress),
-          strategy: 'meme-scalp',
-        });
+      const result = evaluatePair(pair, trendingAddresses, { logBuyRatio: opportunities.length < 3 });
+      if (result.opportunity) {
+        opportunities.push(result.opportunity);
       }
     }
     
@@ -460,52 +414,207 @@ export async function scan() {
     const topOpps = opportunities.slice(0, 5);
     const checkedOpps = [];
     
-    for (const opp of topOpps) {
-      console.log(`   📊 Checking real slippage for ${opp.token}...`);
-      const slippageCheck = await getRealSlippageCost(opp.tokenAddress);
-      
-      if (!slippageCheck.success) {
-        console.log(`   ❌ ${opp.token}: ${slippageCheck.reason} - SKIPPING`);
+    const pairsByAddress = new Map(pairs.map(p => [p.baseToken?.address, p]));
+    
+    for (let opp of topOpps) {
+      // Deployer rules need an RPC lookup - only for candidates, still before quoting
+      if (await blacklist.checkDeployer(opp.tokenAddress, opp.token)) {
         continue;
       }
       
-      // Calculate if trade is worth it
-      const expectedProfit = opp.priceChange5m; // Use 5m momentum as proxy
-      const totalCost = slippageCheck.totalRoundTrip;
-      const netExpected = expectedProfit - totalCost;
-      
-      console.log(`   ✅ ${opp.token}: Buy ${slippageCheck.buySlippage.toFixed(2)}% + Sell ${slippageCheck.sellSlippage.toFixed(2)}% = ${totalCost.toFixed(2)}% round-trip`);
-      
-      // Only include if potential profit exceeds slippage cost + buffer
-      // Relaxed for paper testing - allow slightly negative to gather data
-      const minProfitBuffer = -2; // Paper mode: accept up to -2% expected
-      if (netExpected < minProfitBuffer) {
-        console.log(`   ⚠️ ${opp.token}: Net expected ${netExpected.toFixed(2)}% too negative - SKIPPING`);
-        continue;
+      // On-chain mint/holder/LP checks - several RPC calls, so candidates only
+      if (tokenSafety.CONFIG.safetyChecksEnabled) {
+        let safety;
+        try {
+          // Providers with recorded checks (file stand-in) answer without RPC; null = not recorded
+          safety = marketData.getTokenSafety
+            ? await marketData.getTokenSafety(opp.tokenAddress)
+            : await tokenSafety.checkToken(opp.tokenAddress, opp.pairAddress);
+        } catch (e) {
+          console.log(`   🛡️ ${opp.token}: safety check failed (${e.message}) - SKIPPING`);
+          continue;
+        }
+        
+        if (safety) {
+          snapshot.safety[opp.tokenAddress] = safety;
+          const rescored = evaluatePair(pairsByAddress.get(opp.tokenAddress), trendingAddresses, { quiet: true, safety });
+          if (!rescored.opportunity) {
+            console.log(`   🛡️ ${opp.token}: ${safety.reject ? tokenSafety.describe(safety) : `${rescored.reason} after safety (${tokenSafety.describe(safety)})`} - SKIPPING`);
+            continue;
+          }
+          console.log(`   🛡️ ${opp.token}: ${tokenSafety.describe(safety)} - score ${opp.score} → ${rescored.opportunity.score}`);
+          opp = rescored.opportunity;
+        }
       }
       
-      // Add real slippage data to opportunity
-      opp.realBuySlippage = slippageCheck.buySlippage;
-      opp.realSellSlippage = slippageCheck.sellSlippage;
-      opp.realTotalSlippage = slippageCheck.totalRoundTrip;
-      opp.netExpectedProfit = netExpected;
+      console.log(`   📊 Checking real slippage for ${opp.token}...`);
+      // Providers with recorded quotes (file stand-in) answer without hitting Jupiter
+      const slippageCheck = marketData.getSlippageQuote
+        ? await marketData.getSlippageQuote(opp.tokenAddress)
+        : await getRealSlippageCost(opp.tokenAddress);
+      snapshot.quotes[opp.tokenAddress] = slippageCheck;
       
-      checkedOpps.push(opp);
+      if (applySlippageCheck(opp, slippageCheck)) {
+        checkedOpps.push(opp);
+      }
     }
     
-    console.log(`   📋 ${checkedOpps.length}/${topOpps.length} opportunities passed slippage check`);
+    console.log(`   📋 ${checkedOpps.length}/${topOpps.length} opportunities passed safety + slippage checks`);
     
-    return checkedOpps;
+    // Safety points can reorder candidates
+    return checkedOpps.sort((a, b) => b.score - a.score);
   } catch (e) {
     console.error('[MemeScalp] Scan error:', e.message);
     return [];
   }
 }
 
+/**
+ * Run the entry filters on a single pair (no network)
+ * options.safety: token-safety report - rejections skip the pair, the rest adds to the score
+ * Returns { opportunity } when all confirmations pass, otherwise { reason }
+ */
+export function evaluatePair(pair, trendingAddresses = new Set(), options = {}) {
+  const { logBuyRatio = true, quiet = false, safety = null } = options;
+  const log = quiet ? () => {} : console.log;
+  const tokenAddress = pair.baseToken?.address;
+  const score = scorePair(pair, trendingAddresses, safety);
+  
+  if (safety?.reject) {
+    log(`   🛡️ ${pair.baseToken.symbol}: ${safety.reject} - SKIPPING`);
+    return { reason: `UNSAFE_${safety.reject}`, score };
+  }
+  
+  // DEBUG: Log top-scoring tokens
+  if (score.total >= 40) {
+    const pc5m = parseFloat(pair.priceChange?.m5 || 0);
+    log(`   🔍 ${pair.baseToken.symbol}: score ${score.total.toFixed(0)}, 5m ${pc5m > 0 ? '+' : ''}${pc5m.toFixed(1)}%`);
+  }
+  
+  // V2: Use CONFIG.minScore (default 75) instead of hardcoded 60
+  if (score.total < CONFIG.minScore) {
+    return { reason: 'LOW_SCORE', score };
+  }
+  
+  const liquidity = parseFloat(pair.liquidity?.usd || 0);
+  const priceChange5m = parseFloat(pair.priceChange?.m5 || 0);
+  const txns24h = (pair.txns?.h24?.buys || 0) + (pair.txns?.h24?.sells || 0);
+  const buyRatio = pair.txns?.h24?.buys / (txns24h || 1);
+  
+  // V2: Check minimum buy ratio (buyers must dominate)
+  if (buyRatio < CONFIG.minBuyRatio) {
+    // Only log first few to avoid spam
+    if (logBuyRatio) {
+      log(`   ⚠️ ${pair.baseToken.symbol}: buyRatio ${(buyRatio*100).toFixed(0)}% < ${CONFIG.minBuyRatio*100}% - SKIPPING`);
+    }
+    return { reason: 'LOW_BUY_RATIO', score };
+  }
+  
+  // V4: HONEYPOT DETECTION - require sells exist (not just buys)
+  const sells24h = pair.txns?.h24?.sells || 0;
+  const sellRatio = sells24h / (txns24h || 1);
+  
+  if (sells24h < CONFIG.minSellsRequired) {
+    log(`   🍯 ${pair.baseToken.symbol}: HONEYPOT? Only ${sells24h} sells - SKIPPING`);
+    return { reason: 'HONEYPOT_SELLS', score };
+  }
+  
+  if (sellRatio < CONFIG.minSellRatio) {
+    log(`   🍯 ${pair.baseToken.symbol}: HONEYPOT? sellRatio ${(sellRatio*100).toFixed(0)}% too low - SKIPPING`);
+    return { reason: 'HONEYPOT_SELL_RATIO', score };
+  }
+  
+  // V5: Check minimum 5m momentum (strict)
+  if (priceChange5m < CONFIG.minPriceChange5m) {
+    if (priceChange5m > 1.0) { // Log near-misses
+      log(`   📉 ${pair.baseToken.symbol}: 5m +${priceChange5m.toFixed(1)}% < ${CONFIG.minPriceChange5m}% - SKIPPING`);
+    }
+    return { reason: 'LOW_MOMENTUM', score };
+  }
+  
+  // V5: VOLUME SPIKE DETECTION - key indicator!
+  // Compare current volume to expected (volume24h / 24 / 12 = 5min average)
+  const volume5mExpected = (parseFloat(pair.volume?.h24 || 0)) / 24 / 12;
+  const volume5mActual = (parseFloat(pair.volume?.h1 || 0)) / 12; // Approximate from 1h
+  const volumeSpike = volume5mActual / (volume5mExpected || 1);
+  
+  if (volumeSpike < CONFIG.minVolumeSpike) {
+    if (volumeSpike > 1.5) { // Log near-misses
+      log(`   📊 ${pair.baseToken.symbol}: vol ${volumeSpike.toFixed(1)}x < ${CONFIG.minVolumeSpike}x - SKIPPING`);
+    }
+    return { reason: 'LOW_VOLUME_SPIKE', score };
+  }
+  
+  // 🎯 FOUND A CANDIDATE WITH MULTIPLE CONFIRMATIONS!
+  log(`   ✨ ${pair.baseToken.symbol}: score ${score.total}, buyRatio ${(buyRatio*100).toFixed(0)}%, 5m +${priceChange5m.toFixed(1)}%, vol ${volumeSpike.toFixed(1)}x`);
+  
+  return {
+    score,
+    opportunity: {
+      token: pair.baseToken.symbol,
+      tokenAddress: tokenAddress,
+      name: pair.baseToken.name,
+      chain: 'solana',
+      price: parseFloat(pair.priceUsd || 0),
+      liquidity: liquidity,
+      volume24h: parseFloat(pair.volume?.h24 || 0),
+      priceChange5m: priceChange5m,
+      priceChange1h: parseFloat(pair.priceChange?.h1 || 0),
+      priceChange24h: parseFloat(pair.priceChange?.h24 || 0),
+      buyRatio: buyRatio,
+      pairAddress: pair.pairAddress,
+      dexId: pair.dexId,
+      score: score.total,
+      scoreBreakdown: score,
+      ...(safety && { safety }),
+      slippage: getSlippage(liquidity),
+      isTrending: trendingAddresses.has(tokenAddress),
+      strategy: 'meme-scalp',
+    },
+  };
+}
+
+/**
+ * Apply a round-trip slippage quote to an opportunity (no network)
+ * Returns true if the trade is still worth taking; annotates opp with real slippage
+ */
+export function applySlippageCheck(opp, slippageCheck, options = {}) {
+  const log = options.quiet ? () => {} : console.log;
+  
+  if (!slippageCheck.success) {
+    log(`   ❌ ${opp.token}: ${slippageCheck.reason} - SKIPPING`);
+    return false;
+  }
+  
+  // Calculate if trade is worth it
+  const expectedProfit = opp.priceChange5m; // Use 5m momentum as proxy
+  const totalCost = slippageCheck.totalRoundTrip;
+  const netExpected = expectedProfit - totalCost;
+  
+  log(`   ✅ ${opp.token}: Buy ${slippageCheck.buySlippage.toFixed(2)}% + Sell ${slippageCheck.sellSlippage.toFixed(2)}% = ${totalCost.toFixed(2)}% round-trip`);
+  
+  // Only include if potential profit exceeds slippage cost + buffer
+  // Relaxed for paper testing - allow slightly negative to gather data
+  if (netExpected < CONFIG.minNetExpectedPct) {
+    log(`   ⚠️ ${opp.token}: Net expected ${netExpected.toFixed(2)}% too negative - SKIPPING`);
+    return false;
+  }
+  
+  // Add real slippage data to opportunity
+  opp.realBuySlippage = slippageCheck.buySlippage;
+  opp.realSellSlippage = slippageCheck.sellSlippage;
+  opp.realTotalSlippage = slippageCheck.totalRoundTrip;
+  opp.quoteUsd = slippageCheck.amountUsd;
+  opp.netExpectedProfit = netExpected;
+  
+  return true;
+}
+
 /**
  * Score a trading pair for meme potential
+ * safety: optional token-safety report - adds holders/lp points
  */
-function scorePair(pair, trendingAddresses = new Set()) {
+export function scorePair(pair, trendingAddresses = new Set(), safety = null) {
   let score = 0;
   const breakdown = {};
   
@@ -571,25 +680,83 @@ function scorePair(pair, trendingAddresses = new Set()) {
     breakdown.turnover = 10;
   }
   
+  // On-chain safety (holder concentration, LP burn/lock)
+  if (safety) {
+    for (const [key, points] of Object.entries(scoreSafety(safety))) {
+      score += points;
+      breakdown[key] = points;
+    }
+  }
+  
   breakdown.total = score;
   return breakdown;
 }
 
+/**
+ * Order-flow deterioration from the position's current pair (DexScreener shape)
+ * Returns an exit reason or null
+ */
+export function checkOrderFlow(position, pair, holdTimeMs) {
+  const liquidity = parseFloat(pair.liquidity?.usd || 0);
+  if (CONFIG.exitLiquidityDropPct > 0 && position.entryLiquidity > 0 && liquidity > 0) {
+    const dropPct = ((position.entryLiquidity - liquidity) / position.entryLiquidity) * 100;
+    if (dropPct >= CONFIG.exitLiquidityDropPct) {
+      return { reason: 'LIQUIDITY_DROP', detail: `liquidity -${dropPct.toFixed(0)}% ($${(position.entryLiquidity / 1000).toFixed(0)}k → $${(liquidity / 1000).toFixed(0)}k)` };
+    }
+  }
+  
+  if (holdTimeMs < CONFIG.exitSignalMinHoldMs) return null;
+  
+  const buys5m = pair.txns?.m5?.buys || 0;
+  const sells5m = pair.txns?.m5?.sells || 0;
+  const txns5m = buys5m + sells5m;
+  
+  if (txns5m >= CONFIG.exitMinTxns5m) {
+    const avgSells5m = (pair.txns?.h1?.sells || 0) / 12;
+    if (CONFIG.exitSellSpikeMult > 0 && avgSells5m > 0 && sells5m > buys5m && sells5m >= avgSells5m * CONFIG.exitSellSpikeMult) {
+      return { reason: 'SELLER_DOMINANCE', detail: `${sells5m} sells vs ${buys5m} buys in 5m (hour avg ${avgSells5m.toFixed(1)})` };
+    }
+    
+    const buyRatio5m = buys5m / txns5m;
+    if (CONFIG.exitMinBuyRatio5m > 0 && buyRatio5m < CONFIG.exitMinBuyRatio5m) {
+      return { reason: 'BUY_RATIO_COLLAPSE', detail: `5m buy ratio ${(buyRatio5m * 100).toFixed(0)}%` };
+    }
+  }
+  
+  // Missing m5 volume is unknown, not zero
+  const volume5m = parseFloat(pair.volume?.m5 ?? NaN);
+  const avgVolume5m = parseFloat(pair.volume?.h1 || 0) / 12;
+  if (CONFIG.exitVolumeFadeRatio > 0 && avgVolume5m > 0 && volume5m < avgVolume5m * CONFIG.exitVolumeFadeRatio) {
+    return { reason: 'VOLUME_FADE', detail: `5m volume $${volume5m.toFixed(0)} vs hour avg $${avgVolume5m.toFixed(0)}` };
+  }
+  
+  return null;
+}
+
 /**
  * Check if a position should exit (quick scalp logic)
+ * pair: the token's current pair - enables the order-flow exits
+ * Ladder levels return { shouldExit, partial, fraction (of the remaining size), stopPct }
  */
-export function checkExit(position, currentPrice) {
+export function checkExit(position, currentPrice, now = Date.now(), pair = null) {
   const entryPrice = position.entryPrice;
   const pnlPct = ((currentPrice - entryPrice) / entryPrice) * 100;
-  const holdTimeMs = Date.now() - position.entryTime;
+  const holdTimeMs = now - position.entryTime;
   
   // Track peak for trailing stop
   const peak = position.peakPrice || entryPrice;
   const fromPeak = ((currentPrice - peak) / peak) * 100;
+  const newPeak = currentPrice > peak ? currentPrice : peak;
+  
+  // 1. Stop loss (ladder legs can raise it, e.g. to breakeven)
+  const raisedStop = position.stopPct !== undefined && position.stopPct > -CONFIG.stopLossPct;
+  if (pnlPct <= (raisedStop ? position.stopPct : -CONFIG.stopLossPct)) {
+    return { shouldExit: true, reason: raisedStop ? 'LADDER_STOP' : 'STOP_LOSS', pnlPct };
+  }
   
-  // 1. Stop loss
-  if (pnlPct <= -CONFIG.stopLossPct) {
-    return { shouldExit: true, reason: 'STOP_LOSS', pnlPct };
+  const flow = pair ? checkOrderFlow(position, pair, holdTimeMs) : null;
+  if (flow?.reason === 'LIQUIDITY_DROP') {
+    return { shouldExit: true, reason: flow.reason, detail: flow.detail, pnlPct };
   }
   
   // 2. Take profit
@@ -597,11 +764,33 @@ export function checkExit(position, currentPrice) {
     return { shouldExit: true, reason: 'TAKE_PROFIT', pnlPct };
   }
   
+  // 2b. Scale-out ladder - one level per check, in order
+  const step = position.legs?.length || 0;
+  const level = CONFIG.takeProfitLadder[step];
+  if (level && pnlPct >= level.pnlPct) {
+    const remainingPct = (position.size / (position.initialSize ?? position.size)) * 100;
+    const fraction = level.sellPct / remainingPct >= 0.999 ? 1 : level.sellPct / remainingPct;
+    return {
+      shouldExit: true,
+      partial: fraction < 1,
+      fraction,
+      stopPct: level.stopPct,
+      reason: `TAKE_PROFIT_${step + 1}`,
+      pnlPct,
+      newPeak,
+    };
+  }
+  
   // 3. Trailing stop (if activated)
   if (pnlPct >= CONFIG.trailingActivatePct && fromPeak <= -CONFIG.trailingDistancePct) {
     return { shouldExit: true, reason: 'TRAILING_STOP', pnlPct };
   }
   
+  // 3b. Order flow deteriorating
+  if (flow) {
+    return { shouldExit: true, reason: flow.reason, detail: flow.detail, pnlPct };
+  }
+  
   // 4. Max hold time
   if (holdTimeMs >= CONFIG.maxHoldTimeMs) {
     return { shouldExit: true, reason: 'MAX_HOLD_TIME', pnlPct };
@@ -611,7 +800,45 @@ export function checkExit(position, currentPrice) {
   return { 
     shouldExit: false, 
     pnlPct,
-    newPeak: currentPrice > peak ? currentPrice : peak,
+    newPeak,
+  };
+}
+
+/**
+ * Book a partial sell on an open position (mutates it)
+ * leg: { size (cost basis sold), pnlUsd, tokensSoldRaw?, ... }
+ */
+export function applyExitLeg(position, leg, stopPct) {
+  position.initialSize ??= position.size;
+  position.size -= leg.size;
+  position.legs = [...(position.legs || []), leg];
+  position.realizedPnlUsd = (position.realizedPnlUsd || 0) + leg.pnlUsd;
+  
+  if (stopPct !== undefined) {
+    position.stopPct = Math.max(position.stopPct ?? -Infinity, stopPct);
+  }
+  if (position.tokenAmountRaw && leg.tokensSoldRaw) {
+    const remaining = BigInt(position.tokenAmountRaw) - BigInt(leg.tokensSoldRaw);
+    position.tokenAmountRaw = (remaining > 0n ? remaining : 0n).toString();
+  }
+  return position;
+}
+
+/**
+ * Closed trade from a position's final leg - P&L covers every leg
+ */
+export function closeWithLeg(position, leg) {
+  const { intentId, fraction, size, tokensSoldRaw, ...exit } = leg;
+  const initialSize = position.initialSize ?? position.size;
+  const pnlUsd = (position.realizedPnlUsd || 0) + leg.pnlUsd;
+  
+  return {
+    ...position,
+    ...exit,
+    size: initialSize,
+    pnlUsd,
+    pnlPct: (pnlUsd / initialSize) * 100,
+    ...(position.legs?.length ? { legs: [...position.legs, leg] } : {}),
   };
 }
 
@@ -632,7 +859,15 @@ export function getStats() {
 
 export default {
   scan,
+  evaluatePair,
+  applySlippageCheck,
+  scorePair,
+  evaluateRegime,
+  getLastScanSnapshot,
   checkExit,
+  checkOrderFlow,
+  applyExitLeg,
+  closeWithLeg,
   getSlippage,
   getStats,
   isTokenOnCooldown,
@@ -0,0 +1,72 @@
+/**
+ * Backtest engine - replay of a small recorded fixture with a known P&L
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { readSnapshots, runBacktest } from '../src/core/backtest.js';
+import { CONFIG as STRATEGY_CONFIG } from '../src/strategies/meme-scalp.js';
+import { CONFIG as SIZING_CONFIG } from '../src/core/sizing.js';
+
+const FIXTURE = fileURLToPath(new URL('./fixtures/backtest.jsonl', import.meta.url));
+const STRATEGY_DEFAULTS = structuredClone(STRATEGY_CONFIG);
+const SIZING_DEFAULTS = structuredClone(SIZING_CONFIG);
+
+// Fixed 20% sizing and a plain take profit, so every number below is hand-checkable
+beforeEach(() => {
+  Object.assign(STRATEGY_CONFIG, {
+    positionSizePct: 20,
+    takeProfitPct: 12,
+    stopLossPct: 10,
+    trailingActivatePct: 100,
+    maxHoldTimeMs: 60 * 60 * 1000,
+    takeProfitLadder: [],
+  });
+  SIZING_CONFIG.sizingPolicies = [];
+});
+
+afterEach(() => {
+  Object.assign(STRATEGY_CONFIG, structuredClone(STRATEGY_DEFAULTS));
+  Object.assign(SIZING_CONFIG, structuredClone(SIZING_DEFAULTS));
+});
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('replays the fixture to a known P&L', async () => {
+  const { trades, summary } = await runBacktest(readSnapshots(FIXTURE), { blacklist: {} });
+  
+  // AAA: buy 1.00 (+3% slippage) -> 1.20 (-2%) take profit on $20
+  // BBB: buy 2.00 (+3%) on 20% of $102.83, pulled from the data at 2.00 (-2%)
+  assert.deepEqual(trades.map(t => [t.token, t.reason]), [['AAA', 'TAKE_PROFIT'], ['BBB', 'DELISTED']]);
+  close(trades[0].pnlUsd, 20 * (1.176 / 1.03 - 1));
+  close(trades[1].size, 0.2 * (100 + trades[0].pnlUsd));
+  close(trades[1].pnlUsd, trades[1].size * (1.96 / 2.06 - 1));
+  
+  assert.equal(summary.snapshots, 5);
+  assert.equal(summary.wins, 1);
+  assert.equal(summary.losses, 1);
+  close(summary.totalPnlUsd, 1.8365538693562047);
+  close(summary.finalBalance, 101.83655386935621);
+  assert.deepEqual(summary.exitReasons, { TAKE_PROFIT: 1, DELISTED: 1 });
+});
+
+test('a paused scan with no pairs keeps positions open', async () => {
+  const snapshots = [];
+  for await (const snapshot of readSnapshots(FIXTURE)) snapshots.push(snapshot);
+  
+  // Stop after the empty snapshot: BBB is still held and only closes at the end
+  const { trades } = await runBacktest(snapshots.slice(0, 3), { blacklist: {} });
+  assert.deepEqual(trades.map(t => t.reason), ['TAKE_PROFIT', 'END_OF_DATA']);
+  assert.equal(trades[1].exitTime, snapshots[2].timestamp);
+});
+
+test('a pair missing from a snapshot is not held at its stale price', async () => {
+  const snapshots = [];
+  for await (const snapshot of readSnapshots(FIXTURE)) snapshots.push(snapshot);
+  
+  const { trades } = await runBacktest(snapshots.slice(0, 4), { blacklist: {} });
+  const delisted = trades.find(t => t.token === 'BBB');
+  assert.equal(delisted.reason, 'DELISTED');
+  assert.equal(delisted.exitTime, snapshots[3].timestamp);
+});
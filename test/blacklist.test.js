@@ -0,0 +1,93 @@
+/**
+ * Blacklist rules, and runtime additions kept out of the config file
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import blacklist, { compileRules } from '../src/core/blacklist.js';
+
+let dir;
+
+const pair = (symbol, name = '', address = 'Mint111') => ({ baseToken: { address, symbol, name } });
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'blacklist-test-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('exact, contains and regex rules match case-insensitively and name the rule', () => {
+  const matcher = compileRules({
+    mints: ['BadMint'],
+    symbols: { exact: ['SOL'], contains: ['CAT'], regex: ['^\\$?ai'] },
+    names: { exact: ['Rug Token'], contains: ['elon'], regex: ['inu$'] },
+    deployers: ['BadDev'],
+  });
+
+  assert.equal(matcher.check(pair('sol')), 'symbol exact "sol"');
+  assert.equal(matcher.check(pair('SOLANA')), null);
+  assert.equal(matcher.check(pair('CatAI')), 'symbol contains "cat"');
+  assert.equal(matcher.check(pair('$AIFOMO')), 'symbol regex /^\\$?ai/');
+  assert.equal(matcher.check(pair('SAIL')), null);
+  assert.equal(matcher.check(pair('X', 'rug token')), 'name exact "rug token"');
+  assert.equal(matcher.check(pair('X', 'Baby ELON')), 'name contains "elon"');
+  assert.equal(matcher.check(pair('X', 'Shiba INU')), 'name regex /inu$/');
+  assert.equal(matcher.check(pair('OK', 'Fine', 'BadMint')), 'mint BadMint');
+  assert.equal(matcher.check(pair('OK', 'Fine')), null);
+  assert.equal(matcher.check({}), null);
+
+  assert.equal(matcher.checkCreator('BadDev'), 'deployer BadDev');
+  assert.equal(matcher.checkCreator(null), null);
+  assert.equal(matcher.hasDeployerRules, true);
+  assert.equal(matcher.size, 8);
+});
+
+test('an invalid regex is an error', () => {
+  assert.throws(() => compileRules({ symbols: { regex: ['(unclosed'] } }), /Invalid blacklist regex "\(unclosed"/);
+});
+
+test('add() writes runtime additions to their own file and merges them over the config', async () => {
+  const file = path.join(dir, 'blacklist.json');
+  const addedFile = path.join(dir, 'data', 'blacklist-added.json');
+  const config = JSON.stringify({ mints: ['KnownMint'], symbols: { exact: ['USDC'] } });
+  await fs.writeFile(file, config);
+  blacklist.configure({ file, addedFile });
+  await blacklist.load();
+
+  assert.equal(await blacklist.add({ mints: ['RugMint', 'KnownMint'], deployers: ['RugDev', null] }), true);
+  assert.equal(await fs.readFile(file, 'utf-8'), config); // Config untouched
+  assert.deepEqual(JSON.parse(await fs.readFile(addedFile, 'utf-8')), { mints: ['RugMint'], deployers: ['RugDev'] });
+
+  const matcher = blacklist.getMatcher();
+  assert.equal(matcher.check(pair('X', '', 'RugMint')), 'mint RugMint');
+  assert.equal(matcher.check(pair('X', '', 'KnownMint')), 'mint KnownMint');
+  assert.equal(matcher.check(pair('usdc')), 'symbol exact "usdc"');
+  assert.equal(matcher.checkCreator('RugDev'), 'deployer RugDev');
+
+  // Nothing new - no write
+  assert.equal(await blacklist.add({ mints: ['RugMint', 'KnownMint'], deployers: ['RugDev'] }), false);
+
+  // A config edit keeps the runtime additions
+  await fs.writeFile(file, JSON.stringify({ symbols: { contains: ['pepe'] } }));
+  await fs.utimes(file, new Date(), new Date(Date.now() + 5000));
+  await blacklist.refresh();
+  assert.equal(blacklist.getMatcher().check(pair('X', '', 'RugMint')), 'mint RugMint');
+  assert.equal(blacklist.getMatcher().check(pair('PEPE2')), 'symbol contains "pepe"');
+  assert.equal(blacklist.getMatcher().check(pair('X', '', 'KnownMint')), null);
+});
+
+test('a corrupt additions file is never overwritten', async () => {
+  const file = path.join(dir, 'missing.json');
+  const addedFile = path.join(dir, 'corrupt-added.json');
+  await fs.writeFile(addedFile, '{"mints": [');
+  blacklist.configure({ file, addedFile });
+  await blacklist.load();
+
+  await assert.rejects(blacklist.add({ mints: ['RugMint2'] }), /Can't update corrupt-added\.json/);
+  assert.equal(await fs.readFile(addedFile, 'utf-8'), '{"mints": [');
+});
@@ -0,0 +1,148 @@
+/**
+ * Config loader: ranges, cross-field checks, paper/live resolution, precedence
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig } from '../src/core/config.js';
+
+let dir;
+let fileCount = 0;
+
+/**
+ * Write a config file and return its path
+ */
+function configFile(contents = {}) {
+  const file = path.join(dir, `scalper-${++fileCount}.json`);
+  fs.writeFileSync(file, JSON.stringify(contents));
+  return file;
+}
+
+const load = (env = {}, file = {}) => loadConfig({ env, file: configFile(file) });
+
+/**
+ * The listed problems of a rejected config
+ */
+function problems(env, file) {
+  try {
+    load(env, file);
+  } catch (e) {
+    return e.message;
+  }
+  assert.fail('config was accepted');
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('defaults load as paper mode', () => {
+  const config = load();
+  assert.equal(config.profile, 'v5.1');
+  assert.equal(config.bot.paperMode, true);
+  assert.equal(config.sources['bot.paperMode'], 'default');
+});
+
+test('out-of-range, non-integer, mistyped and unknown values are all reported together', () => {
+  const message = problems(
+    { SCALPER_TAKE_PROFIT_PCT: '0', SCALPER_MAX_POSITIONS: '2.5', SCALPER_MIN_BUY_RATIO: 'lots' },
+    { strategy: { stopLossPct: 150, takeProfitPtc: 6 }, risk: { maxConsecutiveLosses: 0 }, extra: {} },
+  );
+
+  assert.match(message, /strategy\.takeProfitPct: 0 out of range \[0\.1, 1000\] \(env\)/);
+  assert.match(message, /strategy\.maxPositions: must be an integer, got 2\.5 \(env\)/);
+  assert.match(message, /strategy\.minBuyRatio: expected number, got "lots" \(env\)/);
+  assert.match(message, /strategy\.stopLossPct: 150 out of range \[0\.1, 100\] \(file\)/);
+  assert.match(message, /strategy\.takeProfitPtc: unknown key \(file\)/);
+  assert.match(message, /risk\.maxConsecutiveLosses: 0 out of range/);
+  assert.match(message, /unknown top-level key "extra"/);
+});
+
+test('a ladder level at or above takeProfitPct is rejected', () => {
+  for (const pnlPct of [5, 8]) {
+    const message = problems({}, { strategy: { takeProfitPct: 5, takeProfitLadder: [{ pnlPct: 2, sellPct: 25 }, { pnlPct, sellPct: 25 }] } });
+    assert.match(message, new RegExp(`up to \\+${pnlPct}%\\) must be below takeProfitPct \\(5\\)`));
+  }
+
+  const config = load({}, { strategy: { takeProfitPct: 12, takeProfitLadder: [{ pnlPct: 5, sellPct: 50, stopPct: 0 }] } });
+  assert.deepEqual(config.strategy.takeProfitLadder, [{ pnlPct: 5, sellPct: 50, stopPct: 0 }]);
+});
+
+test('malformed ladders are rejected', () => {
+  const message = problems({}, {
+    strategy: {
+      takeProfitPct: 50,
+      takeProfitLadder: [{ pnlPct: 10, sellPct: 60 }, { pnlPct: 5, sellPct: 60, stopPct: 7, size: 1 }],
+    },
+  });
+  assert.match(message, /takeProfitLadder\[1\]\.pnlPct must be a number above the previous level/);
+  assert.match(message, /takeProfitLadder\[1\]\.stopPct must be a number below its pnlPct/);
+  assert.match(message, /takeProfitLadder\[1\]: unknown key\(s\) size/);
+  assert.match(message, /sells 120% of the position in total/);
+});
+
+test('MODE and MEME_PAPER_MODE must agree', () => {
+  assert.match(problems({ MODE: 'live', MEME_PAPER_MODE: 'true', WALLET_PRIVATE_KEY: 'x' }), /MODE=live contradicts MEME_PAPER_MODE=true/);
+  assert.match(problems({ MODE: 'paper', MEME_PAPER_MODE: 'false' }), /MODE=paper contradicts MEME_PAPER_MODE=false/);
+  assert.match(problems({ MODE: 'real' }), /MODE must be "paper" or "live"/);
+  assert.match(problems({}, { bot: { paperMode: false } }), /set paper\/live with MODE/);
+
+  const agreed = load({ MODE: 'live', MEME_PAPER_MODE: 'false', WALLET_PRIVATE_KEY: 'x' });
+  assert.equal(agreed.bot.paperMode, false);
+  assert.equal(agreed.sources['bot.paperMode'], 'env MODE');
+});
+
+test('live mode needs a signer', () => {
+  assert.match(problems({ MODE: 'live' }), /live mode needs WALLET_PRIVATE_KEY or SOLANA_SEED_PHRASE/);
+  assert.equal(load({ MEME_PAPER_MODE: 'false', SOLANA_SEED_PHRASE: 'x' }).bot.paperMode, false);
+  assert.equal(load({ MODE: 'live', WALLET_PROVIDER: 'remote-signer' }).bot.paperMode, false);
+});
+
+test('env MODE beats the file mode, the file mode beats the default', () => {
+  const fileLive = load({ WALLET_PRIVATE_KEY: 'x' }, { mode: 'live' });
+  assert.equal(fileLive.bot.paperMode, false);
+  assert.equal(fileLive.sources['bot.paperMode'], 'file');
+  assert.equal(load({ MODE: 'paper' }, { mode: 'live' }).bot.paperMode, true);
+});
+
+test('precedence: defaults, then profile, then file, then env', () => {
+  const profileOnly = load({ SCALPER_PROFILE: 'v6.3-conservative' });
+  assert.equal(profileOnly.strategy.minLiquidityUsd, 75000);
+  assert.equal(profileOnly.sources['strategy.minLiquidityUsd'], 'profile v6.3-conservative');
+  assert.equal(profileOnly.strategy.stopLossPct, load().strategy.stopLossPct); // Untouched by the profile
+
+  const withFile = load({}, { profile: 'v6.3-conservative', strategy: { minLiquidityUsd: 80000 } });
+  assert.equal(withFile.strategy.minLiquidityUsd, 80000);
+  assert.equal(withFile.sources['strategy.minLiquidityUsd'], 'file');
+  assert.equal(withFile.strategy.minVolumeSpike, 2); // Rest of the profile still applies
+
+  const withEnv = load(
+    { SCALPER_PROFILE: 'v6.3-conservative', SCALPER_MIN_LIQUIDITY_USD: '90000' },
+    { profile: 'v5.1', strategy: { minLiquidityUsd: 80000 } },
+  );
+  assert.equal(withEnv.profile, 'v6.3-conservative'); // Env profile over the file's
+  assert.equal(withEnv.strategy.minLiquidityUsd, 90000);
+  assert.equal(withEnv.sources['strategy.minLiquidityUsd'], 'env');
+});
+
+test('file profiles, and unknown profiles', () => {
+  const config = load({}, { profile: 'mine', profiles: { mine: { strategy: { maxPositions: 1 } } } });
+  assert.equal(config.strategy.maxPositions, 1);
+  assert.throws(() => load({ SCALPER_PROFILE: 'nope' }), /Unknown profile "nope"/);
+});
+
+test('cross-field contradictions are rejected', () => {
+  const message = problems({}, {
+    strategy: { minLiquidityUsd: 500000, maxLiquidityUsd: 100000 },
+    risk: { maxTradeUsd: 80, maxTokenExposureUsd: 60 },
+  });
+  assert.match(message, /minLiquidityUsd \(500000\) must be below maxLiquidityUsd \(100000\)/);
+  assert.match(message, /risk\.maxTradeUsd \(\$80\) above risk\.maxTokenExposureUsd \(\$60\)/);
+});
@@ -0,0 +1,208 @@
+/**
+ * Jito bundles against a local mock block engine
+ * (JSON-RPC getTipAccounts / sendBundle / getInflightBundleStatuses) and a stub connection
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import bs58 from 'bs58';
+import { Keypair, SystemProgram, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import jito from '../src/core/jito.js';
+import { sendSignedTransaction } from '../src/core/solana-wallet.js';
+import { setRpcPool } from '../src/core/rpc-pool.js';
+
+const payer = Keypair.generate();
+const tipAccount = Keypair.generate().publicKey.toBase58();
+
+// Block engine behaviour for the current test
+let engine;
+let server;
+
+function resetEngine() {
+  engine = {
+    requests: [],
+    sendStatus: 200,          // HTTP status for sendBundle
+    inflight: 'Pending',      // getInflightBundleStatuses answer
+  };
+}
+
+function answer(method, params) {
+  switch (method) {
+    case 'getTipAccounts': return [tipAccount];
+    case 'sendBundle': return 'bundle-1';
+    case 'getInflightBundleStatuses': return { value: [{ bundle_id: params[0][0], status: engine.inflight }] };
+    default: throw new Error(`unexpected ${method}`);
+  }
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const { id, method, params } = JSON.parse(body);
+      engine.requests.push({ path: req.url, method, params, auth: req.headers['x-jito-auth'] });
+      if (method === 'sendBundle' && engine.sendStatus !== 200) {
+        res.writeHead(engine.sendStatus);
+        res.end('Too Many Requests');
+        return;
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, result: answer(method, params) }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  jito.configure({ blockEngineUrl: `http://127.0.0.1:${server.address().port}/`, authUuid: 'test-uuid' });
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  resetEngine();
+  Object.assign(jito.CONFIG, { jitoEnabled: true, jitoBundleTimeoutMs: 30 * 1000, jitoFallbackToRpc: true });
+});
+
+/**
+ * A signed swap stand-in (self-transfer)
+ */
+function signedTransaction() {
+  const message = new TransactionMessage({
+    payerKey: payer.publicKey,
+    recentBlockhash: Keypair.generate().publicKey.toBase58(),
+    instructions: [SystemProgram.transfer({ fromPubkey: payer.publicKey, toPubkey: payer.publicKey, lamports: 1 })],
+  }).compileToV0Message();
+  const transaction = new VersionedTransaction(message);
+  transaction.sign([payer]);
+  return transaction;
+}
+
+/**
+ * Connection stub - the swap confirms once `landed` is set (or once it's sent over RPC)
+ */
+function stubConnection() {
+  const connection = {
+    landed: false,
+    height: 100,
+    rawSends: [],
+    async simulateTransaction() { return { value: { err: null, logs: [] } }; },
+    async getSignatureStatuses() {
+      return { value: [connection.landed ? { slot: 42, confirmationStatus: 'confirmed', err: null } : null] };
+    },
+    async getBlockHeight() { return connection.height; },
+    async getLatestBlockhash() { return { blockhash: 'unused', lastValidBlockHeight: 1000 }; },
+    async sendRawTransaction(raw) {
+      connection.rawSends.push(Buffer.from(raw));
+      connection.landed = true;
+      return bs58.encode(VersionedTransaction.deserialize(raw).signatures[0]);
+    },
+  };
+  return connection;
+}
+
+const signTip = (tipTransaction) => {
+  tipTransaction.sign([payer]);
+  return tipTransaction;
+};
+
+test('sendBundle sends [swap, tip] and returns once the swap confirms', async () => {
+  const connection = stubConnection();
+  const transaction = signedTransaction();
+  const journaled = [];
+  const start = jito.getMetrics();
+
+  const sending = jito.sendBundle(connection, transaction, {
+    tipLamports: 50000,
+    signTip,
+    lastValidBlockHeight: 1000,
+    onSigned: (signature) => journaled.push(signature),
+  });
+  setTimeout(() => { connection.landed = true; }, 200);
+  const result = await sending;
+
+  const signature = bs58.encode(transaction.signatures[0]);
+  assert.equal(result.success, true);
+  assert.equal(result.signature, signature);
+  assert.equal(result.bundleId, 'bundle-1');
+  assert.equal(result.tipLamports, 50000);
+  assert.equal(result.slot, 42);
+  assert.deepEqual(journaled, [signature]);
+
+  const sent = engine.requests.find(r => r.method === 'sendBundle');
+  assert.equal(sent.path, '/api/v1/bundles');
+  assert.equal(sent.auth, 'test-uuid');
+  const [swap, tip] = sent.params[0].map(b64 => VersionedTransaction.deserialize(Buffer.from(b64, 'base64')));
+  assert.deepEqual(Buffer.from(swap.serialize()), Buffer.from(transaction.serialize()));
+  assert.equal(tip.message.recentBlockhash, transaction.message.recentBlockhash);
+  assert.ok(tip.message.staticAccountKeys.some(key => key.toBase58() === tipAccount));
+
+  const metrics = jito.getMetrics();
+  assert.equal(metrics.landed, start.landed + 1);
+  assert.equal(metrics.tipsPaidLamports, start.tipsPaidLamports + 50000);
+});
+
+test('a Failed bundle status ends tracking with a fallback', async () => {
+  engine.inflight = 'Failed';
+  const result = await jito.sendBundle(stubConnection(), signedTransaction(), { tipLamports: 10000, signTip, simulate: false });
+
+  assert.equal(result.success, false);
+  assert.equal(result.code, 'BUNDLE_FAILED');
+  assert.equal(result.bundleId, 'bundle-1');
+  assert.equal(result.fallback, true);
+  assert.ok(engine.requests.some(r => r.method === 'getInflightBundleStatuses'));
+});
+
+test('an expired blockhash ends tracking without a fallback', async () => {
+  const connection = stubConnection();
+  connection.height = 2000;
+  const result = await jito.sendBundle(connection, signedTransaction(), {
+    tipLamports: 10000, signTip, simulate: false, lastValidBlockHeight: 1000,
+  });
+
+  assert.equal(result.code, 'EXPIRED');
+  assert.equal(result.fallback, false);
+});
+
+test('a bundle that never lands times out with a fallback', async () => {
+  jito.CONFIG.jitoBundleTimeoutMs = 500;
+  const result = await jito.sendBundle(stubConnection(), signedTransaction(), { tipLamports: 10000, signTip, simulate: false });
+
+  assert.equal(result.code, 'TIMEOUT');
+  assert.equal(result.fallback, true);
+});
+
+test('a rejected bundle falls back to the same signed bytes over RPC', async () => {
+  engine.sendStatus = 429;
+  const connection = stubConnection();
+  setRpcPool({ connection });
+  const transaction = signedTransaction();
+  const journaled = [];
+
+  const result = await sendSignedTransaction(transaction, {
+    tipLamports: 10000,
+    signTip,
+    lastValidBlockHeight: 1000,
+    onSigned: (signature) => journaled.push(signature),
+  });
+
+  assert.equal(result.success, true);
+  assert.equal(result.signature, bs58.encode(transaction.signatures[0]));
+  assert.equal(result.bundleId, undefined);
+  assert.equal(journaled.length, 1); // Journaled once, before the bundle
+  assert.deepEqual(connection.rawSends[0], Buffer.from(transaction.serialize()));
+});
+
+test('no fallback over RPC when jitoFallbackToRpc is off', async () => {
+  engine.sendStatus = 429;
+  jito.CONFIG.jitoFallbackToRpc = false;
+  const connection = stubConnection();
+  setRpcPool({ connection });
+
+  const result = await sendSignedTransaction(signedTransaction(), { tipLamports: 10000, signTip });
+
+  assert.equal(result.success, false);
+  assert.equal(result.code, 'BUNDLE_REJECTED');
+  assert.equal(connection.rawSends.length, 0);
+});
@@ -0,0 +1,89 @@
+/**
+ * Journal and atomic JSON files in a temp dir
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createJournal, writeJsonAtomic, readJsonWithBackup } from '../src/core/journal.js';
+
+let dir;
+let fileCount = 0;
+const nextFile = (name) => path.join(dir, `${++fileCount}-${name}`);
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'journal-test-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('a reopened journal replays entries after the snapshot seq and keeps numbering', async () => {
+  const file = nextFile('journal.jsonl');
+  const journal = createJournal(file);
+  await journal.open();
+  for (const type of ['BUY_SUBMITTED', 'BUY_CONFIRMED', 'SELL_SUBMITTED']) {
+    await journal.append(type, { intentId: 'a' });
+  }
+
+  const reopened = createJournal(file);
+  const entries = await reopened.open(1);
+  assert.deepEqual(entries.map(e => [e.seq, e.type]), [[2, 'BUY_CONFIRMED'], [3, 'SELL_SUBMITTED']]);
+  assert.equal((await reopened.append('SELL_CONFIRMED')).seq, 4);
+});
+
+test('a torn last line from a crash is skipped', async () => {
+  const file = nextFile('journal.jsonl');
+  const journal = createJournal(file);
+  await journal.open();
+  await journal.append('BUY_SUBMITTED', { intentId: 'a' });
+  await journal.append('BUY_CONFIRMED', { intentId: 'a' });
+  await fs.appendFile(file, '{"seq":3,"ts":1,"type":"SELL_SUB');
+
+  const entries = await createJournal(file).open();
+  assert.deepEqual(entries.map(e => e.seq), [1, 2]);
+});
+
+test('compaction keeps entries after uptoSeq and the seq numbering', async () => {
+  const file = nextFile('journal.jsonl');
+  const journal = createJournal(file);
+  await journal.open();
+  for (let i = 0; i < 5; i++) await journal.append('BUY_SUBMITTED', { intentId: `i${i}` });
+
+  await journal.compact(3);
+  assert.deepEqual((await createJournal(file).open()).map(e => e.seq), [4, 5]);
+  assert.equal((await journal.append('BUY_FAILED')).seq, 6);
+  assert.deepEqual((await createJournal(file).open()).map(e => e.seq), [4, 5, 6]);
+  assert.deepEqual((await fs.readdir(dir)).filter(f => f.endsWith('.tmp')), []);
+});
+
+test('appends racing a compaction are never dropped, and land in seq order', async () => {
+  const file = nextFile('journal.jsonl');
+  const journal = createJournal(file);
+  await journal.open();
+  await journal.append('BUY_SUBMITTED');
+
+  const appends = [];
+  const compacting = journal.compact(1);
+  for (let i = 0; i < 20; i++) appends.push(journal.append('SELL_SUBMITTED', { i }));
+  const entries = await Promise.all(appends);
+  await compacting;
+
+  assert.deepEqual(entries.map(e => e.i), [...Array(20).keys()]);
+  assert.deepEqual((await createJournal(file).open()).map(e => e.seq), entries.map(e => e.seq));
+});
+
+test('writeJsonAtomic keeps the previous version as .bak for readJsonWithBackup', async () => {
+  const file = nextFile('state.json');
+  assert.equal(await readJsonWithBackup(file), null);
+
+  await writeJsonAtomic(file, { v: 1 });
+  await writeJsonAtomic(file, { v: 2 });
+  assert.deepEqual(await readJsonWithBackup(file), { v: 2 });
+
+  await fs.writeFile(file, '{"v": 3'); // Corrupted main file
+  assert.deepEqual(await readJsonWithBackup(file), { v: 1 });
+});
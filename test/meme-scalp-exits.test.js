@@ -0,0 +1,133 @@
+/**
+ * Exit rules and the take-profit ladder (pure - shared by paper, live and backtest)
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, checkExit, applyExitLeg, closeWithLeg } from '../src/strategies/meme-scalp.js';
+
+const DEFAULTS = structuredClone(CONFIG);
+const ENTRY_TIME = 1_700_000_000_000;
+
+beforeEach(() => {
+  Object.assign(CONFIG, {
+    takeProfitPct: 12,
+    stopLossPct: 3,
+    trailingActivatePct: 100, // Out of the way unless a test wants it
+    trailingDistancePct: 1.5,
+    maxHoldTimeMs: 10 * 60 * 1000,
+    takeProfitLadder: [
+      { pnlPct: 5, sellPct: 50, stopPct: 0 },
+      { pnlPct: 8, sellPct: 25, stopPct: 4 },
+    ],
+  });
+});
+
+afterEach(() => {
+  Object.assign(CONFIG, structuredClone(DEFAULTS));
+});
+
+const openPosition = () => ({ id: 'p1', entryPrice: 1, peakPrice: 1, entryTime: ENTRY_TIME, size: 100 });
+
+/**
+ * Leg for selling `fraction` of the remaining position at `price` (as the bot builds it)
+ */
+function legAt(position, fraction, price, reason) {
+  const size = position.size * fraction;
+  const pnlPct = ((price - position.entryPrice) / position.entryPrice) * 100;
+  return { intentId: `sell_${reason}`, fraction, size, exitPrice: price, pnlPct, pnlUsd: size * (pnlPct / 100), reason };
+}
+
+test('the ladder scales out level by level, raising the stop, and the legs add up', () => {
+  const position = openPosition();
+  const at = (price) => checkExit(position, price, ENTRY_TIME + 1000);
+
+  assert.equal(at(1.02).shouldExit, false);
+
+  const first = at(1.05);
+  assert.deepEqual(
+    { reason: first.reason, partial: first.partial, fraction: first.fraction, stopPct: first.stopPct },
+    { reason: 'TAKE_PROFIT_1', partial: true, fraction: 0.5, stopPct: 0 },
+  );
+  const leg1 = legAt(position, first.fraction, 1.05, first.reason);
+  applyExitLeg(position, leg1, first.stopPct);
+  assert.equal(position.size, 50);
+  assert.equal(position.initialSize, 100);
+  assert.equal(position.stopPct, 0);
+
+  // Same level never fires twice; next level sells 25% of the original = half the rest
+  assert.equal(at(1.06).shouldExit, false);
+  const second = at(1.08);
+  assert.equal(second.reason, 'TAKE_PROFIT_2');
+  assert.equal(second.fraction, 0.5);
+  const leg2 = legAt(position, second.fraction, 1.08, second.reason);
+  applyExitLeg(position, leg2, second.stopPct);
+  assert.equal(position.size, 25);
+  assert.equal(position.stopPct, 4);
+
+  // Falls back under the raised stop - still in profit, but out
+  const stop = at(1.035);
+  assert.equal(stop.reason, 'LADDER_STOP');
+  const leg3 = legAt(position, 1, 1.035, stop.reason);
+  const closedTrade = closeWithLeg(position, leg3);
+
+  assert.equal(closedTrade.legs.length, 3);
+  const legSum = closedTrade.legs.reduce((sum, leg) => sum + leg.pnlUsd, 0);
+  assert.ok(Math.abs(closedTrade.pnlUsd - legSum) < 1e-9);
+  assert.ok(Math.abs(closedTrade.pnlUsd - (2.5 + 2 + 0.875)) < 1e-9);
+  assert.equal(closedTrade.size, 100);
+  assert.ok(Math.abs(closedTrade.pnlPct - 5.375) < 1e-9);
+  assert.equal(closedTrade.reason, 'LADDER_STOP');
+  assert.equal(closedTrade.exitPrice, 1.035);
+});
+
+test('a ladder stop never moves down, and one below the hard stop is ignored', () => {
+  const position = openPosition();
+  applyExitLeg(position, { size: 10, pnlUsd: 1 }, 4);
+  applyExitLeg(position, { size: 10, pnlUsd: 1 }, 1);
+  assert.equal(position.stopPct, 4);
+
+  const loose = openPosition();
+  loose.stopPct = -10;
+  assert.equal(checkExit(loose, 0.965, ENTRY_TIME).reason, 'STOP_LOSS');
+});
+
+test('a level that sells what is left closes the position', () => {
+  CONFIG.takeProfitLadder = [{ pnlPct: 5, sellPct: 50 }, { pnlPct: 8, sellPct: 50 }];
+  const position = openPosition();
+  applyExitLeg(position, legAt(position, 0.5, 1.05, 'TAKE_PROFIT_1'));
+
+  const last = checkExit(position, 1.08, ENTRY_TIME);
+  assert.equal(last.fraction, 1);
+  assert.equal(last.partial, false);
+});
+
+test('take profit beats the ladder; stop loss, trailing stop and max hold without one', () => {
+  const position = openPosition();
+  assert.equal(checkExit(position, 1.12, ENTRY_TIME).reason, 'TAKE_PROFIT');
+
+  CONFIG.takeProfitLadder = [];
+  assert.equal(checkExit(openPosition(), 0.97, ENTRY_TIME).reason, 'STOP_LOSS');
+  assert.equal(checkExit(openPosition(), 1.01, ENTRY_TIME + CONFIG.maxHoldTimeMs).reason, 'MAX_HOLD_TIME');
+
+  CONFIG.trailingActivatePct = 3;
+  const trailing = { ...openPosition(), peakPrice: 1.06 };
+  assert.equal(checkExit(trailing, 1.04, ENTRY_TIME).reason, 'TRAILING_STOP');
+  assert.equal(checkExit(openPosition(), 1.05, ENTRY_TIME).newPeak, 1.05);
+});
+
+test('sold raw token amounts come off the position exactly', () => {
+  const position = { ...openPosition(), tokenAmountRaw: '9007199254740993' };
+  applyExitLeg(position, { size: 50, pnlUsd: 0, tokensSoldRaw: '4503599627370497' });
+  assert.equal(position.tokenAmountRaw, '4503599627370496');
+});
+
+test('a single-leg close carries no legs and keeps its own P&L', () => {
+  const position = openPosition();
+  const closedTrade = closeWithLeg(position, legAt(position, 1, 0.97, 'STOP_LOSS'));
+
+  assert.equal(closedTrade.legs, undefined);
+  assert.ok(Math.abs(closedTrade.pnlUsd + 3) < 1e-9);
+  assert.ok(Math.abs(closedTrade.pnlPct + 3) < 1e-9);
+  assert.equal(closedTrade.intentId, undefined);
+});
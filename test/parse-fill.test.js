@@ -0,0 +1,75 @@
+/**
+ * parseFill - wallet fills from confirmed transactions, using fixtures in the
+ * getTransaction shape (pre/post lamports and token balances, fee, ATA rent)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { PublicKey } from '@solana/web3.js';
+import { parseFill } from '../src/core/solana-wallet.js';
+
+const fixtures = JSON.parse(fs.readFileSync(new URL('./fixtures/fills.json', import.meta.url), 'utf8'));
+const { owner, memeMint, pumpMint } = fixtures;
+
+// getTransaction returns PublicKey objects, JSON can only hold their base58
+function load(name) {
+  const tx = structuredClone(fixtures[name]);
+  const message = tx.transaction.message;
+  message.staticAccountKeys = message.staticAccountKeys.map(k => new PublicKey(k));
+  return tx;
+}
+
+test('buy that creates the token account splits out fee and rent', () => {
+  const fill = parseFill(load('buy'), owner, memeMint);
+  
+  assert.equal(fill.tokenDeltaRaw, '41152221851894222311');
+  assert.equal(fill.tokenDecimals, 9);
+  assert.equal(fill.feeLamports, 110000);
+  assert.equal(fill.priorityFeeLamports, 105000);
+  assert.equal(fill.rentLamports, 2039280);
+  assert.equal(fill.solDeltaLamports, -502149280);
+  assert.equal(fill.swapLamports, 500000000);
+  assert.equal(fill.signature, fixtures.buy.transaction.signatures[0]);
+  assert.equal(fill.slot, 287654321);
+});
+
+test('token amounts past 2^53 raw keep full double precision', () => {
+  const fill = parseFill(load('buy'), owner, memeMint);
+  const post = fixtures.buy.meta.postTokenBalances.find(b => b.owner === owner);
+  
+  assert.ok(BigInt(fill.tokenDeltaRaw) > BigInt(Number.MAX_SAFE_INTEGER));
+  // Nearest double to the exact decimal amount - converting the raw amount first misses it
+  assert.equal(fill.tokenAmount, Number(post.uiTokenAmount.uiAmountString));
+  assert.notEqual(Number(BigInt(fill.tokenDeltaRaw)) / 1e9, fill.tokenAmount);
+  assert.equal(fill.pricePerTokenSol, 0.5 / fill.tokenAmount);
+});
+
+test('full sell from an existing account reports the tokens that left', () => {
+  const fill = parseFill(load('sell'), owner, pumpMint);
+  
+  assert.equal(fill.tokenDeltaRaw, '-1234567890123');
+  assert.equal(fill.tokenAmount, 1234567.890123);
+  assert.equal(fill.tokenDecimals, 6);
+  assert.equal(fill.rentLamports, 0);
+  assert.equal(fill.feeLamports, 55000);
+  assert.equal(fill.priorityFeeLamports, 50000);
+  assert.equal(fill.solDeltaLamports, 299945000);
+  assert.equal(fill.swapLamports, 300000000);
+});
+
+test('pool balances for the same mint are not counted as ours', () => {
+  const fill = parseFill(load('sell'), owner, pumpMint);
+  
+  const poolDelta = fixtures.sell.meta.postTokenBalances[1].uiTokenAmount.amount
+    - fixtures.sell.meta.preTokenBalances[1].uiTokenAmount.amount;
+  assert.equal(BigInt(fill.tokenDeltaRaw), -BigInt(poolDelta));
+});
+
+test('failed transaction throws instead of reporting a fill', () => {
+  assert.throws(() => parseFill(load('failed'), owner, pumpMint), /failed on-chain.*Custom/);
+});
+
+test('wallet missing from the account keys throws', () => {
+  assert.throws(() => parseFill(load('sell'), memeMint, pumpMint), /Wallet not found/);
+});
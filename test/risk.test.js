@@ -0,0 +1,143 @@
+/**
+ * Risk manager entry checks, with state in a temp file
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+let dir;
+let risk;
+let executor;
+let oracle;
+const DEFAULTS = {};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Reset to a fresh state file and reload it
+ */
+async function loadState(overrides = {}) {
+  await fs.writeFile(process.env.RISK_STATE_FILE, JSON.stringify({
+    openPositions: [],
+    day: today(),
+    dailyPnlUsd: 0,
+    dailyTrades: 0,
+    consecutiveLosses: 0,
+    killSwitch: null,
+    alerted: {},
+    ...overrides,
+  }));
+  await risk.load();
+}
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'risk-test-'));
+  process.env.RISK_STATE_FILE = path.join(dir, 'risk-state.json');
+  process.env.TELEGRAM_BOT_TOKEN = ''; // Alerts log only
+  risk = (await import('../src/core/risk.js')).default;
+  executor = await import('../src/core/executor.js');
+  oracle = (await import('../src/core/oracle.js')).default;
+  Object.assign(DEFAULTS, risk.CONFIG);
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  Object.assign(risk.CONFIG, DEFAULTS);
+  await loadState();
+});
+
+const position = (id, token, tokenAddress, size) => ({ id, token, tokenAddress, entryPrice: 1, size });
+
+test('per-token exposure is keyed by mint, not by ticker', async () => {
+  await risk.addPosition(position('p1', 'PEPE', 'MintA', 40));
+
+  assert.equal(risk.canTrade({ token: 'PEPE', tokenAddress: 'MintB', size: 40 }).approved, true);
+  const same = risk.canTrade({ token: 'PEPE', tokenAddress: 'MintA', size: 20 });
+  assert.equal(same.approved, false);
+  assert.match(same.reason, /PEPE exposure \$40\.00 \+ \$20\.00 above max \$50/);
+  assert.equal(risk.canTrade({ token: 'OTHER', tokenAddress: 'MintA', size: 20 }).approved, false);
+});
+
+test('total exposure, trade size and invalid sizes', async () => {
+  await risk.addPosition(position('p1', 'A', 'MintA', 50));
+  await risk.addPosition(position('p2', 'B', 'MintB', 50));
+  await risk.addPosition(position('p3', 'C', 'MintC', 40));
+
+  assert.match(risk.canTrade({ token: 'D', tokenAddress: 'MintD', size: 20 }).reason, /Open exposure \$140\.00/);
+  assert.equal(risk.canTrade({ token: 'D', tokenAddress: 'MintD', size: 10 }).approved, true);
+  assert.match(risk.canTrade({ token: 'D', tokenAddress: 'MintD', size: 60 }).reason, /above max trade/);
+  assert.match(risk.canTrade({ token: 'D', tokenAddress: 'MintD', size: 0 }).reason, /Invalid size/);
+
+  await risk.reducePosition('p1', 30, 5);
+  assert.equal(risk.getExposure('MintA'), 20);
+  assert.equal(risk.getExposure(), 110);
+});
+
+test('the daily loss limit blocks entries until the next UTC day', async () => {
+  risk.CONFIG.killSwitchLossUsd = 0;
+  await risk.addPosition(position('p1', 'A', 'MintA', 40));
+  await risk.reducePosition('p1', 20, -10);
+  await risk.closePosition('p1', 0.5, -50, -20); // Whole trade -20: only -10 more counts
+
+  assert.equal(risk.getState().dailyPnlUsd, -20);
+  assert.equal(risk.canTrade({ token: 'B', tokenAddress: 'MintB', size: 10 }).approved, true);
+
+  await risk.addPosition(position('p2', 'B', 'MintB', 10));
+  await risk.closePosition('p2', 0.5, -50, -5);
+  assert.match(risk.canTrade({ token: 'C', tokenAddress: 'MintC', size: 10 }).reason, /Daily loss limit hit \(\$-25\.00/);
+
+  // Saved yesterday - a new day starts clean
+  await loadState({ day: '2000-01-01', dailyPnlUsd: -30 });
+  assert.equal(risk.canTrade({ token: 'C', tokenAddress: 'MintC', size: 10 }).approved, true);
+  assert.equal(risk.getState().dailyPnlUsd, 0);
+});
+
+test('a losing streak blocks entries, a win resets it', async () => {
+  risk.CONFIG.maxConsecutiveLosses = 2;
+  await risk.closePosition('x1', 1, -1, -1);
+  await risk.closePosition('x2', 1, 1, 1);
+  await risk.closePosition('x3', 1, -1, -1);
+  assert.equal(risk.canTrade({ token: 'A', tokenAddress: 'MintA', size: 10 }).approved, true);
+
+  await risk.closePosition('x4', 1, -1, -1);
+  assert.match(risk.canTrade({ token: 'A', tokenAddress: 'MintA', size: 10 }).reason, /2 consecutive losses/);
+});
+
+test('the kill switch trips at killSwitchLossUsd, persists and blocks until reset', async () => {
+  Object.assign(risk.CONFIG, { maxDailyLossUsd: 1000, killSwitchLossUsd: 50 });
+  await risk.closePosition('x1', 1, -40, -30);
+  assert.equal(risk.getState().killSwitch, null);
+
+  await risk.closePosition('x2', 1, -40, -25);
+  assert.match(risk.canTrade({ token: 'A', tokenAddress: 'MintA', size: 10 }).reason, /^Kill switch active: Daily loss \$-55\.00/);
+
+  const saved = JSON.parse(await fs.readFile(process.env.RISK_STATE_FILE, 'utf-8'));
+  assert.match(saved.killSwitch.reason, /kill switch/);
+
+  await risk.resetKillSwitch();
+  assert.equal(risk.canTrade({ token: 'A', tokenAddress: 'MintA', size: 10 }).approved, true);
+
+  await risk.emergencyStop('manual');
+  assert.equal(risk.canTrade({ token: 'A', tokenAddress: 'MintA', size: 10 }).reason, 'Kill switch active: manual');
+});
+
+test('executeBuy checks per-token exposure by the signal mint', async () => {
+  await risk.addPosition(position('p1', 'PEPE', 'MintA', 45));
+  const getPrices = oracle.getPrices;
+  oracle.getPrices = async () => ({}); // Never reached for a rejected trade - and no network
+  try {
+    const rejected = await executor.executeBuy({ tokenAddress: 'MintA', tokenSymbol: 'PEPE2', size: 10 }, { wallet: {} });
+    assert.match(rejected.reason, /exposure \$45\.00/);
+
+    const passed = await executor.executeBuy({ tokenAddress: 'MintB', tokenSymbol: 'PEPE', size: 10 }, { wallet: {} });
+    assert.equal(passed.reason, 'Price oracle unavailable');
+  } finally {
+    oracle.getPrices = getPrices;
+  }
+});
@@ -0,0 +1,121 @@
+/**
+ * RPC pool routing with stub connections: weighting, failover, send routing
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRpcPool, parseEndpoints, CONFIG } from '../src/core/rpc-pool.js';
+
+const DEFAULTS = { ...CONFIG };
+
+const A = 'https://a.example';
+const B = 'https://b.example';
+const S = 'https://send.example';
+
+/**
+ * Pool over stub connections - failures: url -> error thrown by every call there
+ * Returns { pool, calls: [[method, url]] }
+ */
+function stubPool({ read, send = [], failures = {} }) {
+  const calls = [];
+  const stubMethod = (url, method) => async () => {
+    calls.push([method, url]);
+    if (failures[url]) throw failures[url];
+    return method === 'sendRawTransaction' ? `sig-${url}` : url;
+  };
+  const createConnection = (url) => ({
+    getSlot: stubMethod(url, 'getSlot'),
+    getBalance: stubMethod(url, 'getBalance'),
+    sendRawTransaction: stubMethod(url, 'sendRawTransaction'),
+    onAccountChange: () => `sub-${url}`,
+  });
+  return { pool: createRpcPool({ read, send, createConnection }), calls };
+}
+
+const countBy = (calls, url) => calls.filter(([, u]) => u === url).length;
+
+beforeEach(() => {
+  Object.assign(CONFIG, DEFAULTS);
+});
+
+test('parseEndpoints reads url|weight and rejects bad entries', () => {
+  assert.deepEqual(parseEndpoints(`${A}|3, ${B}`), [{ url: A, weight: 3 }, { url: B, weight: 1 }]);
+  assert.deepEqual(parseEndpoints(''), []);
+  assert.throws(() => parseEndpoints('a.example'), /Invalid RPC endpoint/);
+  assert.throws(() => parseEndpoints(`${A}|0`), /Invalid RPC endpoint/);
+});
+
+test('reads are spread by weight', async () => {
+  const { pool, calls } = stubPool({ read: [{ url: A, weight: 3 }, { url: B, weight: 1 }] });
+  for (let i = 0; i < 2000; i++) await pool.connection.getBalance('x');
+
+  const share = countBy(calls, A) / calls.length;
+  assert.ok(share > 0.7 && share < 0.8, `weight-3 endpoint got ${(share * 100).toFixed(1)}%`);
+});
+
+test('HTTP 429 fails over and takes the endpoint down after rpcFailuresToDown', async () => {
+  const { pool, calls } = stubPool({
+    read: [{ url: A, weight: 1000 }, { url: B, weight: 1 }],
+    failures: { [A]: new Error('failed to get balance of account x: Error: 429 Too Many Requests: {"error":"rate limited"}') },
+  });
+  for (let i = 0; i < 10; i++) {
+    assert.equal(await pool.connection.getBalance('x'), B);
+  }
+
+  assert.equal(countBy(calls, A), CONFIG.rpcFailuresToDown);
+  const a = pool.getHealth().find(h => h.name === 'a.example');
+  assert.equal(a.healthy, false);
+  assert.equal(a.reason, 'down');
+});
+
+test('5xx and connection errors fail over', async () => {
+  const refused = Object.assign(new Error('request to https://a.example/ failed, reason: connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+  for (const error of [new Error('503 Service Unavailable: '), refused, new TypeError('fetch failed')]) {
+    const { pool } = stubPool({ read: [{ url: A, weight: 1000 }, { url: B, weight: 1 }], failures: { [A]: error } });
+    assert.equal(await pool.connection.getBalance('x'), B, error.message);
+  }
+});
+
+test('program errors and bad params are the answer, even with status-like digits', async () => {
+  const errors = [
+    new Error('failed to send transaction: Transaction simulation failed: Error processing Instruction 2: custom program error: 0x1771'),
+    new Error('failed to get balance of account 5029Lkz5: Invalid param: WrongSize'),
+    new Error('Error processing Instruction 4: custom program error: 429'),
+  ];
+  for (const error of errors) {
+    const { pool, calls } = stubPool({ read: [{ url: A, weight: 1000 }, { url: B, weight: 1 }], failures: { [A]: error } });
+    await assert.rejects(pool.connection.getBalance('x'), error);
+    assert.deepEqual(calls.map(([, url]) => url), [A], error.message);
+    assert.equal(pool.getHealth().find(h => h.name === 'a.example').errors, 0);
+  }
+});
+
+test('sends go to the send list, reads to the read list', async () => {
+  const { pool, calls } = stubPool({ read: [{ url: A, weight: 1 }, { url: B, weight: 1 }], send: [{ url: S, weight: 1 }] });
+  for (let i = 0; i < 20; i++) {
+    assert.equal(await pool.connection.sendRawTransaction(Buffer.alloc(1)), `sig-${S}`);
+    await pool.connection.getBalance('x');
+  }
+
+  assert.equal(countBy(calls, S), 20);
+  assert.ok(calls.filter(([method]) => method === 'getBalance').every(([, url]) => url !== S));
+  assert.deepEqual(pool.getHealth().find(h => h.name === 'send.example').roles, ['send']);
+});
+
+test('rpcBroadcastSends sends to every healthy send endpoint and survives one failing', async () => {
+  CONFIG.rpcBroadcastSends = true;
+  const { pool, calls } = stubPool({
+    read: [{ url: A, weight: 1 }],
+    send: [{ url: A, weight: 1 }, { url: S, weight: 1 }],
+    failures: { [A]: new Error('502 Bad Gateway: ') },
+  });
+
+  assert.equal(await pool.connection.sendRawTransaction(Buffer.alloc(1)), `sig-${S}`);
+  assert.deepEqual(calls.map(([, url]) => url).sort(), [A, S]);
+});
+
+test('subscriptions stay on the primary endpoint', () => {
+  const { pool, calls } = stubPool({ read: [{ url: A, weight: 1 }, { url: B, weight: 1000 }] });
+  assert.equal(pool.connection.onAccountChange('x', () => {}), `sub-${A}`);
+  assert.equal(calls.length, 0);
+});
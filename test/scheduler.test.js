@@ -0,0 +1,111 @@
+/**
+ * Scheduler: no self-overlap, timeouts, exclusive jobs, stop
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScheduler } from '../src/core/scheduler.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const quiet = () => {};
+
+/**
+ * Job that records its [start, end] spans
+ */
+function spanJob(durationMs, spans) {
+  return async () => {
+    const span = [Date.now(), null];
+    spans.push(span);
+    await sleep(durationMs);
+    span[1] = Date.now();
+  };
+}
+
+const overlaps = (a, b) => a[0] < b[1] && b[0] < a[1];
+
+test('a slow job never overlaps itself', async () => {
+  const scheduler = createScheduler({ log: quiet });
+  let active = 0;
+  let maxActive = 0;
+  scheduler.addJob('slow', async () => {
+    maxActive = Math.max(maxActive, ++active);
+    await sleep(40);
+    active--;
+  }, { intervalMs: 5 });
+
+  scheduler.start();
+  await sleep(250);
+  assert.deepEqual(await scheduler.stop(), []);
+
+  assert.equal(maxActive, 1);
+  const { slow } = scheduler.getMetrics();
+  assert.ok(slow.runs >= 3 && slow.runs <= 6, `${slow.runs} runs`);
+  assert.equal(slow.running, false);
+});
+
+test('a timed-out run is aborted, counted and still awaited before the next', async () => {
+  const scheduler = createScheduler({ log: quiet });
+  const seen = [];
+  let active = 0;
+  let maxActive = 0;
+  scheduler.addJob('stuck', async ({ signal }) => {
+    maxActive = Math.max(maxActive, ++active);
+    await new Promise(resolve => signal.addEventListener('abort', resolve));
+    await sleep(20); // Cleanup after the abort
+    seen.push(signal.reason.message);
+    active--;
+  }, { intervalMs: 5, timeoutMs: 30 });
+
+  scheduler.start();
+  await sleep(200);
+  await scheduler.stop();
+
+  const { stuck } = scheduler.getMetrics();
+  assert.ok(stuck.timeouts >= 2);
+  assert.equal(stuck.failures, 0);
+  assert.equal(maxActive, 1);
+  assert.ok(seen.every(message => message === 'stuck timed out'));
+});
+
+test('an exclusive job runs alone and holds off the others', async () => {
+  const scheduler = createScheduler({ log: quiet });
+  const spans = { scan: [], monitor: [], reconcile: [] };
+  scheduler.addJob('scan', spanJob(30, spans.scan), { intervalMs: 5 });
+  scheduler.addJob('monitor', spanJob(20, spans.monitor), { intervalMs: 5 });
+  scheduler.addJob('reconcile', spanJob(25, spans.reconcile), { intervalMs: 40, exclusive: true });
+
+  scheduler.start();
+  await sleep(800); // A blocked exclusive job retries every 250ms
+  await scheduler.stop();
+
+  assert.ok(spans.reconcile.length >= 2, `${spans.reconcile.length} reconcile runs`);
+  assert.ok(spans.scan.length >= 2 && spans.monitor.length >= 2);
+  // scan and monitor do run side by side, reconcile never overlaps either
+  assert.ok(spans.scan.some(a => spans.monitor.some(b => overlaps(a, b))));
+  for (const r of spans.reconcile) {
+    for (const other of [...spans.scan, ...spans.monitor]) {
+      assert.ok(!overlaps(r, other), 'reconcile overlapped another job');
+    }
+  }
+  assert.ok(scheduler.getMetrics().reconcile.delayed > 0);
+});
+
+test('stop waits for in-flight runs and names the ones it gave up on', async () => {
+  const scheduler = createScheduler({ log: quiet });
+  let finished = false;
+  scheduler.addJob('quick', async () => { await sleep(10); finished = true; }, { intervalMs: 1000 });
+  scheduler.addJob('hung', () => new Promise(() => {}), { intervalMs: 1000 });
+
+  scheduler.start();
+  await sleep(5);
+  assert.deepEqual(await scheduler.stop({ timeoutMs: 50 }), ['hung']);
+  assert.equal(finished, true);
+  assert.equal(scheduler.isRunning(), false);
+});
+
+test('addJob rejects duplicates and missing intervals', () => {
+  const scheduler = createScheduler({ log: quiet });
+  scheduler.addJob('scan', async () => {}, { intervalMs: 1000 });
+  assert.throws(() => scheduler.addJob('scan', async () => {}, { intervalMs: 1000 }), /already registered/);
+  assert.throws(() => scheduler.addJob('other', async () => {}), /needs an intervalMs/);
+});
@@ -0,0 +1,249 @@
+/**
+ * Live swap path - quote, build, sign, land, fill - against a stub Jupiter
+ * HTTP server and a stub connection, with the native wallet on a test keypair
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import bs58 from 'bs58';
+import { Keypair, PublicKey, SystemProgram, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+
+const wallet = Keypair.generate();
+const owner = wallet.publicKey.toBase58();
+const MINT = Keypair.generate().publicKey.toBase58();
+const POOL = Keypair.generate().publicKey.toBase58();
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+let server;
+let jupiter;      // Stub Jupiter behaviour and recorded requests
+let connection;   // Stub RPC connection for the current test
+let solanaSwap;
+let setRpcPool;
+
+function resetJupiter() {
+  jupiter = { quotes: [], swaps: [], outAmount: '250000000', quoteStatus: 200 };
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      res.setHeader('Content-Type', 'application/json');
+      if (url.pathname === '/quote') {
+        jupiter.quotes.push(Object.fromEntries(url.searchParams));
+        if (jupiter.quoteStatus !== 200) {
+          res.writeHead(jupiter.quoteStatus);
+          res.end('{"error":"No routes found"}');
+          return;
+        }
+        res.end(JSON.stringify({
+          inAmount: url.searchParams.get('amount'),
+          outAmount: jupiter.outAmount,
+          priceImpactPct: '0.12',
+          routePlan: [{ swapInfo: { ammKey: POOL } }],
+        }));
+      } else if (url.pathname === '/swap') {
+        const request = JSON.parse(body);
+        jupiter.swaps.push(request);
+        // Unsigned stand-in for Jupiter's swap transaction, paid by the user
+        const payer = new PublicKey(request.userPublicKey);
+        const message = new TransactionMessage({
+          payerKey: payer,
+          recentBlockhash: Keypair.generate().publicKey.toBase58(),
+          instructions: [SystemProgram.transfer({ fromPubkey: payer, toPubkey: new PublicKey(POOL), lamports: 1 })],
+        }).compileToV0Message();
+        res.end(JSON.stringify({
+          swapTransaction: Buffer.from(new VersionedTransaction(message).serialize()).toString('base64'),
+          lastValidBlockHeight: 1000,
+        }));
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  // dex.js and solana-wallet.js read these on first use / import
+  process.env.JUPITER_API_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.WALLET_PRIVATE_KEY = bs58.encode(wallet.secretKey);
+  delete process.env.WALLET_PROVIDER;
+  ({ default: solanaSwap } = await import('../src/core/solana-swap.js'));
+  ({ setRpcPool } = await import('../src/core/rpc-pool.js'));
+  (await import('../src/core/jito.js')).default.CONFIG.jitoEnabled = false;
+});
+
+after(() => {
+  server.close();
+});
+
+/**
+ * Token account as getParsedTokenAccountsByOwner returns it
+ */
+const tokenAccount = (amount, decimals) => ({
+  pubkey: Keypair.generate().publicKey,
+  account: { data: { parsed: { info: { mint: MINT, owner, state: 'initialized', tokenAmount: { amount, decimals } } } } },
+});
+
+/**
+ * Stub connection - lands whatever is sent; getTransaction returns `fill` balances
+ * fill: { preLamports, postLamports, preTokens, postTokens, decimals, fee }
+ */
+function stubConnection({ lamports = 2e9, tokenAccounts = [], fill }) {
+  const stub = {
+    sent: [],
+    async getBalance(pubkey) {
+      assert.equal(pubkey.toBase58(), owner);
+      return lamports;
+    },
+    async getParsedTokenAccountsByOwner() { return { value: tokenAccounts }; },
+    async getParsedAccountInfo() { return { value: { data: { parsed: { info: { decimals: 6 } } } } }; },
+    async getRecentPrioritizationFees() { return [{ prioritizationFee: 50000 }, { prioritizationFee: 60000 }]; },
+    async simulateTransaction() { return { value: { err: null, logs: [] } }; },
+    async getBlockHeight() { return 100; },
+    async sendRawTransaction(raw) {
+      const tx = VersionedTransaction.deserialize(raw);
+      stub.sent.push(tx);
+      return bs58.encode(tx.signatures[0]);
+    },
+    async getSignatureStatuses() {
+      return { value: [stub.sent.length > 0 ? { slot: 77, confirmationStatus: 'confirmed', err: null } : null] };
+    },
+    async getTransaction(signature) {
+      const tx = stub.sent.find(t => bs58.encode(t.signatures[0]) === signature);
+      const tokenBalance = (amount) => ({ accountIndex: 2, mint: MINT, owner, uiTokenAmount: { amount, decimals: fill.decimals } });
+      return {
+        slot: 77,
+        blockTime: 1700000000,
+        transaction: { signatures: [signature], message: tx.message },
+        meta: {
+          err: null,
+          fee: fill.fee,
+          preBalances: [fill.preLamports, 0, 2039280],
+          postBalances: [fill.postLamports, 0, 2039280],
+          preTokenBalances: fill.preTokens === null ? [] : [tokenBalance(fill.preTokens)],
+          postTokenBalances: [tokenBalance(fill.postTokens)],
+        },
+      };
+    },
+  };
+  return stub;
+}
+
+beforeEach(() => {
+  resetJupiter();
+});
+
+test('buyWithSol quotes, builds with our fee, signs, lands and reads the real fill', async () => {
+  connection = stubConnection({
+    fill: { preLamports: 2e9, postLamports: 2e9 - 100_000_000 - 15_000, preTokens: '0', postTokens: '240000000', decimals: 6, fee: 15_000 },
+  });
+  setRpcPool({ connection });
+  const journaled = [];
+
+  const result = await solanaSwap.buyWithSol(MINT, 0.1, 300, { onSigned: (signature) => journaled.push(signature) });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(jupiter.quotes.map(q => [q.inputMint, q.outputMint, q.amount, q.slippageBps]), [[SOL_MINT, MINT, '100000000', '300']]);
+  assert.equal(jupiter.swaps[0].userPublicKey, owner);
+  assert.equal(jupiter.swaps[0].computeUnitPriceMicroLamports, 60000);
+
+  // Signed by our key, journaled before the send
+  const [sent] = connection.sent;
+  assert.equal(connection.sent.length, 1);
+  assert.equal(sent.message.staticAccountKeys[0].toBase58(), owner);
+  assert.deepEqual(journaled, [result.txHash]);
+  assert.equal(result.txHash, bs58.encode(sent.signatures[0]));
+
+  assert.equal(result.inAmount, '100000000');
+  assert.equal(result.outAmount, '250000000');
+  assert.equal(result.tipLamports, 0);
+  assert.equal(result.fill.tokenAmount, 240);
+  assert.equal(result.fill.swapLamports, 100_000_000);
+  assert.equal(result.fill.feeLamports, 15_000);
+});
+
+test('buyWithSol refuses to spend into the SOL reserve', async () => {
+  setRpcPool({ connection: stubConnection({ lamports: 0.1e9 }) });
+
+  const result = await solanaSwap.buyWithSol(MINT, 0.095, 300);
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /Insufficient SOL/);
+  assert.equal(jupiter.quotes.length, 0);
+});
+
+test('a failed quote is a failed swap, nothing signed', async () => {
+  jupiter.quoteStatus = 400;
+  connection = stubConnection({});
+  setRpcPool({ connection });
+
+  const result = await solanaSwap.buyWithSol(MINT, 0.1, 300);
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /Jupiter quote failed/);
+  assert.equal(connection.sent.length, 0);
+});
+
+test('sellAll sells the summed raw balance of every token account', async () => {
+  connection = stubConnection({
+    tokenAccounts: [tokenAccount('9007199254740993', 9), tokenAccount('7', 9)], // Past 2^53
+    fill: { preLamports: 1e9, postLamports: 1e9 + 80_000_000, preTokens: '9007199254741000', postTokens: '0', decimals: 9, fee: 5_000 },
+  });
+  setRpcPool({ connection });
+
+  const result = await solanaSwap.sellAll(MINT, 500);
+
+  assert.equal(result.success, true);
+  assert.equal(jupiter.quotes[0].inputMint, MINT);
+  assert.equal(jupiter.quotes[0].outputMint, SOL_MINT);
+  assert.equal(jupiter.quotes[0].amount, '9007199254741000');
+  assert.equal(result.amountRaw, '9007199254741000');
+  assert.equal(result.decimals, 9);
+  assert.equal(result.fill.solDeltaLamports, 80_000_000);
+});
+
+test('sellAll with nothing to sell never quotes', async () => {
+  setRpcPool({ connection: stubConnection({ tokenAccounts: [tokenAccount('0', 6)] }) });
+
+  const result = await solanaSwap.sellAll(MINT, 500);
+
+  assert.deepEqual(result, { success: false, error: 'No token balance to sell' });
+  assert.equal(jupiter.quotes.length, 0);
+});
+
+test('sellPortion rounds down in BigInt, exactly, past 2^53', async () => {
+  connection = stubConnection({
+    tokenAccounts: [tokenAccount('123456789012345678901', 9)],
+    fill: { preLamports: 1e9, postLamports: 1.02e9, preTokens: '123456789012345678901', postTokens: '82304567160493456716', decimals: 9, fee: 5_000 },
+  });
+  setRpcPool({ connection });
+
+  const result = await solanaSwap.sellPortion(MINT, 1 / 3, 500);
+
+  // 123456789012345678901 * 333333 / 1000000, floored
+  assert.equal(result.amountRaw, '41152221851852222185');
+  assert.equal(jupiter.quotes[0].amount, '41152221851852222185');
+  assert.equal(result.success, true);
+});
+
+test('sellPortion rejects bad fractions and dust, and sells everything at 1', async () => {
+  assert.match((await solanaSwap.sellPortion(MINT, 0, 500)).error, /Invalid sell fraction/);
+  assert.match((await solanaSwap.sellPortion(MINT, 1.5, 500)).error, /Invalid sell fraction/);
+
+  setRpcPool({ connection: stubConnection({ tokenAccounts: [tokenAccount('3', 6)] }) });
+  assert.deepEqual(await solanaSwap.sellPortion(MINT, 0.25, 500), { success: false, error: 'Sell amount rounds to 0 tokens' });
+  assert.equal(jupiter.quotes.length, 0);
+
+  connection = stubConnection({
+    tokenAccounts: [tokenAccount('3', 6)],
+    fill: { preLamports: 1e9, postLamports: 1e9 + 1000, preTokens: '3', postTokens: '0', decimals: 6, fee: 5_000 },
+  });
+  setRpcPool({ connection });
+  const all = await solanaSwap.sellPortion(MINT, 1, 500);
+  assert.equal(all.success, true);
+  assert.equal(all.amountRaw, '3');
+});
@@ -0,0 +1,130 @@
+/**
+ * Landing engine: error decoding and send/confirm against a stub connection
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import bs58 from 'bs58';
+import { Keypair, SystemProgram, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import txLanding, { decodeError, simulate } from '../src/core/tx-landing.js';
+
+const COMPUTE_LOGS = [
+  'Program JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4 invoke [1]',
+  'Program log: Instruction: Route',
+  'Program JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4 consumed 45042 of 200000 compute units',
+  'Program JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4 failed: custom program error: 0x1',
+];
+
+test('program errors are not network errors, whatever digits the logs carry', () => {
+  for (const err of [{ InstructionError: [2, { Custom: 1 }] }, { InstructionError: [2, { Custom: 6504 }] }]) {
+    const decoded = decodeError(err, COMPUTE_LOGS);
+    assert.equal(decoded.code, 'UNKNOWN', JSON.stringify(err));
+    assert.equal(decoded.retryable, false);
+    assert.match(decoded.message, /^Instruction 2 failed: custom program error 0x/);
+  }
+});
+
+test('Jupiter slippage codes decode as SLIPPAGE', () => {
+  assert.equal(decodeError({ InstructionError: [3, { Custom: 6001 }] }).code, 'SLIPPAGE');
+  assert.equal(decodeError({ InstructionError: [3, { Custom: 6024 }] }, COMPUTE_LOGS).code, 'SLIPPAGE');
+});
+
+test('blockhash not found is retryable, from a status err or a thrown preflight error', () => {
+  assert.deepEqual(decodeError('BlockhashNotFound'), { code: 'BLOCKHASH_NOT_FOUND', message: 'BlockhashNotFound', retryable: true });
+  const thrown = decodeError(new Error('failed to send transaction: Transaction simulation failed: Blockhash not found'));
+  assert.equal(thrown.code, 'BLOCKHASH_NOT_FOUND');
+  assert.equal(thrown.retryable, true);
+});
+
+test('compute budget and funds failures are final', () => {
+  assert.equal(decodeError({ InstructionError: [1, 'ComputationalBudgetExceeded'] }).code, 'COMPUTE_EXCEEDED');
+  assert.equal(decodeError({ InstructionError: [0, { Custom: 1 }] }, ['Transfer: insufficient lamports 100, need 200']).code, 'INSUFFICIENT_FUNDS');
+});
+
+test('thrown 429/503 and connection errors are NETWORK', () => {
+  const errors = [
+    new Error('429 Too Many Requests: {"jsonrpc":"2.0","error":{"code":429,"message":"Too many requests"}}'),
+    new Error('failed to get recent blockhash: Error: 503 Service Unavailable: '),
+    new TypeError('fetch failed'),
+    new Error('request to https://rpc.example/ failed, reason: connect ECONNREFUSED 127.0.0.1:8899'),
+  ];
+  for (const error of errors) {
+    assert.deepEqual(decodeError(error), { code: 'NETWORK', message: error.message, retryable: true });
+  }
+});
+
+test('status codes only count at the start of a thrown message', () => {
+  assert.equal(decodeError(new Error('failed to get balance of account 5029Lkz5: Invalid param: WrongSize')).code, 'UNKNOWN');
+  assert.equal(decodeError('Error: 503 Service Unavailable: ').code, 'UNKNOWN'); // Not thrown - a status err
+});
+
+function signedTransaction() {
+  const payer = Keypair.generate();
+  const message = new TransactionMessage({
+    payerKey: payer.publicKey,
+    recentBlockhash: Keypair.generate().publicKey.toBase58(),
+    instructions: [SystemProgram.transfer({ fromPubkey: payer.publicKey, toPubkey: payer.publicKey, lamports: 1 })],
+  }).compileToV0Message();
+  const transaction = new VersionedTransaction(message);
+  transaction.sign([payer]);
+  return transaction;
+}
+
+test('simulate rejects a program failure without calling it a network error', async () => {
+  const connection = {
+    async simulateTransaction() { return { value: { err: { InstructionError: [2, { Custom: 6504 }] }, logs: COMPUTE_LOGS } }; },
+  };
+  const rejected = await simulate(connection, signedTransaction());
+
+  assert.equal(rejected.success, false);
+  assert.equal(rejected.code, 'UNKNOWN');
+  assert.equal(rejected.sends, 0);
+});
+
+test('land stops at an on-chain program failure instead of rebroadcasting', async () => {
+  const transaction = signedTransaction();
+  let sends = 0;
+  const connection = {
+    async getLatestBlockhash() { return { blockhash: 'unused', lastValidBlockHeight: 1000 }; },
+    async getBlockHeight() { return 100; },
+    async sendRawTransaction() { sends++; return bs58.encode(transaction.signatures[0]); },
+    async getSignatureStatuses() {
+      return { value: [{ slot: 9, confirmationStatus: 'confirmed', err: { InstructionError: [2, { Custom: 1 }] } }] };
+    },
+  };
+  const before = txLanding.getMetrics();
+
+  const result = await txLanding.land(connection, transaction, { simulate: false });
+
+  assert.equal(result.success, false);
+  assert.equal(result.code, 'UNKNOWN');
+  assert.equal(result.sends, 1);
+  assert.equal(sends, 1);
+  assert.equal(txLanding.getMetrics().errors.NETWORK || 0, before.errors.NETWORK || 0);
+});
+
+test('land retries a thrown 429 send and lands on the rebroadcast', async () => {
+  txLanding.CONFIG.rebroadcastMs = 100;
+  const transaction = signedTransaction();
+  let calls = 0;
+  let landed = false;
+  const connection = {
+    async getLatestBlockhash() { return { blockhash: 'unused', lastValidBlockHeight: 1000 }; },
+    async getBlockHeight() { return 100; },
+    async sendRawTransaction() {
+      calls++;
+      if (calls === 1) throw new Error('429 Too Many Requests: rate limited');
+      landed = true;
+      return bs58.encode(transaction.signatures[0]);
+    },
+    async getSignatureStatuses() {
+      return { value: [landed ? { slot: 9, confirmationStatus: 'confirmed', err: null } : null] };
+    },
+  };
+
+  const result = await txLanding.land(connection, transaction, { simulate: false });
+
+  assert.equal(result.success, true);
+  assert.equal(result.sends, 1); // Only the accepted submission counts
+  assert.equal(calls, 2);
+});